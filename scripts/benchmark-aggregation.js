@@ -0,0 +1,157 @@
+// Benchmarks the event pipeline behind the dashboard on a large load: validating the records,
+// the time bounds and time-window filter on the main thread, the aggregation the heatmap and
+// bar graph run in their Web Worker, the alert rules evaluated over its results, and a live
+// sync that folds newly streamed events into all of those.
+//
+//   npm run bench:aggregation            -> 500,000 events
+//   EVENTS=1000000 npm run bench:aggregation
+//
+// Times each stage on synthetic records spread over a year, including the longest stretch
+// validation blocks the event loop for, checks that every event lands in exactly one bucket,
+// and compares the buckets of a smaller sample with the date-fns bucketing the charts used
+// before (startOf* + format).
+
+import { register } from 'node:module';
+import { performance, monitorEventLoopDelay } from 'node:perf_hooks';
+import { parseISO, format, subDays, startOfHour, startOfDay, startOfWeek, startOfMonth, startOfYear } from 'date-fns';
+
+register('./resolve-src.js', import.meta.url);
+const { validateEvents, validateEventsInChunks } = await import('../src/eventSchema.js');
+const { getEventMs, getEventBounds, extendEventBounds, isWithinWindow } = await import('../src/timeRange.js');
+const { encodeEvents, aggregateIndex } = await import('../src/aggregationEngine.js');
+const { materialize, foldAggregation } = await import('../src/aggregation.js');
+const { extendEvents } = await import('../src/eventLineage.js');
+const { evaluateRules, defaultAlertRules } = await import('../src/alertRules.js');
+
+const eventCount = Number(process.env.EVENTS) || 500000;
+const sampleCount = 20000;
+const syncCount = 1000;
+
+const activityTypes = [
+  'Login Success', 'Login Failed', 'MFA Success', 'Password Reset', 'Profile Update',
+  'Transaction', 'Device Added', 'Session Timeout', 'Account Locked', 'Address Change'
+];
+const statuses = ['success', 'success', 'success', 'warning', 'fail'];
+
+const reference = {
+  hourly: [startOfHour, "yyyy-MM-dd'T'HH"],
+  daily: [startOfDay, 'yyyy-MM-dd'],
+  weekly: [startOfWeek, 'yyyy-MM-dd'],
+  monthly: [startOfMonth, 'yyyy-MM'],
+  yearly: [startOfYear, 'yyyy']
+};
+const granularities = Object.keys(reference);
+
+// Mostly local timestamps, some UTC or offset ones, some date-only events and a few without a
+// usable time, in ascending time order like a real export. `days` from `start` are covered.
+const createEvents = (count, start = new Date(2024, 0, 1).getTime(), days = 365) => {
+  const span = days * 24 * 3600 * 1000;
+  return Array.from({ length: count }, (_, i) => {
+    const time = new Date(start + Math.floor((i / count) * span));
+    const event = {
+      activityType: i % 97 === 0 ? undefined : activityTypes[i % activityTypes.length],
+      status: statuses[(i * 7) % statuses.length],
+      user: `user_${i % 500}`
+    };
+    if (i % 1000 === 0) event.timestamp = 'not a time';
+    else if (i % 10 === 0) event.date = format(time, 'yyyy-MM-dd');
+    else if (i % 10 === 5) event.timestamp = time.toISOString();
+    else if (i % 10 === 7) event.timestamp = format(time, "yyyy-MM-dd'T'HH:mm:ss.SSSxxx");
+    else event.timestamp = format(time, "yyyy-MM-dd'T'HH:mm:ss");
+    return event;
+  });
+};
+
+const time = (fn) => {
+  const started = performance.now();
+  const value = fn();
+  return [value, performance.now() - started];
+};
+
+const ms = (value) => `${value.toFixed(0).padStart(6)} ms`;
+
+console.log(`Generating ${eventCount.toLocaleString()} records…`);
+const records = createEvents(eventCount);
+
+// Validation yields every few milliseconds; the event loop delay shows how long it blocks
+const blocking = monitorEventLoopDelay({ resolution: 1 });
+blocking.enable();
+const validateStarted = performance.now();
+const { events, rejected } = await validateEventsInChunks(records);
+const validateTime = performance.now() - validateStarted;
+blocking.disable();
+
+const [bounds, boundsTime] = time(() => getEventBounds(events));
+const timeWindow = { start: subDays(bounds.max, 30), end: bounds.max };
+const [inWindow, filterTime] = time(() => events.filter(event => isWithinWindow(event, timeWindow)));
+const [index, encodeTime] = time(() => encodeEvents(events));
+const timed = index.ms.filter(value => !Number.isNaN(value)).length;
+
+console.log(`validate (main thread, in slices)  ${ms(validateTime)}   longest block ${ms(blocking.max / 1e6)}   ${rejected.toLocaleString()} rejected`);
+console.log(`time bounds (main thread)          ${ms(boundsTime)}`);
+console.log(`last 30 days filter (main thread)  ${ms(filterTime)}   ${inWindow.length.toLocaleString()} events`);
+console.log(`encode (main thread)               ${ms(encodeTime)}`);
+
+let failed = false;
+const aggregations = new Map();
+granularities.forEach(granularity => {
+  const [result, aggregateTime] = time(() => aggregateIndex(index, granularity));
+  const [aggregation, materializeTime] = time(() => materialize(result, events));
+  aggregations.set(granularity, aggregation);
+  const bucketed = result.buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+  const celled = result.cells.reduce((sum, cell) => sum + cell.count, 0);
+  const ok = bucketed === timed && celled <= bucketed;
+  if (!ok) failed = true;
+  console.log(
+    `${granularity.padEnd(8)} aggregate (worker)        ${ms(aggregateTime)}   materialize (main) ${ms(materializeTime)}   ` +
+    `${String(result.buckets.length).padStart(5)} buckets ${String(result.cells.length).padStart(6)} cells   ` +
+    `${ok ? 'ok' : `MISMATCH: ${bucketed} bucketed, ${timed} with a time`}`
+  );
+});
+
+const [alerts, rulesTime] = time(() => evaluateRules(aggregations, defaultAlertRules));
+console.log(`alert rules (main thread)          ${ms(rulesTime)}   ${alerts.length} alerts from ${defaultAlertRules.length} default rules`);
+
+// Live sync: streamed events over the next hour, folded into the bounds, the filtered list
+// and every aggregation instead of redoing them over the whole load
+const { events: streamed } = validateEvents(createEvents(syncCount, bounds.max.getTime() + 1, 1 / 24));
+const [synced, syncTime] = time(() => {
+  const grown = extendEvents(events, streamed);
+  const grownBounds = extendEventBounds(bounds, streamed);
+  const grownWindow = extendEvents(inWindow, streamed.filter(event => isWithinWindow(event, { ...timeWindow, end: grownBounds.max })));
+  const grownAggregations = new Map(granularities.map(granularity => [
+    granularity,
+    foldAggregation(aggregations.get(granularity), streamed)
+  ]));
+  return { grown, grownWindow, grownAggregations, alerts: evaluateRules(grownAggregations, defaultAlertRules) };
+});
+const syncedTotal = Array.from(synced.grownAggregations.get('daily').buckets.values()).reduce((sum, bucket) => sum + bucket.count, 0);
+const syncTimed = timed + streamed.filter(event => !Number.isNaN(getEventMs(event))).length;
+if (syncedTotal !== syncTimed) failed = true;
+console.log(
+  `live sync of ${syncCount.toLocaleString()} events (main thread)  ${ms(syncTime)}   ` +
+  `${synced.grownWindow.length.toLocaleString()} in window   ${synced.alerts.length} alerts   ` +
+  `${syncedTotal === syncTimed ? 'ok' : `MISMATCH: ${syncedTotal} bucketed, ${syncTimed} with a time`}`
+);
+
+// Same buckets as the date-fns path, event for event
+const sample = createEvents(sampleCount);
+const sampleIndex = encodeEvents(sample);
+granularities.forEach(granularity => {
+  const [startOf, key] = reference[granularity];
+  const expected = new Map();
+  sample.forEach(event => {
+    const parsed = parseISO(event.timestamp || event.date || '');
+    if (Number.isNaN(parsed.getTime())) return;
+    const period = format(startOf(parsed), key);
+    expected.set(period, (expected.get(period) || 0) + 1);
+  });
+
+  const result = aggregateIndex(sampleIndex, granularity);
+  const matches = result.buckets.length === expected.size &&
+    result.buckets.every(bucket => expected.get(bucket.period) === bucket.count);
+  if (!matches) failed = true;
+  console.log(`${granularity.padEnd(8)} matches date-fns on ${sampleCount.toLocaleString()} events: ${matches ? 'yes' : 'NO'}`);
+});
+
+if (failed) process.exitCode = 1;
@@ -0,0 +1,70 @@
+// Local Server-Sent Events feed for the dashboard's live mode.
+//
+//   npm run mock-stream                 -> http://localhost:8787/events
+//   PORT=9000 RATE=10 npm run mock-stream
+//
+// RATE is events per second. Events reuse the activity types, users and devices of the
+// bundled sample data, stamped with the current time.
+
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+
+const port = Number(process.env.PORT) || 8787;
+const rate = Math.max(0.1, Number(process.env.RATE) || 2);
+
+const sample = JSON.parse(readFileSync(new URL('../src/data.json', import.meta.url), 'utf8'));
+const pick = (values) => values[Math.floor(Math.random() * values.length)];
+const distinct = (key) => Array.from(new Set(sample.map(event => event[key]).filter(Boolean)));
+
+const activityTypes = distinct('activityType');
+const users = distinct('user');
+const devices = distinct('device');
+
+const randomStatus = () => {
+  const roll = Math.random();
+  return roll < 0.7 ? 'success' : roll < 0.85 ? 'warning' : 'fail';
+};
+
+const createEvent = () => {
+  const now = new Date();
+  return {
+    activityType: pick(activityTypes),
+    date: now.toISOString().slice(0, 10),
+    timestamp: now.toISOString(),
+    status: randomStatus(),
+    user: pick(users),
+    device: pick(devices),
+    durationMs: Math.round(200 + Math.random() * 4000)
+  };
+};
+
+const server = createServer((request, response) => {
+  if (!request.url.startsWith('/events')) {
+    response.writeHead(404, { 'Access-Control-Allow-Origin': '*' });
+    response.end('Not found');
+    return;
+  }
+
+  response.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Access-Control-Allow-Origin': '*'
+  });
+  response.write('retry: 2000\n\n');
+
+  const send = setInterval(() => {
+    response.write(`data: ${JSON.stringify(createEvent())}\n\n`);
+  }, 1000 / rate);
+  // Comment lines keep proxies from closing an idle connection
+  const keepAlive = setInterval(() => response.write(': ping\n\n'), 15000);
+
+  request.on('close', () => {
+    clearInterval(send);
+    clearInterval(keepAlive);
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Mock event stream on http://localhost:${port}/events (${rate} events/s)`);
+});
@@ -0,0 +1,11 @@
+// Module resolve hook for the scripts that load src modules: those import each other without
+// the .js extension, which Vite allows and Node's ESM resolver doesn't. Registered with
+// `register('./resolve-src.js', import.meta.url)` before the first src import.
+export const resolve = async (specifier, context, nextResolve) => {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== 'ERR_MODULE_NOT_FOUND' || !specifier.startsWith('.') || specifier.endsWith('.js')) throw error;
+    return nextResolve(`${specifier}.js`, context);
+  }
+};
@@ -0,0 +1,240 @@
+import React, { useState, memo } from 'react';
+import { Bell, BellOff, Check, Eye, Plus, RotateCcw, Trash2, X } from 'lucide-react';
+import {
+  alertMetrics,
+  alertConditions,
+  alertOperators,
+  alertStates,
+  snoozeOptions,
+  describeRule
+} from './alertRules';
+import { granularityOptions } from './granularity';
+
+const stateLabels = {
+  active: 'Active',
+  acknowledged: 'Acknowledged',
+  snoozed: 'Snoozed'
+};
+
+const formatObserved = (alert) => {
+  const { rule } = alert;
+  const unit = alertMetrics[rule.metric].unit;
+  const round = (value) => Math.round(value * 10) / 10;
+  if (rule.condition === 'rate') {
+    return `${round(alert.previousValue)}${unit} → ${round(alert.value)}${unit} (${alert.observed > 0 ? '+' : ''}${Math.round(alert.observed)}%)`;
+  }
+  return `${round(alert.value)}${unit}`;
+};
+
+const emptyRule = (granularity) => ({
+  name: '',
+  activityType: '',
+  metric: 'count',
+  condition: 'threshold',
+  operator: 'above',
+  value: 5,
+  granularity
+});
+
+const RuleForm = ({ activityTypes, granularity, onSubmit }) => {
+  const [fields, setFields] = useState(() => emptyRule(granularity));
+  const setField = (key, value) => setFields(prev => ({ ...prev, [key]: value }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (fields.value === '' || !Number.isFinite(Number(fields.value))) return;
+    onSubmit({ ...fields, name: fields.name.trim() || describeRule({ ...fields, value: Number(fields.value) }) });
+    setFields(emptyRule(granularity));
+  };
+
+  return (
+    <form className="alert-rule-form" onSubmit={handleSubmit}>
+      <input
+        className="search-input compact"
+        placeholder="Rule name (optional)"
+        value={fields.name}
+        onChange={(e) => setField('name', e.target.value)}
+      />
+      <div className="alert-rule-fields">
+        <select className="data-source-select" value={fields.activityType} onChange={(e) => setField('activityType', e.target.value)} aria-label="Activity type">
+          <option value="">All activity</option>
+          {activityTypes.map(type => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <select className="data-source-select" value={fields.metric} onChange={(e) => setField('metric', e.target.value)} aria-label="Metric">
+          {Object.entries(alertMetrics).map(([id, metric]) => <option key={id} value={id}>{metric.label}</option>)}
+        </select>
+        <select className="data-source-select" value={fields.condition} onChange={(e) => setField('condition', e.target.value)} aria-label="Condition">
+          {Object.entries(alertConditions).map(([id, label]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+        <select className="data-source-select" value={fields.operator} onChange={(e) => setField('operator', e.target.value)} aria-label="Operator">
+          {Object.entries(alertOperators).map(([id, symbol]) => <option key={id} value={id}>{symbol}</option>)}
+        </select>
+        <label className="alert-rule-value">
+          <input
+            type="number"
+            className="data-source-input"
+            value={fields.value}
+            onChange={(e) => setField('value', e.target.value)}
+            aria-label="Value"
+          />
+          {fields.condition === 'rate' ? '%' : alertMetrics[fields.metric].unit}
+        </label>
+        <select className="data-source-select" value={fields.granularity} onChange={(e) => setField('granularity', e.target.value)} aria-label="Per period">
+          {granularityOptions.map(option => <option key={option.id} value={option.id}>per {option.label.toLowerCase()}</option>)}
+        </select>
+      </div>
+      <button type="submit" className="apply-filters compact">
+        <Plus size={12} />
+        Add rule
+      </button>
+    </form>
+  );
+};
+
+// Alerts raised by the alert rules, with acknowledge / snooze, and the rule editor
+const AlertsPanel = memo(({
+  alerts,
+  rules,
+  activityTypes,
+  granularity,
+  onAddRule,
+  onUpdateRule,
+  onRemoveRule,
+  onAcknowledge,
+  onSnooze,
+  onReopen,
+  onOpenAlert,
+  onClose
+}) => {
+  const [section, setSection] = useState('alerts');
+  const [stateFilter, setStateFilter] = useState('active');
+
+  const visibleAlerts = stateFilter === 'all' ? alerts : alerts.filter(alert => alert.state === stateFilter);
+  const activeIds = alerts.filter(alert => alert.state === 'active').map(alert => alert.id);
+
+  return (
+    <>
+      <div className="filter-overlay" onClick={onClose} />
+      <div className="customize-popover alerts-popover">
+        <div className="filter-popover-header">
+          <h3><Bell size={16} /> Alerts</h3>
+          <button className="close-popover" onClick={onClose}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="filter-popover-content">
+          <div className="evidence-verification" role="tablist">
+            <button className={`chart-control-btn ${section === 'alerts' ? 'active' : ''}`} onClick={() => setSection('alerts')}>
+              Alerts ({activeIds.length})
+            </button>
+            <button className={`chart-control-btn ${section === 'rules' ? 'active' : ''}`} onClick={() => setSection('rules')}>
+              Rules ({rules.length})
+            </button>
+          </div>
+
+          {section === 'alerts' ? (
+            <>
+              <div className="anomaly-type-chips">
+                {[...alertStates, 'all'].map(state => (
+                  <button
+                    key={state}
+                    className={`anomaly-type-chip ${stateFilter === state ? 'active' : ''}`}
+                    style={{ '--chip-color': '#dc2626' }}
+                    onClick={() => setStateFilter(state)}
+                  >
+                    {state === 'all' ? 'All' : stateLabels[state]}
+                    <strong>{state === 'all' ? alerts.length : alerts.filter(alert => alert.state === state).length}</strong>
+                  </button>
+                ))}
+              </div>
+
+              {visibleAlerts.length === 0 ? (
+                <p className="tab-analysis-empty">
+                  {alerts.length === 0 ? 'No rule is triggered by the loaded events' : 'No alerts in this state'}
+                </p>
+              ) : (
+                <div className="alert-list">
+                  {visibleAlerts.map(alert => (
+                    <div key={alert.id} className={`alert-item ${alert.state}`} style={{ '--alert-color': alert.color }}>
+                      <div className="alert-item-main">
+                        <strong>{alert.rule.name}</strong>
+                        <span>{alert.periodLabel} · {formatObserved(alert)}</span>
+                        <span className="alert-item-state">{stateLabels[alert.state]}</span>
+                      </div>
+                      <div className="alert-item-actions">
+                        <button className="filter-icon-btn" onClick={() => onOpenAlert(alert)} title="Open events">
+                          <Eye size={14} />
+                        </button>
+                        {alert.state === 'active' ? (
+                          <>
+                            <button className="filter-icon-btn" onClick={() => onAcknowledge([alert.id])} title="Acknowledge">
+                              <Check size={14} />
+                            </button>
+                            <select
+                              className="data-source-select alert-snooze"
+                              value=""
+                              onChange={(e) => e.target.value && onSnooze([alert.id], Number(e.target.value))}
+                              title="Snooze"
+                            >
+                              <option value="">Snooze…</option>
+                              {snoozeOptions.map(option => (
+                                <option key={option.minutes} value={option.minutes}>{option.label}</option>
+                              ))}
+                            </select>
+                          </>
+                        ) : (
+                          <button className="filter-icon-btn" onClick={() => onReopen([alert.id])} title="Reopen">
+                            <RotateCcw size={14} />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              <div className="filter-actions compact">
+                <button className="apply-filters compact" onClick={() => onAcknowledge(activeIds)} disabled={activeIds.length === 0}>
+                  <Check size={12} />
+                  Acknowledge all
+                </button>
+                <button className="clear-filters compact" onClick={() => onSnooze(activeIds, snoozeOptions[0].minutes)} disabled={activeIds.length === 0}>
+                  <BellOff size={12} />
+                  Snooze all 1 hour
+                </button>
+              </div>
+            </>
+          ) : (
+            <>
+              <div className="alert-rule-list">
+                {rules.length === 0 && <p className="tab-analysis-empty">No rules yet</p>}
+                {rules.map(rule => (
+                  <div key={rule.id} className={`alert-rule-item ${rule.enabled ? '' : 'disabled'}`}>
+                    <label className="customize-option compact checkbox">
+                      <input
+                        type="checkbox"
+                        checked={rule.enabled}
+                        onChange={(e) => onUpdateRule(rule.id, { enabled: e.target.checked })}
+                      />
+                      <span>
+                        <strong>{rule.name}</strong>
+                        <small>{describeRule(rule)}</small>
+                      </span>
+                    </label>
+                    <button className="remove-chip" onClick={() => onRemoveRule(rule.id)} title="Delete rule">
+                      <Trash2 size={12} />
+                    </button>
+                  </div>
+                ))}
+              </div>
+              <RuleForm activityTypes={activityTypes} granularity={granularity} onSubmit={onAddRule} />
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+});
+
+export default AlertsPanel;
@@ -1,14 +1,68 @@
-import React, { useState, useMemo, useCallback, memo, useRef, useEffect } from 'react';
+import React, { useState, useMemo, useCallback, memo, useRef, useEffect, useImperativeHandle, useId } from 'react';
 import { scaleOrdinal, scaleBand, scaleLinear } from '@visx/scale';
 import { withTooltip, Tooltip, defaultStyles } from '@visx/tooltip';
 import { localPoint } from '@visx/event';
-import { format, parseISO, startOfWeek, endOfWeek, eachWeekOfInterval } from 'date-fns';
-import { Filter, Calendar, Users, Activity, Eye, X, Download, Search, RotateCcw, Maximize2, BarChart3, TrendingUp, TrendingDown } from 'lucide-react';
+import { GridRows, GridColumns } from '@visx/grid';
+import { HeatmapRect } from '@visx/heatmap';
+import { AxisLeft, AxisTop } from '@visx/axis';
+import { useParentSize } from '@visx/responsive';
+import { format } from 'date-fns';
+import { Filter, Calendar, Users, Activity, Eye, X, Search, RotateCcw, Maximize2, Minimize2, BarChart3, Link2, Check, Bookmark, TrendingUp, TrendingDown, Table, LayoutGrid, Tags, SearchX, Pin, Camera, Radio, Bell } from 'lucide-react';
 import './App.css';
+import { createStaticSource, useEventSource } from './dataSources';
+import DataSourcePicker from './DataSourcePicker';
+import { statusColorMap, statusIcons, statusPatternMarks, getIntensityColor } from './statusStyles';
+import {
+  timeRangeOptions,
+  timeAnchorOptions,
+  getEventTime,
+  getEventBounds,
+  extendEventBounds,
+  resolveReferenceNow,
+  resolveTimeWindow,
+  isWithinWindow,
+  formatTimeWindow,
+  getPreviousWindow
+} from './timeRange';
+import { granularityOptions, parsePeriodKey, getPeriodEnd, getPeriodTicks } from './granularity';
+import { formatDuration, formatGeo, formatAmount } from './eventSchema';
+import { useChartExport, useChartSnapshot, exportCsv, heatmapCellColumns, barBucketColumns, eventColumns } from './chartExport';
+import ExportMenu from './ExportMenu';
+import { parseViewState, serializeViewState, useUrlState } from './urlState';
+import { useSavedViews, createSavedView, savedViewToState, viewSettingKeys } from './savedViews';
+import SavedViewsPanel from './SavedViewsPanel';
+import EventTable from './EventTable';
+import { tabs, getTabFilter, useTaxonomy } from './taxonomy';
+import TabCategoriesPanel from './TabCategoriesPanel';
+import { useScoringConfig, scoreEvents, extendScores, scoreTrend, describeTrend } from './fcrScoring';
+import FcrScorePanel from './FcrScorePanel';
+import { buildAssociationGraph } from './associationGraph';
+import AssociationGraphPanel from './AssociationGraphPanel';
+import { detectAnomalies, extendAnomalies, anomalyTypes } from './anomalyDetection';
+import BehaviourAnomalyPanel from './BehaviourAnomalyPanel';
+import { useWatchLists, screenEvents, listColor } from './sanctionsScreening';
+import SanctionScreeningPanel from './SanctionScreeningPanel';
+import { useEvidenceCases, createEventItem, createCellItem, createSnapshotItem, getPinnedKeys, eventKey, exportCaseBundle } from './evidenceCases';
+import EvidenceCasePanel from './EvidenceCasePanel';
+import { getTransactions, getCurrencies, inCurrency, summarizeTransactions } from './transactionAnalytics';
+import { computeStatistics, compareStatistics, shiftedPeriodTotals } from './periodComparison';
+import TransactionPanel from './TransactionPanel';
+import EntityTimeline from './EntityTimeline';
+import { useLiveStream } from './liveStream';
+import LiveStreamPanel from './LiveStreamPanel';
+import { useAlertRules, evaluateRules, getAlertState, ruleColor } from './alertRules';
+import AlertsPanel from './AlertsPanel';
+import HeatmapCanvas from './HeatmapCanvas';
+import { useHeatmapFocus, describeCell } from './heatmapFocus';
+import { useAggregation, useAggregations } from './aggregation';
+import { useFoldedValue, useFilteredEvents } from './eventLineage';
 
 // Import dummy data
 import dummyData from './data.json';
 
+// Bundled sample data is the default source until the user picks another adapter
+const sampleSource = createStaticSource({ data: dummyData });
+
 // Optimized debounce utility for performance
 const useDebounce = (callback, delay) => {
   const timerRef = useRef(null);
@@ -47,136 +101,126 @@ const useThrottle = (callback, delay) => {
   }, [callback, delay]);
 };
 
-const statusColorMap = {
-  success: '#22c55e', // green
-  warning: '#eab308', // yellow
-  fail: '#ef4444'     // red
-};
+// Fullscreen API wrapper (with the webkit prefix Safari still needs) scoped to one element
+const useFullscreen = (targetRef) => {
+  const [isFullscreen, setIsFullscreen] = useState(false);
+
+  useEffect(() => {
+    const handleChange = () => {
+      const element = document.fullscreenElement || document.webkitFullscreenElement;
+      setIsFullscreen(Boolean(element) && element === targetRef.current);
+    };
+
+    document.addEventListener('fullscreenchange', handleChange);
+    document.addEventListener('webkitfullscreenchange', handleChange);
+    return () => {
+      document.removeEventListener('fullscreenchange', handleChange);
+      document.removeEventListener('webkitfullscreenchange', handleChange);
+    };
+  }, [targetRef]);
+
+  const toggleFullscreen = useCallback(() => {
+    const element = targetRef.current;
+    if (!element) return;
 
-const statusIcons = {
-  success: '✅',
-  warning: '⚠️',
-  fail: '❌'
+    const current = document.fullscreenElement || document.webkitFullscreenElement;
+    const request = current === element
+      ? document.exitFullscreen || document.webkitExitFullscreen
+      : element.requestFullscreen || element.webkitRequestFullscreen;
+    if (!request) return;
+
+    const result = request.call(current === element ? document : element);
+    if (result && result.catch) {
+      result.catch(() => setIsFullscreen(false));
+    }
+  }, [targetRef]);
+
+  return { isFullscreen, toggleFullscreen };
 };
 
-const tabs = [
-  { id: 'overview', label: 'Overview', icon: '🏠' },
-  { id: 'transaction', label: 'Transaction', icon: '💳' },
-  { id: 'association', label: 'Association', icon: '🔗' },
-  { id: 'behaviour', label: 'Behaviour', icon: '👤' },
-  { id: 'fcr', label: 'FCR Score', icon: '📊' },
-  { id: 'sanction', label: 'Sanction', icon: '⚖️' },
-  { id: 'evidence', label: 'Evidence', icon: '📋' }
-];
+// Chart sizing: fixed width/height by default, the container width when responsive,
+// and the whole viewport (minus the chart header) while in fullscreen
+const useChartLayout = ({ width, height, responsive, minWidth }) => {
+  const containerRef = useRef(null);
+  const { parentRef, width: parentWidth, height: parentHeight } = useParentSize({ debounceTime: 100 });
+  const { isFullscreen, toggleFullscreen } = useFullscreen(containerRef);
+
+  const measuredWidth = (responsive || isFullscreen) && parentWidth > 0 ? Math.max(parentWidth, minWidth) : width;
+  const measuredHeight = isFullscreen && parentHeight > 0 ? parentHeight : height;
+
+  return {
+    containerRef,
+    parentRef,
+    width: Math.floor(measuredWidth),
+    height: Math.floor(measuredHeight),
+    isFullscreen,
+    toggleFullscreen
+  };
+};
 
 // Bar Graph Component for Trend Analysis
 const BarGraph = memo(withTooltip(({
   data,
-  width = 800,
-  height = 400,
+  width: baseWidth = 800,
+  height: baseHeight = 400,
+  responsive = false,
   showTooltip,
   hideTooltip,
   tooltipData,
   tooltipTop,
   tooltipLeft,
-  granularity = 'weekly',
-  showTrends = true
+  granularity: requestedGranularity = 'weekly',
+  showTrends = true,
+  exportMeta,
+  chartRef,
+  onCellClick,
+  onRangeSelect,
+  previousData = null,
+  comparisonOffset = 0,
+  showEventCounts = true,
+  eventCountThreshold = 1,
+  showGridLines = true
 }) => {
   const margin = { top: 40, right: 60, bottom: 80, left: 80 };
-  const xMax = width - margin.left - margin.right;
-  const yMax = height - margin.top - margin.bottom;
+  const svgRef = useRef(null);
+  const { containerRef, parentRef, width, height, isFullscreen, toggleFullscreen } =
+    useChartLayout({ width: baseWidth, height: baseHeight, responsive, minWidth: 400 });
+  const xMax = Math.max(0, width - margin.left - margin.right);
+  const yMax = Math.max(0, height - margin.top - margin.bottom);
 
-  // Process data for bar chart based on granularity
-  const processedData = useMemo(() => {
-    const dates = Array.from(new Set(data.map(d => d.date))).sort();
-
-    if (granularity === 'monthly') {
-      const monthlyData = {};
-      data.forEach(item => {
-        const month = format(parseISO(item.date), 'yyyy-MM');
-        if (!monthlyData[month]) {
-          monthlyData[month] = { period: month, total: 0, success: 0, warning: 0, fail: 0, trend: 0 };
-        }
-        monthlyData[month].total++;
-        monthlyData[month][item.status]++;
-      });
-
-      const months = Object.keys(monthlyData).sort();
-      return months.map((month, index) => {
-        const current = monthlyData[month];
-        const previous = index > 0 ? monthlyData[months[index - 1]] : null;
-        const trend = previous ? ((current.total - previous.total) / previous.total) * 100 : 0;
-
-        return {
-          ...current,
-          periodLabel: format(parseISO(month + '-01'), 'MMM yyyy'),
-          trend: Math.round(trend),
-          trendDirection: trend > 0 ? 'up' : trend < 0 ? 'down' : 'stable'
-        };
-      });
-    } else if (granularity === 'daily') {
-      const dailyData = {};
-      data.forEach(item => {
-        if (!dailyData[item.date]) {
-          dailyData[item.date] = { period: item.date, total: 0, success: 0, warning: 0, fail: 0 };
-        }
-        dailyData[item.date].total++;
-        dailyData[item.date][item.status]++;
-      });
+  // Buckets come from the shared aggregation; while a worker run is pending the previous
+  // result stays on screen, with the granularity it was computed for
+  const { aggregation, pending } = useAggregation(data, requestedGranularity);
+  const granularity = aggregation.granularity || requestedGranularity;
 
-      return dates.map((date, index) => {
-        const current = dailyData[date] || { period: date, total: 0, success: 0, warning: 0, fail: 0 };
-        const previous = index > 0 ? (dailyData[dates[index - 1]] || { total: 0 }) : null;
-        const trend = previous ? ((current.total - previous.total) / Math.max(previous.total, 1)) * 100 : 0;
-
-        return {
-          ...current,
-          periodLabel: format(parseISO(date), 'MMM dd'),
-          trend: Math.round(trend),
-          trendDirection: trend > 0 ? 'up' : trend < 0 ? 'down' : 'stable'
-        };
-      });
-    } else {
-      // Weekly view (default)
-      const firstDate = parseISO(dates[0]);
-      const lastDate = parseISO(dates[dates.length - 1]);
-      const weeks = eachWeekOfInterval({ start: firstDate, end: lastDate });
-
-      return weeks.map((week, index) => {
-        const weekStart = startOfWeek(week);
-        const weekEnd = endOfWeek(week);
-        const weekEvents = data.filter(d => {
-          const eventDate = parseISO(d.date);
-          return eventDate >= weekStart && eventDate <= weekEnd;
-        });
-
-        const weekData = { period: format(week, 'yyyy-MM-dd'), total: 0, success: 0, warning: 0, fail: 0 };
-        weekEvents.forEach(event => {
-          weekData.total++;
-          weekData[event.status]++;
-        });
-
-        const previousWeek = index > 0 ? weeks[index - 1] : null;
-        let trend = 0;
-        if (previousWeek) {
-          const prevWeekStart = startOfWeek(previousWeek);
-          const prevWeekEnd = endOfWeek(previousWeek);
-          const prevWeekEvents = data.filter(d => {
-            const eventDate = parseISO(d.date);
-            return eventDate >= prevWeekStart && eventDate <= prevWeekEnd;
-          });
-          trend = prevWeekEvents.length > 0 ? ((weekData.total - prevWeekEvents.length) / prevWeekEvents.length) * 100 : 0;
-        }
+  const processedData = useMemo(() => {
+    const { periods } = aggregation;
+    if (periods.length === 0) return [];
+
+    const toBucket = (key) => {
+      const bucket = aggregation.buckets.get(key);
+      return bucket
+        ? { period: key, total: bucket.count, success: bucket.success, warning: bucket.warning, fail: bucket.fail, events: bucket.events }
+        : null;
+    };
 
-        return {
-          ...weekData,
-          periodLabel: format(week, 'MMM dd'),
-          trend: Math.round(trend),
-          trendDirection: trend > 0 ? 'up' : trend < 0 ? 'down' : 'stable'
-        };
-      });
-    }
-  }, [data, granularity]);
+    // Comparison overlay: what the same position in the previous window counted
+    const previousTotals = previousData ? shiftedPeriodTotals(previousData, comparisonOffset, granularity) : null;
+
+    return periods.map((period, index) => {
+      const current = toBucket(period.key) || { period: period.key, total: 0, success: 0, warning: 0, fail: 0, events: [] };
+      const previous = index > 0 ? toBucket(periods[index - 1].key) : null;
+      const trend = previous && previous.total > 0 ? ((current.total - previous.total) / previous.total) * 100 : 0;
+
+      return {
+        ...current,
+        periodLabel: period.label,
+        trend: Math.round(trend),
+        trendDirection: trend > 0 ? 'up' : trend < 0 ? 'down' : 'stable',
+        previousTotal: previousTotals ? previousTotals[period.key] || 0 : null
+      };
+    });
+  }, [aggregation, granularity, previousData, comparisonOffset]);
 
   // Scales
   const xScale = scaleBand({
@@ -186,60 +230,146 @@ const BarGraph = memo(withTooltip(({
   });
 
   const yScale = scaleLinear({
-    domain: [0, Math.max(...processedData.map(d => d.total), 1)],
+    domain: [0, Math.max(...processedData.map(d => Math.max(d.total, d.previousTotal || 0)), 1)],
     range: [yMax, 0]
   });
 
   const maxTrend = Math.max(...processedData.map(d => Math.abs(d.trend)));
+
+  // Bucket (or one status segment of it) in the same shape as a heatmap cell, so both
+  // charts drill into the same details view
+  const toBucketCell = (d, status) => {
+    const events = status ? d.events.filter(event => event.status === status) : d.events;
+    return {
+      activityType: 'All Activities',
+      period: d.period,
+      periodLabel: d.periodLabel,
+      status: status || (d.fail > 0 ? 'fail' : d.warning > 0 ? 'warning' : 'success'),
+      events,
+      count: events.length,
+      intensity: events.length / Math.max(...processedData.map(bucket => bucket.total), 1)
+    };
+  };
+
+  // Brush: dragging across bars selects their periods as the time filter. x values are
+  // relative to the plot area; a drag shorter than a few pixels still counts as a click.
+  const [brush, setBrush] = useState(null);
+  const brushDraggedRef = useRef(false);
+  const getPlotX = (event) => {
+    const point = localPoint(event) || { x: 0 };
+    return Math.max(0, Math.min(xMax, point.x - margin.left));
+  };
+
+  const handleBrushStart = (event) => {
+    if (!onRangeSelect || event.button !== 0) return;
+    const x = getPlotX(event);
+    brushDraggedRef.current = false;
+    setBrush({ startX: x, endX: x });
+  };
+
+  const handleBrushMove = (event) => {
+    if (!brush) return;
+    const x = getPlotX(event);
+    if (Math.abs(x - brush.startX) > 4) {
+      brushDraggedRef.current = true;
+      hideTooltip();
+    }
+    setBrush(prev => ({ ...prev, endX: x }));
+  };
+
+  const handleBrushEnd = () => {
+    if (!brush) return;
+    setBrush(null);
+    if (!brushDraggedRef.current) return;
+
+    const left = Math.min(brush.startX, brush.endX);
+    const right = Math.max(brush.startX, brush.endX);
+    const selected = processedData.filter(d => {
+      const barX = xScale(d.period) || 0;
+      return barX + xScale.bandwidth() >= left && barX <= right;
+    });
+    if (selected.length > 0) {
+      onRangeSelect({
+        start: parsePeriodKey(selected[0].period, granularity),
+        end: getPeriodEnd(selected[selected.length - 1].period, granularity)
+      });
+    }
+  };
+
+  const handleSegmentClick = (d, status) => (onCellClick ? (event) => {
+    event.stopPropagation();
+    // The click that ends a brush drag shouldn't also open the details modal
+    if (brushDraggedRef.current) return;
+    onCellClick(toBucketCell(d, status));
+  } : undefined);
   const trendScale = scaleLinear({
     domain: [-maxTrend, maxTrend],
     range: [yMax, 0]
   });
 
+  const handleExport = useChartExport({
+    svgRef,
+    title: 'Activity Trends',
+    meta: exportMeta,
+    rows: processedData,
+    columns: barBucketColumns,
+    events: data
+  });
+  const snapshot = useChartSnapshot({ svgRef, title: 'Activity Trends', meta: exportMeta });
+
+  useImperativeHandle(chartRef, () => ({ exportChart: handleExport, toggleFullscreen, snapshot }), [handleExport, toggleFullscreen, snapshot]);
+
   return (
-    <div className="bar-graph-container">
+    <div ref={containerRef} className={`bar-graph-container ${isFullscreen ? 'fullscreen' : ''}`}>
       <div className="chart-header">
         <h3><BarChart3 size={20} /> Activity Trends</h3>
         <div className="chart-controls">
-          <button className="chart-control-btn" title="Export Chart">
-            <Download size={16} />
-          </button>
-          <button className="chart-control-btn" title="Fullscreen">
-            <Maximize2 size={16} />
+          <ExportMenu onExport={handleExport} />
+          <button
+            className="chart-control-btn"
+            title={isFullscreen ? 'Exit Fullscreen' : 'Fullscreen'}
+            onClick={toggleFullscreen}
+          >
+            {isFullscreen ? <Minimize2 size={16} /> : <Maximize2 size={16} />}
           </button>
         </div>
       </div>
 
-      <svg width={width} height={height}>
-        <defs>
-          <linearGradient id="successGradient" x1="0%" y1="0%" x2="0%" y2="100%">
-            <stop offset="0%" stopColor="#22c55e" stopOpacity={0.8} />
-            <stop offset="100%" stopColor="#22c55e" stopOpacity={0.3} />
-          </linearGradient>
-          <linearGradient id="warningGradient" x1="0%" y1="0%" x2="0%" y2="100%">
-            <stop offset="0%" stopColor="#eab308" stopOpacity={0.8} />
-            <stop offset="100%" stopColor="#eab308" stopOpacity={0.3} />
-          </linearGradient>
-          <linearGradient id="failGradient" x1="0%" y1="0%" x2="0%" y2="100%">
-            <stop offset="0%" stopColor="#ef4444" stopOpacity={0.8} />
-            <stop offset="100%" stopColor="#ef4444" stopOpacity={0.3} />
-          </linearGradient>
-        </defs>
-
-        <g transform={`translate(${margin.left}, ${margin.top})`}>
-          {/* Grid lines */}
-          {yScale.ticks(5).map(tick => (
-            <g key={`grid-${tick}`}>
-              <line
-                x1={0}
-                y1={yScale(tick)}
-                x2={xMax}
-                y2={yScale(tick)}
-                stroke="#e5e7eb"
-                strokeWidth={1}
-                strokeDasharray="2,2"
-              />
+      <div ref={parentRef} className="chart-body">
+        {pending && <div className="chart-pending" role="status">Aggregating {data.length.toLocaleString()} events…</div>}
+        <svg
+          ref={svgRef}
+          width={width}
+          height={height}
+          className={brush ? 'brushing' : ''}
+          onMouseDown={handleBrushStart}
+          onMouseMove={handleBrushMove}
+          onMouseUp={handleBrushEnd}
+          onMouseLeave={() => setBrush(null)}
+        >
+          <defs>
+            <linearGradient id="successGradient" x1="0%" y1="0%" x2="0%" y2="100%">
+              <stop offset="0%" stopColor="#22c55e" stopOpacity={0.8} />
+              <stop offset="100%" stopColor="#22c55e" stopOpacity={0.3} />
+            </linearGradient>
+            <linearGradient id="warningGradient" x1="0%" y1="0%" x2="0%" y2="100%">
+              <stop offset="0%" stopColor="#eab308" stopOpacity={0.8} />
+              <stop offset="100%" stopColor="#eab308" stopOpacity={0.3} />
+            </linearGradient>
+            <linearGradient id="failGradient" x1="0%" y1="0%" x2="0%" y2="100%">
+              <stop offset="0%" stopColor="#ef4444" stopOpacity={0.8} />
+              <stop offset="100%" stopColor="#ef4444" stopOpacity={0.3} />
+            </linearGradient>
+          </defs>
+
+          <g transform={`translate(${margin.left}, ${margin.top})`}>
+            {/* Grid lines */}
+            {showGridLines && (
+              <GridRows scale={yScale} width={xMax} numTicks={5} stroke="#e5e7eb" strokeDasharray="2,2" />
+            )}
+            {yScale.ticks(5).map(tick => (
               <text
+                key={`tick-${tick}`}
                 x={-10}
                 y={yScale(tick)}
                 textAnchor="end"
@@ -249,255 +379,331 @@ const BarGraph = memo(withTooltip(({
               >
                 {tick}
               </text>
-            </g>
-          ))}
-
-          {/* X-axis labels */}
-          {processedData.map((d, i) => {
-            if (i % Math.ceil(processedData.length / 8) === 0) {
-              return (
-                <text
-                  key={`x-label-${d.period}`}
-                  x={(xScale(d.period) || 0) + xScale.bandwidth() / 2}
-                  y={yMax + 20}
-                  textAnchor="middle"
-                  fontSize={11}
-                  fill="#374151"
-                  fontWeight={500}
-                >
-                  {d.periodLabel}
-                </text>
-              );
-            }
-            return null;
-          })}
-
-          {/* Bars with stacked segments */}
-          {processedData.map((d) => {
-            const barX = xScale(d.period) || 0;
-            const barWidth = xScale.bandwidth();
-
-            // Calculate heights for stacked bars
-            const failHeight = (d.fail / d.total) * (yMax - yScale(d.total));
-            const warningHeight = (d.warning / d.total) * (yMax - yScale(d.total));
-            const successHeight = (d.success / d.total) * (yMax - yScale(d.total));
-
-            const failY = yScale(d.total);
-            const warningY = failY + failHeight;
-            const successY = warningY + warningHeight;
-
-            return (
-              <g key={`bar-${d.period}`}>
-                {/* Fail segment */}
-                {d.fail > 0 && (
-                  <rect
-                    x={barX}
-                    y={failY}
-                    width={barWidth}
-                    height={failHeight}
-                    fill="url(#failGradient)"
-                    stroke="#ef4444"
-                    strokeWidth={1}
-                    className="bar-segment"
-                    onMouseEnter={(event) => {
-                      const point = localPoint(event) || { x: 0, y: 0 };
-                      showTooltip({
-                        tooltipData: { ...d, segment: 'fail', value: d.fail },
-                        tooltipTop: point.y,
-                        tooltipLeft: point.x,
-                      });
-                    }}
-                    onMouseLeave={hideTooltip}
-                  />
-                )}
-
-                {/* Warning segment */}
-                {d.warning > 0 && (
-                  <rect
-                    x={barX}
-                    y={warningY}
-                    width={barWidth}
-                    height={warningHeight}
-                    fill="url(#warningGradient)"
-                    stroke="#eab308"
-                    strokeWidth={1}
-                    className="bar-segment"
-                    onMouseEnter={(event) => {
-                      const point = localPoint(event) || { x: 0, y: 0 };
-                      showTooltip({
-                        tooltipData: { ...d, segment: 'warning', value: d.warning },
-                        tooltipTop: point.y,
-                        tooltipLeft: point.x,
-                      });
-                    }}
-                    onMouseLeave={hideTooltip}
-                  />
-                )}
-
-                {/* Success segment */}
-                {d.success > 0 && (
-                  <rect
-                    x={barX}
-                    y={successY}
-                    width={barWidth}
-                    height={successHeight}
-                    fill="url(#successGradient)"
-                    stroke="#22c55e"
-                    strokeWidth={1}
-                    className="bar-segment"
-                    onMouseEnter={(event) => {
-                      const point = localPoint(event) || { x: 0, y: 0 };
-                      showTooltip({
-                        tooltipData: { ...d, segment: 'success', value: d.success },
-                        tooltipTop: point.y,
-                        tooltipLeft: point.x,
-                      });
-                    }}
-                    onMouseLeave={hideTooltip}
-                  />
-                )}
+            ))}
 
-                {/* Total count label */}
-                {d.total > 0 && (
+            {/* X-axis labels */}
+            {processedData.map((d, i) => {
+              if (i % Math.ceil(processedData.length / 8) === 0) {
+                return (
                   <text
-                    x={barX + barWidth / 2}
-                    y={yScale(d.total) - 5}
+                    key={`x-label-${d.period}`}
+                    x={(xScale(d.period) || 0) + xScale.bandwidth() / 2}
+                    y={yMax + 20}
                     textAnchor="middle"
-                    fontSize={10}
-                    fontWeight="bold"
+                    fontSize={11}
                     fill="#374151"
+                    fontWeight={500}
                   >
-                    {d.total}
+                    {d.periodLabel}
                   </text>
-                )}
+                );
+              }
+              return null;
+            })}
 
-                {/* Trend indicator */}
-                {showTrends && d.trend !== 0 && (
-                  <g>
-                    {d.trendDirection === 'up' ? (
-                      <TrendingUp
-                        x={barX + barWidth - 12}
-                        y={yScale(d.total) - 20}
-                        size={10}
-                        color="#22c55e"
-                      />
-                    ) : d.trendDirection === 'down' ? (
-                      <TrendingDown
-                        x={barX + barWidth - 12}
-                        y={yScale(d.total) - 20}
-                        size={10}
-                        color="#ef4444"
-                      />
-                    ) : null}
+            {/* Bars with stacked segments */}
+            {processedData.map((d) => {
+              const barX = xScale(d.period) || 0;
+              const barWidth = xScale.bandwidth();
+
+              // Calculate heights for stacked bars
+              const failHeight = (d.fail / d.total) * (yMax - yScale(d.total));
+              const warningHeight = (d.warning / d.total) * (yMax - yScale(d.total));
+              const successHeight = (d.success / d.total) * (yMax - yScale(d.total));
+
+              const failY = yScale(d.total);
+              const warningY = failY + failHeight;
+              const successY = warningY + warningHeight;
+
+              return (
+                <g
+                  key={`bar-${d.period}`}
+                  onClick={d.total > 0 ? handleSegmentClick(d) : undefined}
+                  style={{ cursor: onCellClick && d.total > 0 ? 'pointer' : 'default' }}
+                >
+                  {/* Fail segment */}
+                  {d.fail > 0 && (
+                    <rect
+                      x={barX}
+                      y={failY}
+                      width={barWidth}
+                      height={failHeight}
+                      fill="url(#failGradient)"
+                      stroke="#ef4444"
+                      strokeWidth={1}
+                      className="bar-segment"
+                      onClick={handleSegmentClick(d, 'fail')}
+                      onMouseEnter={(event) => {
+                        if (brush) return;
+                        const point = localPoint(event) || { x: 0, y: 0 };
+                        showTooltip({
+                          tooltipData: { ...d, segment: 'fail', value: d.fail },
+                          tooltipTop: point.y,
+                          tooltipLeft: point.x,
+                        });
+                      }}
+                      onMouseLeave={hideTooltip}
+                    />
+                  )}
+
+                  {/* Warning segment */}
+                  {d.warning > 0 && (
+                    <rect
+                      x={barX}
+                      y={warningY}
+                      width={barWidth}
+                      height={warningHeight}
+                      fill="url(#warningGradient)"
+                      stroke="#eab308"
+                      strokeWidth={1}
+                      className="bar-segment"
+                      onClick={handleSegmentClick(d, 'warning')}
+                      onMouseEnter={(event) => {
+                        if (brush) return;
+                        const point = localPoint(event) || { x: 0, y: 0 };
+                        showTooltip({
+                          tooltipData: { ...d, segment: 'warning', value: d.warning },
+                          tooltipTop: point.y,
+                          tooltipLeft: point.x,
+                        });
+                      }}
+                      onMouseLeave={hideTooltip}
+                    />
+                  )}
+
+                  {/* Success segment */}
+                  {d.success > 0 && (
+                    <rect
+                      x={barX}
+                      y={successY}
+                      width={barWidth}
+                      height={successHeight}
+                      fill="url(#successGradient)"
+                      stroke="#22c55e"
+                      strokeWidth={1}
+                      className="bar-segment"
+                      onClick={handleSegmentClick(d, 'success')}
+                      onMouseEnter={(event) => {
+                        if (brush) return;
+                        const point = localPoint(event) || { x: 0, y: 0 };
+                        showTooltip({
+                          tooltipData: { ...d, segment: 'success', value: d.success },
+                          tooltipTop: point.y,
+                          tooltipLeft: point.x,
+                        });
+                      }}
+                      onMouseLeave={hideTooltip}
+                    />
+                  )}
+
+                  {/* Total count label */}
+                  {showEventCounts && d.total > 0 && d.total >= eventCountThreshold && (
                     <text
                       x={barX + barWidth / 2}
-                      y={yScale(d.total) - 25}
+                      y={yScale(d.total) - 5}
                       textAnchor="middle"
-                      fontSize={8}
-                      fill={d.trendDirection === 'up' ? '#22c55e' : d.trendDirection === 'down' ? '#ef4444' : '#6b7280'}
-                      fontWeight="600"
+                      fontSize={10}
+                      fontWeight="bold"
+                      fill="#374151"
                     >
-                      {d.trend > 0 ? '+' : ''}{d.trend}%
+                      {d.total}
                     </text>
-                  </g>
-                )}
+                  )}
+
+                  {/* Trend indicator */}
+                  {showTrends && d.trend !== 0 && (
+                    <g>
+                      {d.trendDirection === 'up' ? (
+                        <TrendingUp
+                          x={barX + barWidth - 12}
+                          y={yScale(d.total) - 20}
+                          size={10}
+                          color="#22c55e"
+                        />
+                      ) : d.trendDirection === 'down' ? (
+                        <TrendingDown
+                          x={barX + barWidth - 12}
+                          y={yScale(d.total) - 20}
+                          size={10}
+                          color="#ef4444"
+                        />
+                      ) : null}
+                      <text
+                        x={barX + barWidth / 2}
+                        y={yScale(d.total) - 25}
+                        textAnchor="middle"
+                        fontSize={8}
+                        fill={d.trendDirection === 'up' ? '#22c55e' : d.trendDirection === 'down' ? '#ef4444' : '#6b7280'}
+                        fontWeight="600"
+                      >
+                        {d.trend > 0 ? '+' : ''}{d.trend}%
+                      </text>
+                    </g>
+                  )}
+                </g>
+              );
+            })}
+
+            {/* Previous period outlines, drawn over the bars */}
+            {previousData && processedData.map(d => d.previousTotal > 0 && (
+              <rect
+                key={`previous-${d.period}`}
+                x={xScale(d.period) || 0}
+                y={yScale(d.previousTotal)}
+                width={xScale.bandwidth()}
+                height={yMax - yScale(d.previousTotal)}
+                fill="none"
+                stroke="#6b7280"
+                strokeWidth={1.5}
+                strokeDasharray="4,3"
+                pointerEvents="none"
+              />
+            ))}
+            {previousData && (
+              <g transform={`translate(${xMax - 150}, -24)`} className="bar-comparison-legend">
+                <rect width={14} height={10} y={-8} fill="none" stroke="#6b7280" strokeDasharray="4,3" />
+                <text x={20} fontSize={11} fill="#374151">
+                  Previous period ({previousData.length})
+                </text>
               </g>
-            );
-          })}
-
-          {/* Y-axis line */}
-          <line
-            x1={0}
-            y1={0}
-            x2={0}
-            y2={yMax}
-            stroke="#374151"
-            strokeWidth={2}
-          />
+            )}
 
-          {/* X-axis line */}
-          <line
-            x1={0}
-            y1={yMax}
-            x2={xMax}
-            y2={yMax}
-            stroke="#374151"
-            strokeWidth={2}
-          />
+            {/* Y-axis line */}
+            <line
+              x1={0}
+              y1={0}
+              x2={0}
+              y2={yMax}
+              stroke="#374151"
+              strokeWidth={2}
+            />
+
+            {/* X-axis line */}
+            <line
+              x1={0}
+              y1={yMax}
+              x2={xMax}
+              y2={yMax}
+              stroke="#374151"
+              strokeWidth={2}
+            />
+
+            {/* Y-axis label */}
+            <text
+              x={-60}
+              y={yMax / 2}
+              textAnchor="middle"
+              fontSize={14}
+              fontWeight="600"
+              fill="#374151"
+              transform={`rotate(-90, -60, ${yMax / 2})`}
+            >
+              Event Count
+            </text>
 
-          {/* Y-axis label */}
-          <text
-            x={-60}
-            y={yMax / 2}
-            textAnchor="middle"
-            fontSize={14}
-            fontWeight="600"
-            fill="#374151"
-            transform={`rotate(-90, -60, ${yMax / 2})`}
-          >
-            Event Count
-          </text>
-
-          {/* X-axis label */}
-          <text
-            x={xMax / 2}
-            y={yMax + 60}
-            textAnchor="middle"
-            fontSize={14}
-            fontWeight="600"
-            fill="#374151"
+            {/* X-axis label */}
+            <text
+              x={xMax / 2}
+              y={yMax + 60}
+              textAnchor="middle"
+              fontSize={14}
+              fontWeight="600"
+              fill="#374151"
+            >
+              Time Period ({granularity})
+            </text>
+
+            {/* Brush selection */}
+            {brush && brushDraggedRef.current && (
+              <rect
+                x={Math.min(brush.startX, brush.endX)}
+                y={0}
+                width={Math.abs(brush.endX - brush.startX)}
+                height={yMax}
+                fill="rgba(59, 130, 246, 0.15)"
+                stroke="#3b82f6"
+                strokeDasharray="4,2"
+                pointerEvents="none"
+              />
+            )}
+          </g>
+        </svg>
+
+        {tooltipData && (
+          <Tooltip
+            top={tooltipTop}
+            left={tooltipLeft}
+            style={{
+              ...defaultStyles,
+              backgroundColor: 'rgba(0, 0, 0, 0.95)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              padding: '12px 16px',
+              fontSize: '13px',
+              boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+              maxWidth: '250px'
+            }}
           >
-            Time Period ({granularity})
-          </text>
-        </g>
-      </svg>
-
-      {tooltipData && (
-        <Tooltip
-          top={tooltipTop}
-          left={tooltipLeft}
-          style={{
-            ...defaultStyles,
-            backgroundColor: 'rgba(0, 0, 0, 0.95)',
-            color: 'white',
-            border: 'none',
-            borderRadius: '8px',
-            padding: '12px 16px',
-            fontSize: '13px',
-            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
-            maxWidth: '250px'
-          }}
-        >
-          <div className="tooltip-content">
-            <div className="tooltip-header">
-              <strong>{tooltipData.periodLabel}</strong>
-              <span className="tooltip-trend">
-                {tooltipData.trendDirection === 'up' ? '📈' : tooltipData.trendDirection === 'down' ? '📉' : '➡️'}
-                {tooltipData.trend > 0 ? '+' : ''}{tooltipData.trend}%
-              </span>
-            </div>
-            <div className="tooltip-body">
-              <p>📊 Total: {tooltipData.total} events</p>
-              <p>✅ Success: {tooltipData.success}</p>
-              <p>⚠️ Warning: {tooltipData.warning}</p>
-              <p>❌ Failed: {tooltipData.fail}</p>
-              {tooltipData.segment && (
-                <p style={{ marginTop: '8px', fontWeight: 'bold' }}>
-                  Selected: {tooltipData.segment} ({tooltipData.value})
-                </p>
-              )}
+            <div className="tooltip-content">
+              <div className="tooltip-header">
+                <strong>{tooltipData.periodLabel}</strong>
+                <span className="tooltip-trend">
+                  {tooltipData.trendDirection === 'up' ? '📈' : tooltipData.trendDirection === 'down' ? '📉' : '➡️'}
+                  {tooltipData.trend > 0 ? '+' : ''}{tooltipData.trend}%
+                </span>
+              </div>
+              <div className="tooltip-body">
+                <p>📊 Total: {tooltipData.total} events</p>
+                {tooltipData.previousTotal !== null && (
+                  <p>⏮️ Previous period: {tooltipData.previousTotal}</p>
+                )}
+                <p>✅ Success: {tooltipData.success}</p>
+                <p>⚠️ Warning: {tooltipData.warning}</p>
+                <p>❌ Failed: {tooltipData.fail}</p>
+                {tooltipData.segment && (
+                  <p style={{ marginTop: '8px', fontWeight: 'bold' }}>
+                    Selected: {tooltipData.segment} ({tooltipData.value})
+                  </p>
+                )}
+                {onCellClick && (
+                  <p className="tooltip-hint">
+                    Click to inspect{onRangeSelect ? ' • drag across bars to filter the range' : ''}
+                  </p>
+                )}
+              </div>
             </div>
-          </div>
-        </Tooltip>
-      )}
+          </Tooltip>
+        )}
+      </div>
     </div>
   );
 }));
 
+// Shared empty lists, so an absent prop or an unused input doesn't invalidate memoized values
+// on every render
+const noCellMarkers = [];
+const noCells = [];
+
+// Rough rendered width of `text` for collision checks, without measuring the DOM
+const estimateTextWidth = (text, fontSize) => text.length * fontSize * 0.6;
+
+const truncateLabel = (text, maxChars) => (text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text);
+
+// Most frequent users or devices among a cell's events, for the tooltip links
+const topEntityIds = (events, type, limit = 3) => {
+  const counts = {};
+  events.forEach(event => {
+    if (event[type]) counts[event[type]] = (counts[event[type]] || 0) + 1;
+  });
+  return Object.keys(counts).sort((a, b) => counts[b] - counts[a]).slice(0, limit);
+};
+
 const HeatmapChart = memo(withTooltip(({
   data,
-  width = 1000,
-  height = 500,
+  width: baseWidth = 1000,
+  height: baseHeight = 500,
+  responsive = false,
   showTooltip,
   hideTooltip,
   tooltipData,
@@ -506,574 +712,810 @@ const HeatmapChart = memo(withTooltip(({
   onCellClick,
   showGradient = true,
   showAccessibilityPatterns = false,
-  granularity // Added granularity prop
+  granularity: requestedGranularity,
+  exportMeta,
+  chartRef,
+  cellMarkers = noCellMarkers,
+  onEntityClick,
+  showEventCounts = true,
+  eventCountThreshold = 3,
+  showGridLines = true,
+  canvasThreshold = 2500
 }) => {
-  const margin = { top: 80, right: 40, bottom: 60, left: 220 };
-  const xMax = width - margin.left - margin.right;
-  const yMax = height - margin.top - margin.bottom;
-
-  // Memoize expensive calculations with safety checks
-  const activityTypes = useMemo(() => Array.from(new Set(data.filter(d => d && d.activityType).map(d => d.activityType))), [data]);
-  const dates = useMemo(() => Array.from(new Set(data.filter(d => d && d.date).map(d => d.date))).sort(), [data]);
-
-  // Create weekly bins - Add safety checks
-  const validDates = dates.filter(date => date && typeof date === 'string');
-  const firstDate = validDates.length > 0 ? parseISO(validDates[0]) : new Date();
-  const lastDate = validDates.length > 0 ? parseISO(validDates[validDates.length - 1]) : new Date();
-  const weeks = validDates.length > 0 ? eachWeekOfInterval({ start: firstDate, end: lastDate }) : [];
-
-  // Create appropriate scale based on granularity
-  const getXScale = () => {
-    if (granularity === 'daily') {
-      return scaleBand({
-        domain: dates.filter(date => date), // Filter out undefined dates
-        range: [0, xMax],
-        padding: 0.1
-      });
-    } else if (granularity === 'monthly') {
-      const months = Array.from(new Set(dates.filter(date => date).map(date => format(parseISO(date), 'yyyy-MM'))));
-      return scaleBand({
-        domain: months,
-        range: [0, xMax],
-        padding: 0.1
-      });
-    } else { // weekly or other
-      return scaleBand({
-        domain: weeks.map(week => format(week, 'yyyy-MM-dd')),
-        range: [0, xMax],
-        padding: 0.1
-      });
-    }
-  };
-
-  const xScale = getXScale();
+  const svgRef = useRef(null);
+  // Hiding is delayed so the pointer can move from a cell into its tooltip's entity links
+  const hideTimerRef = useRef(null);
+  const cancelTooltipHide = () => clearTimeout(hideTimerRef.current);
+  useEffect(() => () => clearTimeout(hideTimerRef.current), []);
+  const { containerRef, parentRef, width, height, isFullscreen, toggleFullscreen } =
+    useChartLayout({ width: baseWidth, height: baseHeight, responsive, minWidth: 600 });
+  // The activity label column gives up space on narrow charts; labels are truncated to fit
+  const margin = { top: 80, right: 40, bottom: 60, left: Math.round(Math.min(220, Math.max(140, width * 0.2))) };
+  const xMax = Math.max(0, width - margin.left - margin.right);
+  const yMax = Math.max(0, height - margin.top - margin.bottom);
+
+  // Rows, columns and cells come from the shared aggregation (see BarGraph)
+  const { aggregation, pending } = useAggregation(data, requestedGranularity);
+  const granularity = aggregation.granularity || requestedGranularity;
+  const { activityTypes, periods } = aggregation;
+
+  // Memoized so the canvas renderer only redraws when the layout actually changes
+  const xScale = useMemo(() => scaleBand({
+    domain: periods.map(period => period.key),
+    range: [0, xMax],
+    padding: 0.1
+  }), [periods, xMax]);
 
-  const yScale = scaleBand({
+  const yScale = useMemo(() => scaleBand({
     domain: activityTypes,
     range: [0, yMax],
     padding: 0.1
-  });
+  }), [activityTypes, yMax]);
+
+  // Axis labels: every n-th period so the widest label fits in n columns, every n-th activity
+  // type so rows never overlap, and activity names cut to the label column
+  const xTicks = useMemo(() => {
+    const widest = periods.reduce((max, period) => Math.max(
+      max,
+      estimateTextWidth(period.primaryLabel, 12),
+      estimateTextWidth(period.secondaryLabel || '', 10)
+    ), 0);
+    return getPeriodTicks(periods, Math.max(1, Math.ceil((widest + 8) / Math.max(1, xScale.step()))));
+  }, [periods, xScale]);
+  const xTicksByKey = useMemo(() => new Map(xTicks.map(tick => [tick.key, tick])), [xTicks]);
+  const yTickStep = Math.max(1, Math.ceil(15 / Math.max(1, yScale.step())));
+  const yTicks = activityTypes.filter((activityType, index) => index % yTickStep === 0);
+  const activityLabelChars = Math.max(4, Math.floor((margin.left - 20) / estimateTextWidth('x', 13)));
 
   // Process data into grid format with intensity based on granularity
-  const processDataByGranularity = () => {
-    if (granularity === 'daily') {
-      // Daily view - group by individual days
-      return activityTypes.map(activityType => {
-        return dates.map(date => {
-          const dayEvents = data.filter(d =>
-            d.date === date && d.activityType === activityType
-          );
-
-          let status = null;
-          let intensity = 0;
-          if (dayEvents.length > 0) {
-            const statusCounts = dayEvents.reduce((acc, event) => {
-              acc[event.status] = (acc[event.status] || 0) + 1;
-              return acc;
-            }, {});
-
-            if (statusCounts.fail) status = 'fail';
-            else if (statusCounts.warning) status = 'warning';
-            else status = 'success';
-
-            intensity = dayEvents.length / Math.max(...dates.map(d =>
-              data.filter(item => item.date === d && item.activityType === activityType).length
-            ), 1);
-          }
-
-          return {
-            activityType,
-            period: date,
-            periodLabel: format(parseISO(date), 'MMM dd'),
-            status,
-            events: dayEvents,
-            count: dayEvents.length,
-            intensity
-          };
-        });
-      }).flat();
-    } else if (granularity === 'monthly') {
-      // Monthly view - group by months
-      const months = Array.from(new Set(dates.map(date => format(parseISO(date), 'yyyy-MM'))));
-      return activityTypes.map(activityType => {
-        return months.map(month => {
-          const monthEvents = data.filter(d => {
-            const eventMonth = format(parseISO(d.date), 'yyyy-MM');
-            return eventMonth === month && d.activityType === activityType;
-          });
-
-          let status = null;
-          let intensity = 0;
-          if (monthEvents.length > 0) {
-            const statusCounts = monthEvents.reduce((acc, event) => {
-              acc[event.status] = (acc[event.status] || 0) + 1;
-              return acc;
-            }, {});
-
-            if (statusCounts.fail) status = 'fail';
-            else if (statusCounts.warning) status = 'warning';
-            else status = 'success';
-
-            intensity = monthEvents.length / Math.max(...months.map(m =>
-              data.filter(item => format(parseISO(item.date), 'yyyy-MM') === m && item.activityType === activityType).length
-            ), 1);
-          }
-
-          return {
-            activityType,
-            period: month,
-            periodLabel: format(parseISO(month + '-01'), 'MMM yyyy'),
-            status,
-            events: monthEvents,
-            count: monthEvents.length,
-            intensity
-          };
-        });
-      }).flat();
-    } else { // weekly or other
-      // Weekly view (default)
-      return activityTypes.map(activityType => {
-        return weeks.map(week => {
-          const weekStart = startOfWeek(week);
-          const weekEnd = endOfWeek(week);
-          const weekKey = format(week, 'yyyy-MM-dd');
-
-          const weekEvents = data.filter(d => {
-            const eventDate = parseISO(d.date);
-            return d.activityType === activityType &&
-                   eventDate >= weekStart &&
-                   eventDate <= weekEnd;
-          });
-
-          let status = null;
-          let intensity = 0;
-          if (weekEvents.length > 0) {
-            const statusCounts = weekEvents.reduce((acc, event) => {
-              acc[event.status] = (acc[event.status] || 0) + 1;
-              return acc;
-            }, {});
-
-            if (statusCounts.fail) status = 'fail';
-            else if (statusCounts.warning) status = 'warning';
-            else status = 'success';
-
-            const maxEvents = Math.max(...activityTypes.map(type => {
-              const typeWeeks = weeks.map(w => {
-                const wStart = startOfWeek(w);
-                const wEnd = endOfWeek(w);
-                return data.filter(d => {
-                  const eventDate = parseISO(d.date);
-                  return d.activityType === type &&
-                         eventDate >= wStart &&
-                         eventDate <= wEnd;
-                }).length;
-              });
-              return Math.max(...typeWeeks, 1);
-            }), 1);
-
-            intensity = weekEvents.length / maxEvents;
-          }
-
-          return {
-            activityType,
-            period: weekKey,
-            periodLabel: format(week, 'MMM dd'),
-            status,
-            events: weekEvents,
-            count: weekEvents.length,
-            intensity
-          };
-        });
-      }).flat();
-    }
-  };
+  const gridData = useMemo(() => {
+    const { cells } = aggregation;
+    const rowMax = {};
+    let overallMax = 1;
+    cells.forEach((cell, cellKey) => {
+      const activityType = cellKey.slice(0, cellKey.lastIndexOf('|'));
+      rowMax[activityType] = Math.max(rowMax[activityType] || 1, cell.count);
+      overallMax = Math.max(overallMax, cell.count);
+    });
 
-  const gridData = useMemo(() => processDataByGranularity(), [data, granularity, activityTypes, dates]);
+    return activityTypes.map(activityType => {
+      return periods.map(period => {
+        const cell = cells.get(`${activityType}|${period.key}`);
 
-  // Intensity color scale
-  const getIntensityColor = (status, intensity) => {
-    if (!status) return null;
-    const baseColor = statusColorMap[status];
-    if (!showGradient) return baseColor;
+        let status = null;
+        let intensity = 0;
+        if (cell) {
+          if (cell.fail) status = 'fail';
+          else if (cell.warning) status = 'warning';
+          else status = 'success';
 
-    // Convert hex to rgb and apply opacity based on intensity
-    const hex = baseColor.replace('#', '');
-    const r = parseInt(hex.substr(0, 2), 16);
-    const g = parseInt(hex.substr(2, 2), 16);
-    const b = parseInt(hex.substr(4, 2), 16);
-    const alpha = Math.max(0.3, intensity); // Minimum 0.3 opacity
+          // Weekly cells are scaled against the busiest cell overall, the rest per activity row
+          intensity = cell.count / (granularity === 'weekly' ? overallMax : rowMax[activityType]);
+        }
 
-    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
-  };
+        return {
+          activityType,
+          period: period.key,
+          periodLabel: period.label,
+          status,
+          events: cell ? cell.events : [],
+          count: cell ? cell.count : 0,
+          intensity
+        };
+      });
+    }).flat();
+  }, [aggregation, granularity, activityTypes, periods]);
 
   const getPatternId = (status) => `pattern-${status}`;
 
+  // Overlay markers: each entry is { id, label, color, events: Set, highlight? } and marks every
+  // cell that holds at least one of its events; highlight markers also outline the cell
+  const cellMarkerCounts = useMemo(() => {
+    const counts = {};
+    if (cellMarkers.length === 0) return counts;
+    gridData.forEach(cell => {
+      const markers = cellMarkers
+        .map(marker => ({ id: marker.id, label: marker.label, color: marker.color, highlight: marker.highlight, count: cell.events.filter(e => marker.events.has(e)).length }))
+        .filter(marker => marker.count > 0);
+      if (markers.length > 0) counts[`${cell.activityType}|${cell.period}`] = markers;
+    });
+    return counts;
+  }, [gridData, cellMarkers]);
+
+  // Shared by the SVG cells and the canvas renderer. With entity links the tooltip sits
+  // against the cell's right edge so it can be reached; otherwise it follows the pointer.
+  const showCellTooltip = useCallback((cell, point) => {
+    clearTimeout(hideTimerRef.current);
+    requestAnimationFrame(() => {
+      showTooltip({
+        tooltipData: cell,
+        tooltipTop: onEntityClick ? margin.top + (yScale(cell.activityType) || 0) : point.y,
+        tooltipLeft: onEntityClick ? margin.left + (xScale(cell.period) || 0) + xScale.bandwidth() : point.x,
+      });
+    });
+  }, [showTooltip, onEntityClick, xScale, yScale, margin.left]);
+
+  const hideCellTooltip = useCallback(() => {
+    clearTimeout(hideTimerRef.current);
+    hideTimerRef.current = setTimeout(hideTooltip, onEntityClick ? 200 : 0);
+  }, [hideTooltip, onEntityClick]);
+
+  const openCell = useCallback((event, cell) => {
+    event.stopPropagation();
+    requestAnimationFrame(() => onCellClick(cell));
+  }, [onCellClick]);
+
+  // Past `canvasThreshold` cells one element per cell gets slow, so the cells move to a canvas
+  const drawOnCanvas = gridData.length > canvasThreshold;
+  const canvasId = useId();
+
+  // Heatmap cells: HeatmapRect lays out one column per period and one bin per activity type,
+  // with the band scales' padding as the gap between cells
+  const heatmapColumns = useMemo(() => periods.map((period, column) => ({
+    period: period.key,
+    bins: activityTypes.map((activityType, row) => gridData[row * periods.length + column])
+  })), [gridData, periods, activityTypes]);
+
+  // Keyboard access to the SVG cells, as on the canvas: the cells group takes focus and the
+  // arrow keys move the focused cell, whose tooltip sits against its right edge
+  const { focusedCell, focusProps } = useHeatmapFocus({
+    cells: drawOnCanvas ? noCells : gridData,
+    rows: activityTypes,
+    columns: xScale.domain(),
+    onCellFocus: cell => {
+      const markers = cellMarkerCounts[`${cell.activityType}|${cell.period}`];
+      showCellTooltip(markers ? { ...cell, markers } : cell, {
+        x: margin.left + (xScale(cell.period) || 0) + xScale.bandwidth(),
+        y: margin.top + (yScale(cell.activityType) || 0)
+      });
+    },
+    onCellLeave: hideCellTooltip,
+    onCellClick: openCell
+  });
+
+  const svgCells = useMemo(() => {
+    if (drawOnCanvas) return null;
+    return (
+      <HeatmapRect
+        data={heatmapColumns}
+        xScale={column => xScale(heatmapColumns[column].period) || 0}
+        yScale={row => yScale(activityTypes[row]) || 0}
+        binWidth={xScale.bandwidth()}
+        binHeight={yScale.bandwidth()}
+        gap={0}
+        count={cell => cell.count}
+      >
+        {heatmap => heatmap.map(column => column.map(bin => {
+          const cell = bin.bin;
+          if (!cell.status) return null;
+          const markers = cellMarkerCounts[`${cell.activityType}|${cell.period}`];
+          const highlight = markers && markers.find(marker => marker.highlight);
+
+          const { x, y, width, height } = bin;
+          const fillColor = getIntensityColor(cell.status, cell.intensity, showGradient);
+
+          return (
+            <g key={`${cell.activityType}-${cell.period}`}>
+              <rect
+                x={x}
+                y={y}
+                width={width}
+                height={height}
+                fill={showAccessibilityPatterns ? `url(#${getPatternId(cell.status)})` : fillColor}
+                stroke={highlight ? highlight.color : '#fff'}
+                strokeWidth={highlight ? 3 : 1.5}
+                className={`heatmap-cell ${highlight ? 'highlighted' : ''}`}
+                onMouseEnter={(event) => showCellTooltip(markers ? { ...cell, markers } : cell, localPoint(event) || { x: 0, y: 0 })}
+                onMouseLeave={hideCellTooltip}
+                onClick={(event) => openCell(event, cell)}
+              />
+              {/* Event count indicator for high activity */}
+              {showEventCounts && cell.count >= eventCountThreshold && (
+                <text
+                  x={x + width / 2}
+                  y={y + height / 2}
+                  textAnchor="middle"
+                  dominantBaseline="middle"
+                  fontSize={width < 30 ? 8 : 10}
+                  fill="white"
+                  fontWeight="bold"
+                  className="event-count-text"
+                  style={{ pointerEvents: 'none' }}
+                >
+                  {cell.count}
+                </text>
+              )}
+              {markers && markers.map((marker, markerIndex) => (
+                <circle
+                  key={marker.id}
+                  cx={x + width - 5 - markerIndex * 8}
+                  cy={y + 5}
+                  r={3.5}
+                  fill={marker.color}
+                  stroke="white"
+                  strokeWidth={1}
+                  className="heatmap-cell-marker"
+                  style={{ pointerEvents: 'none' }}
+                />
+              ))}
+            </g>
+          );
+        }))}
+      </HeatmapRect>
+    );
+  }, [drawOnCanvas, heatmapColumns, activityTypes, xScale, yScale, showGradient, showAccessibilityPatterns, showEventCounts, eventCountThreshold, showCellTooltip, hideCellTooltip, openCell, cellMarkerCounts]);
+
+  const handleExport = useChartExport({
+    svgRef,
+    title: 'Activity Timeline Heatmap',
+    meta: exportMeta,
+    rows: gridData,
+    columns: heatmapCellColumns,
+    events: data
+  });
+  const snapshot = useChartSnapshot({ svgRef, title: 'Activity Timeline Heatmap', meta: exportMeta });
+
+  useImperativeHandle(chartRef, () => ({ exportChart: handleExport, toggleFullscreen, snapshot }), [handleExport, toggleFullscreen, snapshot]);
+
   return (
-    <div className="heatmap-container">
+    <div ref={containerRef} className={`heatmap-container ${isFullscreen ? 'fullscreen' : ''}`}>
       <div className="chart-header">
         <h3>Activity Timeline Heatmap</h3>
         <div className="chart-controls">
-          <button className="chart-control-btn" title="Export Chart">
-            <Download size={16} />
-          </button>
-          <button className="chart-control-btn" title="Fullscreen">
-            <Maximize2 size={16} />
+          <ExportMenu onExport={handleExport} />
+          <button
+            className="chart-control-btn"
+            title={isFullscreen ? 'Exit Fullscreen' : 'Fullscreen'}
+            onClick={toggleFullscreen}
+          >
+            {isFullscreen ? <Minimize2 size={16} /> : <Maximize2 size={16} />}
           </button>
         </div>
       </div>
 
-      <svg width={width} height={height}>
-        <defs>
-          {/* Accessibility patterns */}
-          <pattern id="pattern-success" patternUnits="userSpaceOnUse" width="4" height="4">
-            <rect width="4" height="4" fill={statusColorMap.success} />
-            <path d="M 0,4 l 4,-4 M -1,1 l 2,-2 M 3,5 l 2,-2" stroke="white" strokeWidth="0.5" />
-          </pattern>
-          <pattern id="pattern-warning" patternUnits="userSpaceOnUse" width="4" height="4">
-            <rect width="4" height="4" fill={statusColorMap.warning} />
-            <circle cx="2" cy="2" r="0.5" fill="white" />
-          </pattern>
-          <pattern id="pattern-fail" patternUnits="userSpaceOnUse" width="4" height="4">
-            <rect width="4" height="4" fill={statusColorMap.fail} />
-            <path d="M 1,1 l 2,2 M 1,3 l 2,-2" stroke="white" strokeWidth="0.5" />
-          </pattern>
-        </defs>
-
-        <g transform={`translate(${margin.left}, ${margin.top})`}>
-          {/* Y-axis labels (Activity Types) */}
-          {activityTypes.map(activityType => (
-            <text
-              key={activityType}
-              x={-15}
-              y={(yScale(activityType) || 0) + yScale.bandwidth() / 2}
-              textAnchor="end"
-              dominantBaseline="middle"
-              className="axis-label activity-label"
-              fontSize={13}
-            >
-              {activityType}
-            </text>
-          ))}
-
-          {/* X-axis labels - Dynamic based on granularity */}
-          {(() => {
-            if (granularity === 'daily') {
-              return dates.map((date, i) => {
-                if (i % 3 === 0) {
-                  return (
-                    <g key={date}>
-                      <text
-                        x={(xScale(date) || 0) + xScale.bandwidth() / 2}
-                        y={-20}
-                        textAnchor="middle"
-                        className="axis-label"
-                        fontSize={10}
-                        fill="#374151"
-                      >
-                        {format(parseISO(date), 'MMM dd')}
-                      </text>
-                    </g>
-                  );
-                }
-                return null;
-              });
-            } else if (granularity === 'monthly') {
-              const months = Array.from(new Set(dates.filter(date => date && typeof date === 'string').map(date => format(parseISO(date), 'yyyy-MM'))));
-              return months.map((month) => (
-                <g key={month}>
-                  <text
-                    x={(xScale(month) || 0) + xScale.bandwidth() / 2}
-                    y={-35}
-                    textAnchor="middle"
-                    className="axis-label month-label"
-                    fontSize={12}
-                    fill="#374151"
-                  >
-                    {format(parseISO(month + '-01'), 'MMM')}
-                  </text>
-                  <text
-                    x={(xScale(month) || 0) + xScale.bandwidth() / 2}
-                    y={-20}
-                    textAnchor="middle"
-                    className="axis-label year-label"
-                    fontSize={10}
-                    fill="#6b7280"
-                  >
-                    {format(parseISO(month + '-01'), 'yyyy')}
-                  </text>
-                </g>
-              ));
-            } else { // weekly or other
-              return weeks.map((week, i) => {
-                if (i % 2 === 0) {
-                  return (
-                    <g key={format(week, 'yyyy-MM-dd')}>
-                      <text
-                        x={(xScale(format(week, 'yyyy-MM-dd')) || 0) + xScale.bandwidth() / 2}
-                        y={-35}
-                        textAnchor="middle"
-                        className="axis-label month-label"
-                        fontSize={12}
-                        fill="#374151"
-                      >
-                        {format(week, 'MMM')}
-                      </text>
-                      <text
-                        x={(xScale(format(week, 'yyyy-MM-dd')) || 0) + xScale.bandwidth() / 2}
-                        y={-20}
-                        textAnchor="middle"
-                        className="axis-label year-label"
-                        fontSize={10}
-                        fill="#6b7280"
-                      >
-                        {format(week, 'yyyy')}
+      <div ref={parentRef} className="chart-body">
+        {pending && <div className="chart-pending" role="status">Aggregating {data.length.toLocaleString()} events…</div>}
+        <svg ref={svgRef} width={width} height={height}>
+          <defs>
+            {/* Accessibility patterns */}
+            {Object.entries(statusPatternMarks).map(([status, marks]) => (
+              <pattern key={status} id={getPatternId(status)} patternUnits="userSpaceOnUse" width="4" height="4">
+                <rect width="4" height="4" fill={statusColorMap[status]} />
+                {marks.stroke && <path d={marks.stroke} stroke="white" strokeWidth="0.5" />}
+                {marks.fill && <path d={marks.fill} fill="white" />}
+              </pattern>
+            ))}
+          </defs>
+
+          <g transform={`translate(${margin.left}, ${margin.top})`}>
+            <AxisLeft
+              scale={yScale}
+              tickValues={yTicks}
+              hideAxisLine
+              hideTicks
+              tickLength={15}
+              tickComponent={({ x, y, formattedValue }) => (
+                <text x={x} y={y} textAnchor="end" dominantBaseline="middle" className="axis-label activity-label" fontSize={13}>
+                  {truncateLabel(formattedValue, activityLabelChars)}
+                  <title>{formattedValue}</title>
+                </text>
+              )}
+            />
+
+            {/* Period ticks; the tick's text is its period key, looked up for the formatted labels */}
+            <AxisTop
+              scale={xScale}
+              tickValues={xTicks.map(tick => tick.key)}
+              tickFormat={key => key}
+              hideAxisLine
+              tickLength={6}
+              tickStroke="#d1d5db"
+              tickComponent={({ x, y, formattedValue }) => {
+                const tick = xTicksByKey.get(formattedValue);
+                return tick ? (
+                  <>
+                    <text x={x} y={y - 6} textAnchor="middle" className="axis-label month-label" fontSize={12} fill="#374151">
+                      {tick.primary}
+                    </text>
+                    {tick.secondary && (
+                      <text x={x} y={y - 22} textAnchor="middle" className="axis-label year-label" fontSize={10} fill="#6b7280">
+                        {tick.secondary}
                       </text>
-                    </g>
-                  );
-                }
-                return null;
-              });
-            }
-          })()}
-
-          {/* Grid lines */}
-          <g className="grid-lines">
-            {(() => {
-              if (granularity === 'daily') {
-                return dates.map((date, i) => (
-                  <line
-                    key={`v-${i}`}
-                    x1={xScale(date) || 0}
-                    y1={0}
-                    x2={xScale(date) || 0}
-                    y2={yMax}
-                    stroke="#f3f4f6"
-                    strokeWidth={0.5}
-                  />
-                ));
-              } else if (granularity === 'monthly') {
-                const months = Array.from(new Set(dates.filter(date => date && typeof date === 'string').map(date => format(parseISO(date), 'yyyy-MM'))));
-                return months.map((month, i) => (
-                  <line
-                    key={`v-${i}`}
-                    x1={xScale(month) || 0}
-                    y1={0}
-                    x2={xScale(month) || 0}
-                    y2={yMax}
-                    stroke="#f3f4f6"
-                    strokeWidth={0.5}
-                  />
-                ));
-              } else { // weekly or other
-                return weeks.map((week, i) => (
-                  <line
-                    key={`v-${i}`}
-                    x1={xScale(format(week, 'yyyy-MM-dd')) || 0}
-                    y1={0}
-                    x2={xScale(format(week, 'yyyy-MM-dd')) || 0}
-                    y2={yMax}
-                    stroke="#f3f4f6"
-                    strokeWidth={0.5}
+                    )}
+                  </>
+                ) : null;
+              }}
+            />
+
+            {/* Grid lines, centred in the gaps between cells (the grid puts band lines mid-band).
+                The canvas draws its own. */}
+            {showGridLines && !drawOnCanvas && (
+              <g className="grid-lines">
+                <GridColumns
+                  scale={xScale}
+                  height={yMax}
+                  tickValues={periods.map(period => period.key)}
+                  offset={-xScale.step() / 2}
+                  stroke="#e5e7eb"
+                  strokeWidth={0.5}
+                />
+                <GridRows
+                  scale={yScale}
+                  width={xMax}
+                  tickValues={activityTypes}
+                  offset={-yScale.step() / 2}
+                  stroke="#e5e7eb"
+                  strokeWidth={0.5}
+                />
+              </g>
+            )}
+
+            {/* Heatmap cells: SVG elements, or a placeholder the export fills from the canvas */}
+            {drawOnCanvas ? (
+              <image data-canvas={canvasId} x={0} y={0} width={xMax} height={yMax} />
+            ) : (
+              <g className="heatmap-cells" role="img" {...focusProps}>
+                {svgCells}
+                {focusedCell && (
+                  <rect
+                    className="heatmap-cell-focus"
+                    x={xScale(focusedCell.period) || 0}
+                    y={yScale(focusedCell.activityType) || 0}
+                    width={xScale.bandwidth()}
+                    height={yScale.bandwidth()}
                   />
-                ));
-              }
-            })()}
-            {activityTypes.map((type, i) => (
-              <line
-                key={`h-${i}`}
-                x1={0}
-                y1={yScale(type) || 0}
-                x2={xMax}
-                y2={yScale(type) || 0}
-                stroke="#f3f4f6"
-                strokeWidth={0.5}
-              />
-            ))}
+                )}
+              </g>
+            )}
           </g>
+        </svg>
 
-          {/* Heatmap cells - Optimized rendering */}
-          {useMemo(() => {
-            const throttledShowTooltip = (event, cell) => {
-              requestAnimationFrame(() => {
-                const point = localPoint(event) || { x: 0, y: 0 };
-                showTooltip({
-                  tooltipData: cell,
-                  tooltipTop: point.y,
-                  tooltipLeft: point.x,
-                });
-              });
-            };
-
-            const throttledHideTooltip = () => {
-              requestAnimationFrame(() => {
-                hideTooltip();
-              });
-            };
-
-            return gridData.map((cell, index) => {
-              if (!cell.status) return null;
-
-              const x = xScale(cell.period) || 0;
-              const y = yScale(cell.activityType) || 0;
-              const width = xScale.bandwidth();
-              const height = yScale.bandwidth();
-              const fillColor = showGradient
-                ? getIntensityColor(cell.status, cell.intensity)
-                : statusColorMap[cell.status];
+        {!drawOnCanvas && (
+          <div className="heatmap-focus-status" aria-live="polite">
+            {focusedCell ? describeCell(focusedCell) : ''}
+          </div>
+        )}
 
-              return (
-                <g key={`${cell.activityType}-${cell.period}`}>
-                  <rect
-                    x={x}
-                    y={y}
-                    width={width}
-                    height={height}
-                    fill={showAccessibilityPatterns ? `url(#${getPatternId(cell.status)})` : fillColor}
-                    stroke="#fff"
-                    strokeWidth={1.5}
-                    className="heatmap-cell"
-                    onMouseEnter={(event) => throttledShowTooltip(event, cell)}
-                    onMouseLeave={throttledHideTooltip}
-                    onClick={(event) => {
-                      event.stopPropagation();
-                      requestAnimationFrame(() => onCellClick(cell));
-                    }}
-                  />
-                  {/* Event count indicator for high activity */}
-                  {cell.count > 2 && (
-                    <text
-                      x={x + width / 2}
-                      y={y + height / 2}
-                      textAnchor="middle"
-                      dominantBaseline="middle"
-                      fontSize={width < 30 ? 8 : 10}
-                      fill="white"
-                      fontWeight="bold"
-                      className="event-count-text"
-                      style={{ pointerEvents: 'none' }}
-                    >
-                      {cell.count}
-                    </text>
-                  )}
-                </g>
-              );
-            });
-          }, [gridData, xScale, yScale, showGradient, showAccessibilityPatterns, showTooltip, hideTooltip, onCellClick])}
-        </g>
-      </svg>
-
-      {tooltipData && (
-        <Tooltip
-          top={tooltipTop}
-          left={tooltipLeft}
-          style={{
-            ...defaultStyles,
-            backgroundColor: 'rgba(0, 0, 0, 0.95)',
-            color: 'white',
-            border: 'none',
-            borderRadius: '8px',
-            padding: '12px 16px',
-            fontSize: '13px',
-            boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
-            maxWidth: '250px'
-          }}
-        >
-          <div className="tooltip-content">
-            <div className="tooltip-header">
-              <strong>{tooltipData.activityType}</strong>
-              <span className="tooltip-status" style={{ color: statusColorMap[tooltipData.status] }}>
-                {statusIcons[tooltipData.status]} {tooltipData.status.toUpperCase()}
-              </span>
-            </div>
-            <div className="tooltip-body">
-              <p>📅 {tooltipData.periodLabel}</p>
-              <p>📊 {tooltipData.count} events</p>
-              <p>💪 Intensity: {Math.round(tooltipData.intensity * 100)}%</p>
-              <small>Click for detailed view</small>
+        {drawOnCanvas && (
+          <HeatmapCanvas
+            id={canvasId}
+            cells={gridData}
+            xScale={xScale}
+            yScale={yScale}
+            left={margin.left}
+            top={margin.top}
+            width={xMax}
+            height={yMax}
+            showGridLines={showGridLines}
+            showGradient={showGradient}
+            showAccessibilityPatterns={showAccessibilityPatterns}
+            showEventCounts={showEventCounts}
+            eventCountThreshold={eventCountThreshold}
+            cellMarkerCounts={cellMarkerCounts}
+            onCellHover={showCellTooltip}
+            onCellLeave={hideCellTooltip}
+            onCellClick={openCell}
+          />
+        )}
+
+        {tooltipData && (
+          <Tooltip
+            top={tooltipTop}
+            left={tooltipLeft}
+            offsetLeft={onEntityClick ? 0 : 10}
+            offsetTop={onEntityClick ? 0 : 10}
+            style={{
+              ...defaultStyles,
+              backgroundColor: 'rgba(0, 0, 0, 0.95)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '8px',
+              padding: '12px 16px',
+              fontSize: '13px',
+              boxShadow: '0 10px 15px -3px rgba(0, 0, 0, 0.1)',
+              maxWidth: '250px',
+              pointerEvents: onEntityClick ? 'auto' : 'none'
+            }}
+          >
+            <div className="tooltip-content" onMouseEnter={cancelTooltipHide} onMouseLeave={onEntityClick ? hideTooltip : undefined}>
+              <div className="tooltip-header">
+                <strong>{tooltipData.activityType}</strong>
+                <span className="tooltip-status" style={{ color: statusColorMap[tooltipData.status] }}>
+                  {statusIcons[tooltipData.status]} {tooltipData.status.toUpperCase()}
+                </span>
+              </div>
+              <div className="tooltip-body">
+                <p>📅 {tooltipData.periodLabel}</p>
+                <p>📊 {tooltipData.count} events</p>
+                <p>💪 Intensity: {Math.round(tooltipData.intensity * 100)}%</p>
+                {tooltipData.markers && tooltipData.markers.map(marker => (
+                  <p key={marker.id} style={{ color: marker.color }}>● {marker.count} {marker.label}</p>
+                ))}
+                {onEntityClick && ['user', 'device'].map(type => {
+                  const ids = topEntityIds(tooltipData.events, type);
+                  return ids.length > 0 ? (
+                    <p key={type} className="tooltip-entities">
+                      {type === 'user' ? '👤' : '💻'}
+                      {ids.map(id => (
+                        <button
+                          key={id}
+                          className="tooltip-entity"
+                          onClick={() => {
+                            hideTooltip();
+                            onEntityClick({ type, id });
+                          }}
+                        >
+                          {id}
+                        </button>
+                      ))}
+                    </p>
+                  ) : null;
+                })}
+                <small>Click for detailed view</small>
+              </div>
             </div>
-          </div>
-        </Tooltip>
-      )}
+          </Tooltip>
+        )}
+      </div>
     </div>
   );
 }));
 
+// Stat card corner: the card's emoji, or in comparison mode the change against the previous
+// window. `goodDirection` colours the change; cards without one (devices, users) stay neutral.
+const StatTrend = ({ change, fallback, goodDirection, unit = '' }) => {
+  if (!change) return <div className="stat-trend">{fallback}</div>;
+
+  const { delta, percent, previous } = change;
+  const direction = delta > 0 ? 'up' : delta < 0 ? 'down' : 'flat';
+  const tone = direction === 'flat' || !goodDirection ? 'neutral' : direction === goodDirection ? 'good' : 'bad';
+  const sign = delta > 0 ? '+' : '';
+  const formattedDelta = Number.isInteger(delta) ? delta : delta.toFixed(1);
+
+  return (
+    <div className={`stat-trend comparison ${tone}`} title={`Previous period: ${previous}${unit === 'pts' ? '%' : ''}`}>
+      <span className="stat-delta">
+        {direction === 'up' ? <TrendingUp size={14} /> : direction === 'down' ? <TrendingDown size={14} /> : null}
+        {sign}{formattedDelta}{unit && ` ${unit}`}
+      </span>
+      <span className="stat-percent">{percent === null ? (delta === 0 ? '0%' : 'new') : `${sign}${percent.toFixed(1)}%`}</span>
+    </div>
+  );
+};
+
+// Activity types and counts per type and per status over the loaded events, with folds for
+// synced live events
+const listActivityTypes = (events) => Array.from(new Set(events.map(d => d.activityType).filter(Boolean)));
+const addActivityTypes = (types, added) => {
+  const newTypes = listActivityTypes(added).filter(type => !types.includes(type));
+  return newTypes.length > 0 ? [...types, ...newTypes] : types;
+};
+const addActivityTypeCounts = (counts, added) => added.reduce((acc, event) => {
+  acc[event.activityType] = (acc[event.activityType] || 0) + 1;
+  return acc;
+}, { ...counts });
+const countActivityTypes = (events) => addActivityTypeCounts({}, events);
+const addStatusCounts = (counts, added) => added.reduce((acc, event) => {
+  acc[event.status] = (acc[event.status] || 0) + 1;
+  return acc;
+}, { ...counts });
+const countStatuses = (events) => addStatusCounts({}, events);
+
 function App() {
-  const [activeTab, setActiveTab] = useState('overview');
-  const [selectedActivityTypes, setSelectedActivityTypes] = useState([]);
-  const [selectedStatuses, setSelectedStatuses] = useState([]);
+  // Shareable view state starts from the query string (see urlState.js)
+  const [initialView] = useState(() => parseViewState(window.location.search));
+  const [activeTab, setActiveTab] = useState(initialView.activeTab);
+  const [selectedActivityTypes, setSelectedActivityTypes] = useState(initialView.selectedActivityTypes);
+  const [selectedStatuses, setSelectedStatuses] = useState(initialView.selectedStatuses);
   const [showFilters, setShowFilters] = useState(false);
   const [showCustomize, setShowCustomize] = useState(false);
   const [selectedCell, setSelectedCell] = useState(null);
+  const [selectedEntity, setSelectedEntity] = useState(null); // { type: 'user' | 'device', id }
+  const [detailsLayout, setDetailsLayout] = useState('cards'); // 'cards' or 'table'
   const [searchTerm, setSearchTerm] = useState('');
-  const [showGradient, setShowGradient] = useState(true);
-  const [showAccessibilityPatterns, setShowAccessibilityPatterns] = useState(false);
-  const [selectedStatCard, setSelectedStatCard] = useState(null);
-  const [timeRange, setTimeRange] = useState('last30days');
-  const [granularity, setGranularity] = useState('weekly');
-  const [showPreview, setShowPreview] = useState(false);
-  const [viewMode, setViewMode] = useState('heatmap'); // 'heatmap' or 'bargraph'
+  const [showGradient, setShowGradient] = useState(initialView.showGradient);
+  const [showAccessibilityPatterns, setShowAccessibilityPatterns] = useState(initialView.showAccessibilityPatterns);
+  const [showEventCounts, setShowEventCounts] = useState(initialView.showEventCounts);
+  const [eventCountThreshold, setEventCountThreshold] = useState(initialView.eventCountThreshold);
+  const [showGridLines, setShowGridLines] = useState(initialView.showGridLines);
+  const [canvasThreshold, setCanvasThreshold] = useState(initialView.canvasThreshold);
+  const [comparePrevious, setComparePrevious] = useState(initialView.comparePrevious);
+  const [selectedStatCard, setSelectedStatCard] = useState(initialView.selectedStatCard);
+  const [timeRange, setTimeRange] = useState(initialView.timeRange);
+  const [timeAnchor, setTimeAnchor] = useState(initialView.timeAnchor);
+  const [anchorDate, setAnchorDate] = useState(initialView.anchorDate);
+  const [customStart, setCustomStart] = useState(initialView.customStart);
+  const [customEnd, setCustomEnd] = useState(initialView.customEnd);
+  const [granularity, setGranularity] = useState(initialView.granularity);
+  const [showLiveStream, setShowLiveStream] = useState(false);
+  const [viewMode, setViewMode] = useState(initialView.viewMode); // 'heatmap', 'bargraph' or 'table'
   const [showTrends, setShowTrends] = useState(true);
-  const [timeGranularityOptions] = useState(['hour', 'day', 'week', 'month', 'year']);
   const [compactMode, setCompactMode] = useState(true);
+  const [dataSource, setDataSource] = useState(sampleSource);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const activeChartRef = useRef(null);
+
+  const applyViewState = useCallback((view) => {
+    setActiveTab(view.activeTab);
+    setSelectedActivityTypes(view.selectedActivityTypes);
+    setSelectedStatuses(view.selectedStatuses);
+    setSelectedStatCard(view.selectedStatCard);
+    setGranularity(view.granularity);
+    setTimeRange(view.timeRange);
+    setTimeAnchor(view.timeAnchor);
+    setAnchorDate(view.anchorDate);
+    setCustomStart(view.customStart);
+    setCustomEnd(view.customEnd);
+    setViewMode(view.viewMode);
+    setShowGradient(view.showGradient);
+    setShowAccessibilityPatterns(view.showAccessibilityPatterns);
+    setShowEventCounts(view.showEventCounts);
+    setEventCountThreshold(view.eventCountThreshold);
+    setShowGridLines(view.showGridLines);
+    setCanvasThreshold(view.canvasThreshold);
+    setComparePrevious(view.comparePrevious);
+  }, []);
+
+  const viewState = {
+    activeTab,
+    selectedActivityTypes,
+    selectedStatuses,
+    selectedStatCard,
+    granularity,
+    timeRange,
+    timeAnchor,
+    anchorDate,
+    customStart,
+    customEnd,
+    viewMode,
+    showGradient,
+    showAccessibilityPatterns,
+    showEventCounts,
+    eventCountThreshold,
+    showGridLines,
+    canvasThreshold,
+    comparePrevious
+  };
+
+  useUrlState(viewState, applyViewState);
+
+  const { views: savedViews, saveView, deleteView, importViews } = useSavedViews();
+  const [showSavedViews, setShowSavedViews] = useState(false);
+
+  // Saved views keep the current tab; everything else comes from the view
+  const applySavedView = (view) => {
+    applyViewState({ ...viewState, ...savedViewToState(view) });
+    setShowSavedViews(false);
+  };
+
+  const currentViewSearch = serializeViewState(viewState);
+  const activeSavedViewId = (savedViews.find(view =>
+    serializeViewState({ ...viewState, ...savedViewToState(view) }) === currentViewSearch
+  ) || {}).id || '';
+
+  const copyShareLink = () => {
+    if (!navigator.clipboard) return;
+    navigator.clipboard.writeText(window.location.href).then(() => {
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    }).catch(() => {});
+  };
 
-  const activityTypes = useMemo(() => Array.from(new Set(dummyData.map(d => d.activityType).filter(Boolean))), [dummyData]);
+  const {
+    events,
+    status: loadStatus,
+    error: loadError,
+    validation: loadValidation,
+    reload: reloadEvents,
+    appendEvents
+  } = useEventSource(dataSource);
+
+  // Live mode streams into its own panel; "new since" pulls the backlog into the dashboard
+  const liveStream = useLiveStream();
+  const { takeUnsynced } = liveStream;
+  const syncLiveEvents = useCallback(() => appendEvents(takeUnsynced()), [appendEvents, takeUnsynced]);
+
+  // Everything derived from the loaded events folds synced live events in (see eventLineage.js)
+  const activityTypes = useFoldedValue(events, listActivityTypes, addActivityTypes);
   const statuses = ['success', 'warning', 'fail'];
 
+  // Resolve the selected time range into concrete bounds relative to the configured "now".
+  // The window keeps its identity while "now" stays on the same day, so filters can fold too.
+  const eventBounds = useFoldedValue(events, getEventBounds, extendEventBounds);
+  const referenceTime = resolveReferenceNow(timeAnchor, anchorDate, eventBounds.max).getTime();
+  const referenceNow = useMemo(() => new Date(referenceTime), [referenceTime]);
+  const timeWindow = useMemo(
+    () => resolveTimeWindow(timeRange, { now: referenceNow, customStart, customEnd }),
+    [timeRange, referenceNow, customStart, customEnd]
+  );
+
   // Filter activity types by search term
   const filteredActivityTypes = activityTypes.filter(type =>
     type.toLowerCase().includes(searchTerm.toLowerCase())
   );
 
-  // Optimized filter data calculation
-  const filteredData = useMemo(() => {
-    // Early return if no filters
-    if (selectedActivityTypes.length === 0 && selectedStatuses.length === 0 && !selectedStatCard) {
-      return dummyData;
+  // Everything but the time range, so the comparison window applies the same filters
+  const matchesFilters = useCallback((item) => {
+    // Activity type filter
+    if (selectedActivityTypes.length > 0 && !selectedActivityTypes.includes(item.activityType)) {
+      return false;
     }
 
-    return dummyData.filter(item => {
-      // Activity type filter
-      if (selectedActivityTypes.length > 0 && !selectedActivityTypes.includes(item.activityType)) {
-        return false;
-      }
+    // Status filter
+    if (selectedStatuses.length > 0 && !selectedStatuses.includes(item.status)) {
+      return false;
+    }
 
-      // Status filter
-      if (selectedStatuses.length > 0 && !selectedStatuses.includes(item.status)) {
+    // Stat card filter
+    if (selectedStatCard) {
+      const targetStatus = selectedStatCard === 'failed' ? 'fail' : selectedStatCard;
+      if (targetStatus !== 'total' && item.status !== targetStatus) {
         return false;
       }
+    }
 
-      // Stat card filter
-      if (selectedStatCard) {
-        const targetStatus = selectedStatCard === 'failed' ? 'fail' : selectedStatCard;
-        if (targetStatus !== 'total' && item.status !== targetStatus) {
-          return false;
-        }
-      }
-
-      return true;
-    });
+    return true;
   }, [selectedActivityTypes, selectedStatuses, selectedStatCard]);
 
-  // Calculate statistics
-  const statistics = useMemo(() => {
-    const devices = new Set(filteredData.map(d => d.device).filter(Boolean)).size;
-    const users = new Set(filteredData.map(d => d.user).filter(Boolean)).size;
-    const totalEvents = filteredData.length;
-    const successEvents = filteredData.filter(d => d.status === 'success').length;
-    const failedEvents = filteredData.filter(d => d.status === 'fail').length;
-    const warningEvents = filteredData.filter(d => d.status === 'warning').length;
+  // Without any filter every event is kept as is
+  const dataFilter = useMemo(() => {
+    if (selectedActivityTypes.length === 0 && selectedStatuses.length === 0 && !selectedStatCard && !timeWindow) {
+      return null;
+    }
+    return item => isWithinWindow(item, timeWindow) && matchesFilters(item);
+  }, [selectedActivityTypes, selectedStatuses, selectedStatCard, timeWindow, matchesFilters]);
+  const filteredData = useFilteredEvents(events, dataFilter);
+
+  // Comparison mode: the same filters over the window of equal length just before this one
+  const previousWindow = useMemo(() => getPreviousWindow(timeWindow), [timeWindow]);
+  const previousFilter = useMemo(
+    () => (previousWindow ? item => isWithinWindow(item, previousWindow) && matchesFilters(item) : null),
+    [previousWindow, matchesFilters]
+  );
+  const previousData = useFilteredEvents(comparePrevious && previousFilter ? events : null, previousFilter);
+  const comparisonOffset = previousWindow ? timeWindow.start.getTime() - previousWindow.start.getTime() : 0;
+
+  // Events for the active tab, as configured in the tab taxonomy
+  const { taxonomy, updateCategory, resetCategory } = useTaxonomy();
+  const [showTabCategories, setShowTabCategories] = useState(false);
+  // Watch-list screening covers every filtered event, not just the Sanction categories
+  const { lists: watchLists, threshold: watchListThreshold, addList: addWatchList, removeList: removeWatchList, setThreshold: setWatchListThreshold } = useWatchLists();
+  const sanctionScreening = useMemo(
+    () => (activeTab === 'sanction' && watchLists.length > 0 ? screenEvents(filteredData, watchLists, watchListThreshold) : null),
+    [activeTab, filteredData, watchLists, watchListThreshold]
+  );
 
+  const tabFilter = useMemo(() => getTabFilter(activeTab, taxonomy), [activeTab, taxonomy]);
+  const tabEvents = useFilteredEvents(filteredData, tabFilter);
+  const tabSpecificData = useMemo(() => {
+    if (!sanctionScreening || sanctionScreening.byEvent.size === 0) return tabEvents;
+    // A watch-list hit belongs on the Sanction tab whatever its activity type
+    const inTab = new Set(tabEvents);
+    return filteredData.filter(event => inTab.has(event) || sanctionScreening.byEvent.has(event));
+  }, [filteredData, tabEvents, sanctionScreening]);
+  const previousTabData = useFilteredEvents(previousData, tabFilter);
+
+  // One heatmap marker per watch list, so hits read as a timeline along the period axis
+  const sanctionMarkers = useMemo(() => {
+    if (!sanctionScreening) return null;
+    return watchLists.map((list, index) => ({
+      id: list.id,
+      label: list.name,
+      color: listColor(index),
+      events: new Set(sanctionScreening.hits.filter(hit => hit.list === list).map(hit => hit.event))
+    })).filter(marker => marker.events.size > 0);
+  }, [sanctionScreening, watchLists]);
+
+  // FCR scores are computed over every loaded event so device novelty and frequency see the
+  // full history, then read back for whichever events the tab shows
+  const { config: scoringConfig, updateConfig: updateScoringConfig, resetConfig: resetScoringConfig } = useScoringConfig();
+  const buildScores = useCallback(list => scoreEvents(list, scoringConfig), [scoringConfig]);
+  const foldScores = useCallback((scores, added) => extendScores(scores, added, scoringConfig), [scoringConfig]);
+  const eventScores = useFoldedValue(activeTab === 'fcr' ? events : null, buildScores, foldScores);
+
+  const fcrSummary = useMemo(() => {
+    if (!eventScores) return null;
+    const scores = tabSpecificData.map(event => eventScores.get(event)).filter(Boolean).map(result => result.score);
+    const highRiskEvents = scores.filter(score => score >= scoringConfig.bands.high).length;
     return {
-      devices,
-      users,
-      totalEvents,
-      successEvents,
-      failedEvents,
-      warningEvents,
-      successRate: totalEvents > 0 ? ((successEvents / totalEvents) * 100).toFixed(1) : 0
+      averageScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : 0,
+      highRiskEvents,
+      highRiskShare: Math.round((highRiskEvents / Math.max(scores.length, 1)) * 100),
+      trend: describeTrend(scoreTrend(tabSpecificData, eventScores, granularity))
     };
-  }, [filteredData]);
+  }, [eventScores, tabSpecificData, scoringConfig, granularity]);
+
+  // Card figures use the most common currency; the panel lets the user switch
+  const transactionSummary = useMemo(() => {
+    if (activeTab !== 'transaction') return null;
+    const transactions = getTransactions(tabSpecificData);
+    const currencies = getCurrencies(transactions);
+    if (currencies.length === 0) return null;
+    const { currency } = currencies[0];
+    return { currency, currencyCount: currencies.length, ...summarizeTransactions(inCurrency(transactions, currency)) };
+  }, [activeTab, tabSpecificData]);
+
+  const associationGraph = useMemo(
+    () => (activeTab === 'association' ? buildAssociationGraph(tabSpecificData) : null),
+    [activeTab, tabSpecificData]
+  );
+
+  // Anomaly baselines come from the full history, like the FCR scores
+  const anomalies = useFoldedValue(activeTab === 'behaviour' ? events : null, detectAnomalies, extendAnomalies);
+
+  const behaviourAnomalies = useMemo(() => {
+    if (!anomalies) return null;
+    const inTab = new Set(tabSpecificData);
+    const list = anomalies.list.filter(item => inTab.has(item.event));
+    const markers = anomalyTypes.map(type => ({
+      ...type,
+      events: new Set(list.filter(item => item.reasons.some(reason => reason.type === type.id)).map(item => item.event))
+    })).filter(marker => marker.events.size > 0);
+    return { list, markers };
+  }, [anomalies, tabSpecificData]);
+
+  // Alert rules see every loaded event, so a filter can't hide a spike. They are evaluated
+  // over the aggregation engine's cells and buckets for each rule's granularity.
+  const {
+    rules: alertRules,
+    acknowledged: acknowledgedAlerts,
+    snoozed: snoozedAlerts,
+    now: alertClock,
+    addRule: addAlertRule,
+    updateRule: updateAlertRule,
+    removeRule: removeAlertRule,
+    acknowledge: acknowledgeAlerts,
+    snooze: snoozeAlerts,
+    reopen: reopenAlerts
+  } = useAlertRules();
+  const [showAlerts, setShowAlerts] = useState(false);
+  const ruleGranularities = useMemo(
+    () => alertRules.filter(rule => rule.enabled).map(rule => rule.granularity),
+    [alertRules]
+  );
+  const { aggregations: ruleAggregations } = useAggregations(events, ruleGranularities);
+  const triggeredAlerts = useMemo(() => evaluateRules(ruleAggregations, alertRules), [ruleAggregations, alertRules]);
+  const alerts = useMemo(() => triggeredAlerts.map(alert => ({
+    ...alert,
+    state: getAlertState(alert, { acknowledged: acknowledgedAlerts, snoozed: snoozedAlerts }, alertClock),
+    color: ruleColor(alertRules.indexOf(alert.rule))
+  })), [triggeredAlerts, acknowledgedAlerts, snoozedAlerts, alertClock, alertRules]);
+  const activeAlertCount = alerts.filter(alert => alert.state === 'active').length;
+
+  // Cells holding events of an active alert are outlined in the rule's colour
+  const alertMarkers = useMemo(() => alertRules.map((rule, index) => ({
+    id: `alert-${rule.id}`,
+    label: `in "${rule.name}" alert`,
+    color: ruleColor(index),
+    highlight: true,
+    events: new Set(alerts.filter(alert => alert.rule === rule && alert.state === 'active').flatMap(alert => alert.events))
+  })).filter(marker => marker.events.size > 0), [alertRules, alerts]);
+  const tabCellMarkers = useMemo(
+    () => [...(behaviourAnomalies ? behaviourAnomalies.markers : sanctionMarkers || []), ...alertMarkers],
+    [behaviourAnomalies, sanctionMarkers, alertMarkers]
+  );
+
+  const openAlert = (alert) => {
+    setShowAlerts(false);
+    optimizedCellClick({
+      activityType: alert.rule.activityType || 'All Activities',
+      periodLabel: `${alert.periodLabel} · ${alert.rule.name}`,
+      status: alert.events.some(event => event.status === 'fail') ? 'fail' : 'warning',
+      events: alert.events,
+      count: alert.events.length,
+      intensity: 1
+    });
+  };
+
+  const activityTypeCounts = useFoldedValue(events, countActivityTypes, addActivityTypeCounts);
+  const statusCounts = useFoldedValue(events, countStatuses, addStatusCounts);
+
+  // Calculate statistics
+  const statistics = useMemo(() => computeStatistics(filteredData), [filteredData]);
+  const statisticsChange = useMemo(
+    () => (previousData ? compareStatistics(statistics, computeStatistics(previousData)) : null),
+    [statistics, previousData]
+  );
 
   const handleActivityTypeFilter = (activityType) => {
     setSelectedActivityTypes(prev =>
@@ -1100,8 +1542,15 @@ function App() {
 
   // Optimized cell click handler with immediate response
   const handleCellClick = useCallback((cell) => {
+    // The details modal lives outside the chart, so leave fullscreen to show it
+    if (document.fullscreenElement && document.exitFullscreen) {
+      document.exitFullscreen().catch(() => {});
+    }
+
     // Use requestAnimationFrame for smooth UI updates
     requestAnimationFrame(() => {
+      // Large drill-downs are easier to scan as a sortable table
+      setDetailsLayout(cell.events.length > 12 ? 'table' : 'cards');
       setSelectedCell(cell);
     });
   }, []);
@@ -1109,10 +1558,75 @@ function App() {
   // Throttled version for rapid clicks with better performance
   const optimizedCellClick = useThrottle(handleCellClick, 50);
 
+  // Any user or device link opens that entity's timeline over the details modal
+  const openEntityTimeline = useCallback((entity) => {
+    if (document.fullscreenElement && document.exitFullscreen) {
+      document.exitFullscreen().catch(() => {});
+    }
+    setSelectedEntity(entity);
+  }, []);
+
+  const handleEntityCellClick = useCallback((cell) => {
+    setSelectedEntity(null);
+    handleCellClick(cell);
+  }, [handleCellClick]);
+
   const closeDetailsModal = () => {
     setSelectedCell(null);
   };
 
+  // Evidence cases: pins from the details modal and chart snapshots go into the open case
+  const {
+    cases: evidenceCases,
+    activeCase,
+    createCase,
+    selectCase,
+    renameCase,
+    deleteCase,
+    addItem: addEvidenceItem,
+    updateItem: updateEvidenceItem,
+    removeItem: removeEvidenceItem
+  } = useEvidenceCases();
+  const pinnedKeys = useMemo(() => getPinnedKeys(activeCase), [activeCase]);
+  const isEventPinned = useCallback((event) => pinnedKeys.has(eventKey(event)), [pinnedKeys]);
+  const pinEvent = useCallback((event) => addEvidenceItem(createEventItem(event)), [addEvidenceItem]);
+
+  const snapshotChartToCase = () => {
+    const result = activeChartRef.current && activeChartRef.current.snapshot();
+    if (result) {
+      addEvidenceItem(createSnapshotItem(`${result.title} – ${format(new Date(), 'MMM dd, yyyy HH:mm')}`, result.svg));
+    }
+  };
+
+  const openEvidenceItem = (item) => {
+    setSelectedCell({
+      activityType: item.title,
+      periodLabel: `${item.events.length} pinned event${item.events.length === 1 ? '' : 's'}`,
+      status: item.status || item.events[0].status,
+      events: item.events,
+      count: item.events.length,
+      intensity: 1
+    });
+  };
+
+  const handleTimeRangeChange = (range) => {
+    // Seed the custom picker with the window the user was looking at
+    if (range === 'custom' && !customStart && !customEnd) {
+      const seed = timeWindow || { start: eventBounds.min, end: eventBounds.max };
+      if (seed.start) setCustomStart(format(seed.start, 'yyyy-MM-dd'));
+      if (seed.end) setCustomEnd(format(seed.end, 'yyyy-MM-dd'));
+    }
+    setTimeRange(range);
+  };
+
+  // Brushed bars become a custom range. The range picker works in whole days, so an
+  // hourly selection widens to the days it touches.
+  const handleRangeSelect = ({ start, end }) => {
+    setCustomStart(format(start, 'yyyy-MM-dd'));
+    setCustomEnd(format(end, 'yyyy-MM-dd'));
+    setTimeRange('custom');
+  };
+
   const handleStatCardClick = (statType) => {
     setSelectedStatCard(prev => prev === statType ? null : statType);
   };
@@ -1147,6 +1661,31 @@ function App() {
     return filters;
   };
 
+  // Filter and legend stamp carried into exported chart images
+  const exportMeta = useMemo(() => ({
+    legend: Object.entries(statusColorMap).map(([status, color]) => ({
+      label: status.charAt(0).toUpperCase() + status.slice(1),
+      color
+    })),
+    filters: [
+      `View: ${granularity} • Range: ${formatTimeWindow(timeWindow)}`,
+      ...(selectedActivityTypes.length > 0 ? [`Activity types: ${selectedActivityTypes.join(', ')}`] : []),
+      ...(selectedStatuses.length > 0 ? [`Statuses: ${selectedStatuses.join(', ')}`] : []),
+      ...(selectedStatCard ? [`Stat card: ${selectedStatCard}`] : []),
+      ...(activeTab !== 'overview' ? [`Tab: ${tabs.find(tab => tab.id === activeTab)?.label}`] : []),
+      `Source: ${dataSource.label} • ${filteredData.length} events`
+    ]
+  }), [granularity, timeWindow, selectedActivityTypes, selectedStatuses, selectedStatCard, activeTab, dataSource, filteredData]);
+
+  const handleToolbarExport = (kind) => {
+    if (kind === 'events') {
+      exportCsv(filteredData, eventColumns, 'Filtered events');
+    } else if (activeChartRef.current) {
+      return activeChartRef.current.exportChart(kind);
+    }
+    return undefined;
+  };
+
   return (
     <div className="app">
       <header className="app-header">
@@ -1169,13 +1708,42 @@ function App() {
               <BarChart3 size={14} />
               <span className="view-mode-label">Bar Graph</span>
             </button>
+            <button
+              className={`view-mode-btn ${viewMode === 'table' ? 'active' : ''}`}
+              onClick={() => setViewMode('table')}
+              title="Events Table View"
+            >
+              <Table size={14} />
+              <span className="view-mode-label">Events</span>
+            </button>
           </div>
           <button
-            className={`filter-toggle ${showPreview ? 'active' : ''}`}
-            onClick={() => setShowPreview(!showPreview)}
+            className={`filter-toggle ${showLiveStream ? 'active' : ''}`}
+            onClick={() => setShowLiveStream(!showLiveStream)}
+            title="Stream events from a WebSocket or SSE feed"
+          >
+            <Radio size={14} />
+            Live
+            {liveStream.unsyncedCount > 0 && (
+              <span className="live-toolbar-badge">{liveStream.unsyncedCount}</span>
+            )}
+          </button>
+          <button
+            className={`filter-toggle ${showAlerts ? 'active' : ''}`}
+            onClick={() => setShowAlerts(!showAlerts)}
+            title="Alerts raised by the alert rules"
+          >
+            <Bell size={14} />
+            Alerts
+            {activeAlertCount > 0 && <span className="alert-toolbar-badge">{activeAlertCount}</span>}
+          </button>
+          <button
+            className={`filter-toggle ${linkCopied ? 'active' : ''}`}
+            onClick={copyShareLink}
+            title="Copy a link to this exact view"
           >
-            <Eye size={14} />
-            Preview
+            {linkCopied ? <Check size={14} /> : <Link2 size={14} />}
+            {linkCopied ? 'Copied' : 'Share'}
           </button>
         </div>
       </header>
@@ -1219,7 +1787,7 @@ function App() {
             <div className="stat-value">{statistics.totalEvents}</div>
             <div className="stat-label">Total Events</div>
           </div>
-          <div className="stat-trend">📈</div>
+          <StatTrend change={statisticsChange && statisticsChange.totalEvents} fallback="📈" goodDirection="up" />
         </div>
 
         <div
@@ -1233,7 +1801,7 @@ function App() {
             <div className="stat-value">{statistics.successEvents}</div>
             <div className="stat-label">Success Events</div>
           </div>
-          <div className="stat-trend">✅</div>
+          <StatTrend change={statisticsChange && statisticsChange.successEvents} fallback="✅" goodDirection="up" />
         </div>
 
         <div
@@ -1247,7 +1815,7 @@ function App() {
             <div className="stat-value">{statistics.failedEvents}</div>
             <div className="stat-label">Failed Events</div>
           </div>
-          <div className="stat-trend">❌</div>
+          <StatTrend change={statisticsChange && statisticsChange.failedEvents} fallback="❌" goodDirection="down" />
         </div>
 
         <div
@@ -1261,7 +1829,7 @@ function App() {
             <div className="stat-value">{statistics.warningEvents}</div>
             <div className="stat-label">Warning Events</div>
           </div>
-          <div className="stat-trend">⚠️</div>
+          <StatTrend change={statisticsChange && statisticsChange.warningEvents} fallback="⚠️" goodDirection="down" />
         </div>
 
         <div className="stat-card">
@@ -1272,7 +1840,7 @@ function App() {
             <div className="stat-value">{statistics.devices}</div>
             <div className="stat-label">Devices</div>
           </div>
-          <div className="stat-trend">📱</div>
+          <StatTrend change={statisticsChange && statisticsChange.devices} fallback="📱" />
         </div>
 
         <div className="stat-card">
@@ -1283,7 +1851,7 @@ function App() {
             <div className="stat-value">{statistics.users}</div>
             <div className="stat-label">Users</div>
           </div>
-          <div className="stat-trend">👥</div>
+          <StatTrend change={statisticsChange && statisticsChange.users} fallback="👥" />
         </div>
 
         <div className="stat-card">
@@ -1294,7 +1862,7 @@ function App() {
             <div className="stat-value">{statistics.successRate}%</div>
             <div className="stat-label">Success Rate</div>
           </div>
-          <div className="stat-trend">📊</div>
+          <StatTrend change={statisticsChange && statisticsChange.successRate} fallback="📊" goodDirection="up" unit="pts" />
         </div>
       </div>
 
@@ -1330,14 +1898,14 @@ function App() {
         <div className="filter-group">
           <span className="filter-group-label">Time View:</span>
           <div className="filter-buttons">
-            {timeGranularityOptions.map((option) => (
+            {granularityOptions.map((option) => (
               <button
-                key={option}
-                className={`filter-icon-btn time-granularity ${granularity === option ? 'active' : ''}`}
-                onClick={() => setGranularity(option)}
-                title={`View by ${option.charAt(0).toUpperCase() + option.slice(1)}`}
+                key={option.id}
+                className={`filter-icon-btn time-granularity ${granularity === option.id ? 'active' : ''}`}
+                onClick={() => setGranularity(option.id)}
+                title={`View by ${option.label}`}
               >
-                {option.charAt(0).toUpperCase()}
+                {option.short}
               </button>
             ))}
           </div>
@@ -1380,7 +1948,7 @@ function App() {
             </button>
             <button
               className="filter-icon-btn"
-              onClick={() => window.location.reload()}
+              onClick={reloadEvents}
               title="Refresh Data"
             >
               <Search size={16} />
@@ -1390,18 +1958,73 @@ function App() {
 
         <div className="filter-divider"></div>
 
+        <div className="filter-group">
+          <span className="filter-group-label">Views:</span>
+          <div className="filter-buttons">
+            <select
+              value={activeSavedViewId}
+              onChange={(e) => {
+                const view = savedViews.find(v => v.id === e.target.value);
+                if (view) applySavedView(view);
+              }}
+              className="saved-view-select"
+              title="Switch Saved View"
+              disabled={savedViews.length === 0}
+            >
+              <option value="">{savedViews.length === 0 ? 'No saved views' : 'Saved views…'}</option>
+              {savedViews.map(view => (
+                <option key={view.id} value={view.id}>{view.name}</option>
+              ))}
+            </select>
+            <button
+              className={`filter-icon-btn ${showSavedViews ? 'active' : ''}`}
+              onClick={() => {
+                setShowSavedViews(!showSavedViews);
+                setShowFilters(false);
+                setShowCustomize(false);
+              }}
+              title="Manage Saved Views"
+            >
+              <Bookmark size={16} />
+            </button>
+          </div>
+        </div>
+
+        <div className="filter-divider"></div>
+
+        <DataSourcePicker
+          sampleSource={sampleSource}
+          activeSource={dataSource}
+          onSourceChange={setDataSource}
+          status={loadStatus}
+          eventCount={events.length}
+          validation={loadValidation}
+          onReload={reloadEvents}
+        />
+
+        <div className="filter-divider"></div>
+
         <div className="filter-group">
           <span className="filter-group-label">Export:</span>
           <div className="filter-buttons">
+            <ExportMenu
+              onExport={handleToolbarExport}
+              buttonClassName="filter-icon-btn"
+              disabled={filteredData.length === 0}
+            />
             <button
               className="filter-icon-btn"
-              title="Export Chart"
+              onClick={snapshotChartToCase}
+              title={`Snapshot Chart to ${activeCase ? `"${activeCase.name}"` : 'a New Case'}`}
+              disabled={filteredData.length === 0 || viewMode === 'table'}
             >
-              <Download size={16} />
+              <Camera size={16} />
             </button>
             <button
               className="filter-icon-btn"
+              onClick={() => activeChartRef.current && activeChartRef.current.toggleFullscreen()}
               title="Fullscreen View"
+              disabled={filteredData.length === 0}
             >
               <Maximize2 size={16} />
             </button>
@@ -1441,26 +2064,90 @@ function App() {
                     <span>Time Period</span>
                     <select
                       value={timeRange}
-                      onChange={(e) => setTimeRange(e.target.value)}
+                      onChange={(e) => handleTimeRangeChange(e.target.value)}
                       className="time-select compact"
                     >
-                      <option value="last24hours">Last 24 Hours</option>
-                      <option value="last7days">Last 7 Days</option>
-                      <option value="last30days">Last 30 Days</option>
-                      <option value="last90days">Last 90 Days</option>
-                      <option value="custom">Custom Range</option>
+                      {timeRangeOptions.map(option => (
+                        <option key={option.id} value={option.id}>{option.label}</option>
+                      ))}
                     </select>
                   </label>
+                  {timeRange === 'custom' ? (
+                    <div className="customize-option compact date-range-picker">
+                      <span>Date Range</span>
+                      <div className="date-range-inputs">
+                        <input
+                          type="date"
+                          value={customStart}
+                          min={eventBounds.min ? format(eventBounds.min, 'yyyy-MM-dd') : undefined}
+                          max={customEnd || (eventBounds.max ? format(eventBounds.max, 'yyyy-MM-dd') : undefined)}
+                          onChange={(e) => setCustomStart(e.target.value)}
+                          className="time-select compact"
+                          aria-label="Start date"
+                        />
+                        <span className="date-range-separator">to</span>
+                        <input
+                          type="date"
+                          value={customEnd}
+                          min={customStart || (eventBounds.min ? format(eventBounds.min, 'yyyy-MM-dd') : undefined)}
+                          max={eventBounds.max ? format(eventBounds.max, 'yyyy-MM-dd') : undefined}
+                          onChange={(e) => setCustomEnd(e.target.value)}
+                          className="time-select compact"
+                          aria-label="End date"
+                        />
+                      </div>
+                    </div>
+                  ) : timeRange !== 'all' && (
+                    <label className="customize-option compact">
+                      <span>Relative To</span>
+                      <div className="date-range-inputs">
+                        <select
+                          value={timeAnchor}
+                          onChange={(e) => setTimeAnchor(e.target.value)}
+                          className="time-select compact"
+                        >
+                          {timeAnchorOptions.map(option => (
+                            <option key={option.id} value={option.id}>{option.label}</option>
+                          ))}
+                        </select>
+                        {timeAnchor === 'fixed' && (
+                          <input
+                            type="date"
+                            value={anchorDate}
+                            onChange={(e) => setAnchorDate(e.target.value)}
+                            className="time-select compact"
+                            aria-label="Reference date"
+                          />
+                        )}
+                      </div>
+                    </label>
+                  )}
+                  <div className="time-window-summary">{formatTimeWindow(timeWindow)}</div>
+                  <label
+                    className="customize-option compact checkbox"
+                    title={previousWindow ? undefined : 'Needs a time range with a start and an end'}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={comparePrevious && !!previousWindow}
+                      disabled={!previousWindow}
+                      onChange={(e) => setComparePrevious(e.target.checked)}
+                    />
+                    <span>Compare to Previous Period</span>
+                  </label>
+                  {comparePrevious && previousWindow && (
+                    <div className="time-window-summary">vs {formatTimeWindow(previousWindow)}</div>
+                  )}
                   <label className="customize-option compact">
                     <span>View Granularity</span>
                     <div className="granularity-controls compact">
-                      {['hourly', 'daily', 'weekly', 'monthly'].map(gran => (
+                      {granularityOptions.map(option => (
                         <button
-                          key={gran}
-                          className={`granularity-btn compact ${granularity === gran ? 'active' : ''}`}
-                          onClick={() => setGranularity(gran)}
+                          key={option.id}
+                          className={`granularity-btn compact ${granularity === option.id ? 'active' : ''}`}
+                          onClick={() => setGranularity(option.id)}
                         >
-                          {gran.charAt(0).toUpperCase() + gran.slice(1)}
+                          {option.id.charAt(0).toUpperCase() + option.id.slice(1)}
                         </button>
                       ))}
                     </div>
@@ -1488,13 +2175,55 @@ function App() {
                     <span>Accessibility Patterns</span>
                   </label>
                   <label className="customize-option compact checkbox">
-                    <input type="checkbox" defaultChecked />
+                    <input
+                      type="checkbox"
+                      checked={showEventCounts}
+                      onChange={(e) => setShowEventCounts(e.target.checked)}
+                    />
                     <span>Show Event Counts</span>
                   </label>
+                  {showEventCounts && (
+                    <label className="customize-option compact">
+                      <span>Label Cells With At Least</span>
+                      <input
+                        type="number"
+                        min={1}
+                        value={eventCountThreshold}
+                        onChange={(e) => {
+                          const value = Number(e.target.value);
+                          if (Number.isInteger(value) && value > 0) setEventCountThreshold(value);
+                        }}
+                        className="time-select compact count-threshold-input"
+                        aria-label="Minimum events for a count label"
+                      />
+                    </label>
+                  )}
                   <label className="customize-option compact checkbox">
-                    <input type="checkbox" defaultChecked />
+                    <input
+                      type="checkbox"
+                      checked={showGridLines}
+                      onChange={(e) => setShowGridLines(e.target.checked)}
+                    />
                     <span>Grid Lines</span>
                   </label>
+                  {viewMode === 'heatmap' && (
+                    <label className="customize-option compact">
+                      <span>Draw On Canvas Above</span>
+                      <input
+                        type="number"
+                        min={1}
+                        step={500}
+                        value={canvasThreshold}
+                        onChange={(e) => {
+                          const value = Number(e.target.value);
+                          if (Number.isInteger(value) && value > 0) setCanvasThreshold(value);
+                        }}
+                        className="time-select compact count-threshold-input"
+                        aria-label="Cell count above which the heatmap is drawn on a canvas"
+                      />
+                      <span>cells</span>
+                    </label>
+                  )}
                   {viewMode === 'bargraph' && (
                     <label className="customize-option compact checkbox">
                       <input
@@ -1516,8 +2245,17 @@ function App() {
                 <button className="clear-filters compact" onClick={() => {
                   setShowGradient(true);
                   setShowAccessibilityPatterns(false);
+                  setShowEventCounts(true);
+                  setEventCountThreshold(3);
+                  setShowGridLines(true);
+                  setCanvasThreshold(2500);
+                  setComparePrevious(false);
                   setGranularity('weekly');
                   setTimeRange('last30days');
+                  setTimeAnchor('latest');
+                  setAnchorDate('');
+                  setCustomStart('');
+                  setCustomEnd('');
                 }}>
                   <RotateCcw size={12} />
                   Reset
@@ -1528,6 +2266,41 @@ function App() {
         </>
       )}
 
+      {/* Saved Views Popover */}
+      {showSavedViews && (
+        <SavedViewsPanel
+          views={savedViews}
+          activeViewId={activeSavedViewId}
+          activeFilters={getActiveFilters()}
+          onSave={(name) => {
+            const settings = viewSettingKeys.reduce((acc, key) => ({ ...acc, [key]: viewState[key] }), {});
+            saveView(createSavedView(name, getActiveFilters(), settings));
+          }}
+          onApply={applySavedView}
+          onDelete={deleteView}
+          onImport={importViews}
+          onClose={() => setShowSavedViews(false)}
+        />
+      )}
+
+      {/* Alerts Popover */}
+      {showAlerts && (
+        <AlertsPanel
+          alerts={alerts}
+          rules={alertRules}
+          activityTypes={activityTypes}
+          granularity={granularity}
+          onAddRule={addAlertRule}
+          onUpdateRule={updateAlertRule}
+          onRemoveRule={removeAlertRule}
+          onAcknowledge={acknowledgeAlerts}
+          onSnooze={snoozeAlerts}
+          onReopen={reopenAlerts}
+          onOpenAlert={openAlert}
+          onClose={() => setShowAlerts(false)}
+        />
+      )}
+
       {/* Floating Filter Popover */}
       {showFilters && (
         <>
@@ -1577,7 +2350,7 @@ function App() {
                       />
                       <span className="activity-name">{type}</span>
                       <span className="activity-count">
-                        {dummyData.filter(d => d.activityType === type).length}
+                        {activityTypeCounts[type] || 0}
                       </span>
                     </label>
                   ))}
@@ -1604,7 +2377,7 @@ function App() {
                       </span>
                       <span className="status-name">{status.charAt(0).toUpperCase() + status.slice(1)}</span>
                       <span className="status-count">
-                        {dummyData.filter(d => d.status === status).length}
+                        {statusCounts[status] || 0}
                       </span>
                     </label>
                   ))}
@@ -1626,60 +2399,16 @@ function App() {
         </>
       )}
 
-      {/* Live Preview Panel */}
-      {showPreview && (
-        <div className="preview-panel">
-          <div className="preview-header">
-            <h3><Eye size={16} /> Live Preview</h3>
-            <div className="preview-stats">
-              <span className="preview-stat">
-                <strong>{statistics.totalEvents}</strong> events
-              </span>
-              <span className="preview-stat">
-                <strong>{statistics.successRate}%</strong> success rate
-              </span>
-              <span className="preview-stat">
-                <strong>{getActiveFilters().length}</strong> filters active
-              </span>
-            </div>
-          </div>
-          <div className="preview-content">
-            <div className="mini-chart">
-              {viewMode === 'heatmap' ? (
-                <HeatmapChart
-                  data={filteredData.slice(0, 20)}
-                  width={Math.min(600, window.innerWidth - 100)}
-                  height={200}
-                  onCellClick={optimizedCellClick}
-                  showGradient={showGradient}
-                  showAccessibilityPatterns={showAccessibilityPatterns}
-                  granularity={granularity}
-                />
-              ) : (
-                <div className="preview-bargraph">
-                  <div className="bargraph-container">
-                    {filteredData.slice(0, 10).map((item, index) => (
-                      <div key={index} className="bar-item">
-                        <div className={`bar bar-${item.status}`}
-                             style={{height: `${Math.random() * 100 + 20}px`}}>
-                        </div>
-                        <span className="bar-label">{item.activityType.slice(0, 6)}...</span>
-                      </div>
-                    ))}
-                  </div>
-                </div>
-              )}
-            </div>
-            <div className="preview-time-selector">
-              <label>Time Range:</label>
-              <select value={granularity} onChange={(e) => setGranularity(e.target.value)}>
-                {timeGranularityOptions.map(option => (
-                  <option key={option} value={option}>{option}</option>
-                ))}
-              </select>
-            </div>
-          </div>
-        </div>
+      {/* Live Stream Panel */}
+      {showLiveStream && (
+        <LiveStreamPanel
+          stream={liveStream}
+          granularity={granularity}
+          filter={matchesFilters}
+          onCellClick={optimizedCellClick}
+          onSync={syncLiveEvents}
+          onClose={() => setShowLiveStream(false)}
+        />
       )}
 
       {/* Enhanced Legend */}
@@ -1699,7 +2428,7 @@ function App() {
         </div>
 
         <div className="legend-section">
-          <h4>View: {granularity} • Range: {timeRange.replace(/([A-Z])/g, ' $1').toLowerCase()}</h4>
+          <h4>View: {granularity} • Range: {formatTimeWindow(timeWindow)}</h4>
           <div className="intensity-scale">
             <span>Low</span>
             <div className="intensity-gradient"></div>
@@ -1708,7 +2437,7 @@ function App() {
         </div>
 
         <div className="legend-section">
-          <small>💡 Click cells for details • Use preview for live changes • Click stats to filter</small>
+          <small>💡 Click cells for details • Go Live to stream new events • Click stats to filter</small>
         </div>
       </div>
 
@@ -1716,7 +2445,34 @@ function App() {
       <div className={`content-container ${compactMode ? 'compact' : ''}`}>
         {activeTab === 'overview' ? (
           <div className="chart-container" style={{ willChange: 'transform' }}>
-            {filteredData.length === 0 ? (
+            {loadStatus === 'loading' ? (
+              <div className="empty-state loading">
+                <div className="empty-state-content">
+                  <Activity size={48} className="empty-icon" />
+                  <h3>Loading events…</h3>
+                  <p>Fetching activity from {dataSource.label}.</p>
+                </div>
+              </div>
+            ) : loadStatus === 'error' ? (
+              <div className="empty-state error">
+                <div className="empty-state-content">
+                  <X size={48} className="empty-icon" />
+                  <h3>Could not load data</h3>
+                  <p>{loadError ? loadError.message : 'The data source returned an error.'}</p>
+                  <button className="clear-filters" onClick={reloadEvents}>
+                    Retry
+                  </button>
+                </div>
+              </div>
+            ) : events.length === 0 ? (
+              <div className="empty-state">
+                <div className="empty-state-content">
+                  <Activity size={48} className="empty-icon" />
+                  <h3>No events in this source</h3>
+                  <p>{dataSource.label} returned no events. Pick another data source or check back later.</p>
+                </div>
+              </div>
+            ) : filteredData.length === 0 ? (
               <div className="empty-state">
                 <div className="empty-state-content">
                   <Activity size={48} className="empty-icon" />
@@ -1732,19 +2488,40 @@ function App() {
                 data={filteredData}
                 width={1200}
                 height={600}
+                responsive
                 onCellClick={optimizedCellClick}
                 showGradient={showGradient}
                 showAccessibilityPatterns={showAccessibilityPatterns}
+                showEventCounts={showEventCounts}
+                eventCountThreshold={eventCountThreshold}
+                showGridLines={showGridLines}
+                canvasThreshold={canvasThreshold}
                 granularity={granularity}
+                exportMeta={exportMeta}
+                chartRef={activeChartRef}
+                onEntityClick={openEntityTimeline}
+                cellMarkers={alertMarkers}
               />
-            ) : (
+            ) : viewMode === 'bargraph' ? (
               <BarGraph
                 data={filteredData}
                 width={1200}
                 height={600}
+                responsive
                 granularity={granularity}
                 showTrends={showTrends}
+                exportMeta={exportMeta}
+                chartRef={activeChartRef}
+                onCellClick={optimizedCellClick}
+                onRangeSelect={handleRangeSelect}
+                previousData={previousData}
+                comparisonOffset={comparisonOffset}
+                showEventCounts={showEventCounts}
+                eventCountThreshold={eventCountThreshold}
+                showGridLines={showGridLines}
               />
+            ) : (
+              <EventTable events={filteredData} title="Filtered events" onEntityClick={openEntityTimeline} />
             )}
           </div>
         ) : (
@@ -1756,121 +2533,97 @@ function App() {
               <div className="tab-specific-controls">
                 <div className="granularity-selector">
                   <span className="selector-label">Time View:</span>
-                  {timeGranularityOptions.map((option) => (
+                  {granularityOptions.map((option) => (
                     <button
-                      key={option}
-                      className={`granularity-option ${granularity === option ? 'active' : ''}`}
-                      onClick={() => setGranularity(option)}
+                      key={option.id}
+                      className={`granularity-option ${granularity === option.id ? 'active' : ''}`}
+                      onClick={() => setGranularity(option.id)}
                     >
-                      {option}
+                      {option.label}
                     </button>
                   ))}
                 </div>
+                <button
+                  className={`filter-toggle ${showTabCategories ? 'active' : ''}`}
+                  onClick={() => setShowTabCategories(true)}
+                  title="Choose which activity types and tags feed this tab"
+                >
+                  <Tags size={14} />
+                  Categories
+                </button>
               </div>
             </div>
 
+            {showTabCategories && (
+              <TabCategoriesPanel
+                tab={tabs.find(tab => tab.id === activeTab)}
+                category={taxonomy[activeTab]}
+                activityTypeCounts={activityTypeCounts}
+                onChange={(patch) => updateCategory(activeTab, patch)}
+                onReset={() => resetCategory(activeTab)}
+                onClose={() => setShowTabCategories(false)}
+              />
+            )}
+
             <div className="tab-content-grid">
               {/* Filtered Chart for specific tab */}
               <div className="tab-chart-section">
-                {(() => {
-                  // Filter data based on tab context
-                  const getTabFilteredData = () => {
-                    const sampleDataForTab = filteredData.slice(0, Math.min(20, filteredData.length));
-
-                    switch (activeTab) {
-                      case 'transaction':
-                        const transactionData = filteredData.filter(d =>
-                          d && d.activityType && (
-                            d.activityType.toLowerCase().includes('transaction') ||
-                            d.activityType.toLowerCase().includes('payment') ||
-                            d.activityType.toLowerCase().includes('transfer') ||
-                            d.activityType.toLowerCase().includes('purchase')
-                          )
-                        );
-                        return transactionData.length > 0 ? transactionData : sampleDataForTab;
-
-                      case 'association':
-                        const associationData = filteredData.filter(d =>
-                          d && d.activityType && (
-                            d.activityType.toLowerCase().includes('association') ||
-                            d.activityType.toLowerCase().includes('link') ||
-                            d.activityType.toLowerCase().includes('relationship') ||
-                            d.activityType.toLowerCase().includes('connection')
-                          )
-                        );
-                        return associationData.length > 0 ? associationData : sampleDataForTab;
-
-                      case 'behaviour':
-                        const behaviourData = filteredData.filter(d =>
-                          d && d.activityType && (
-                            d.activityType.toLowerCase().includes('behavior') ||
-                            d.activityType.toLowerCase().includes('behaviour') ||
-                            d.activityType.toLowerCase().includes('activity') ||
-                            d.activityType.toLowerCase().includes('action')
-                          )
-                        );
-                        return behaviourData.length > 0 ? behaviourData : sampleDataForTab;
-
-                      case 'fcr':
-                        const fcrData = filteredData.filter(d =>
-                          d && d.activityType && (
-                            d.activityType.toLowerCase().includes('fcr') ||
-                            d.activityType.toLowerCase().includes('score') ||
-                            d.activityType.toLowerCase().includes('rating') ||
-                            d.activityType.toLowerCase().includes('risk')
-                          )
-                        );
-                        return fcrData.length > 0 ? fcrData : sampleDataForTab;
-
-                      case 'sanction':
-                        const sanctionData = filteredData.filter(d =>
-                          d && d.activityType && (
-                            d.activityType.toLowerCase().includes('sanction') ||
-                            d.activityType.toLowerCase().includes('compliance') ||
-                            d.activityType.toLowerCase().includes('violation') ||
-                            d.activityType.toLowerCase().includes('penalty')
-                          )
-                        );
-                        return sanctionData.length > 0 ? sanctionData : sampleDataForTab;
-
-                      case 'evidence':
-                        const evidenceData = filteredData.filter(d =>
-                          d && d.activityType && (
-                            d.activityType.toLowerCase().includes('evidence') ||
-                            d.activityType.toLowerCase().includes('document') ||
-                            d.activityType.toLowerCase().includes('proof') ||
-                            d.activityType.toLowerCase().includes('verification')
-                          )
-                        );
-                        return evidenceData.length > 0 ? evidenceData : sampleDataForTab;
-
-                      default:
-                        return filteredData;
-                    }
-                  };
-
-                  const tabSpecificData = getTabFilteredData();
-
-                  return viewMode === 'heatmap' ? (
-                    <HeatmapChart
-                      data={tabSpecificData}
-                      width={800}
-                      height={400}
-                      onCellClick={optimizedCellClick}
-                      showGradient={showGradient}
-                      showAccessibilityPatterns={showAccessibilityPatterns}
-                      granularity={granularity}
-                    />
-                  ) : (
-                    <BarGraph
-                      data={tabSpecificData}
-                      width={800}
-                      height={400}
-                      granularity={granularity}
-                      showTrends={showTrends}
-                    />
-                  );
-                })()}
+                {tabSpecificData.length === 0 ? (
+                  <div className="empty-state">
+                    <div className="empty-state-content">
+                      <SearchX size={48} className="empty-icon" />
+                      <h3>No matching events</h3>
+                      <p>
+                        {filteredData.length === 0
+                          ? 'No events match the current filters.'
+                          : `None of the ${filteredData.length} filtered events belong to the ${tabs.find(tab => tab.id === activeTab)?.label} categories.`}
+                      </p>
+                      <button className="clear-filters" onClick={() => setShowTabCategories(true)}>
+                        <Tags size={14} />
+                        Edit Categories
+                      </button>
+                    </div>
+                  </div>
+                ) : viewMode === 'heatmap' ? (
+                  <HeatmapChart
+                    data={tabSpecificData}
+                    width={800}
+                    height={400}
+                    responsive
+                    onCellClick={optimizedCellClick}
+                    showGradient={showGradient}
+                    showAccessibilityPatterns={showAccessibilityPatterns}
+                    showEventCounts={showEventCounts}
+                    eventCountThreshold={eventCountThreshold}
+                    showGridLines={showGridLines}
+                    canvasThreshold={canvasThreshold}
+                    granularity={granularity}
+                    exportMeta={exportMeta}
+                    chartRef={activeChartRef}
+                    onEntityClick={openEntityTimeline}
+                    cellMarkers={tabCellMarkers}
+                  />
+                ) : viewMode === 'bargraph' ? (
+                  <BarGraph
+                    data={tabSpecificData}
+                    width={800}
+                    height={400}
+                    responsive
+                    granularity={granularity}
+                    showTrends={showTrends}
+                    exportMeta={exportMeta}
+                    chartRef={activeChartRef}
+                    onCellClick={optimizedCellClick}
+                    onRangeSelect={handleRangeSelect}
+                    previousData={previousTabData}
+                    comparisonOffset={comparisonOffset}
+                    showEventCounts={showEventCounts}
+                    eventCountThreshold={eventCountThreshold}
+                    showGridLines={showGridLines}
+                  />
+                ) : (
+                  <EventTable events={tabSpecificData} title={`${activeTab} events`} onEntityClick={openEntityTimeline} />
+                )}
               </div>
 
               {/* Tab-specific metrics and details */}
@@ -1884,84 +2637,6 @@ function App() {
                   {/* Tab-specific information */}
                   <div className="tab-info-cards">
                     {(() => {
-                      // Filter data based on tab context
-                      const getTabSpecificData = () => {
-                        const sampleDataForTab = filteredData.slice(0, Math.min(20, filteredData.length));
-
-                        switch (activeTab) {
-                          case 'transaction':
-                            const transactionData = filteredData.filter(d =>
-                              d && d.activityType && (
-                                d.activityType.toLowerCase().includes('transaction') ||
-                                d.activityType.toLowerCase().includes('payment') ||
-                                d.activityType.toLowerCase().includes('transfer') ||
-                                d.activityType.toLowerCase().includes('purchase')
-                              )
-                            );
-                            return transactionData.length > 0 ? transactionData : sampleDataForTab;
-
-                          case 'association':
-                            const associationData = filteredData.filter(d =>
-                              d && d.activityType && (
-                                d.activityType.toLowerCase().includes('association') ||
-                                d.activityType.toLowerCase().includes('link') ||
-                                d.activityType.toLowerCase().includes('relationship') ||
-                                d.activityType.toLowerCase().includes('connection')
-                              )
-                            );
-                            return associationData.length > 0 ? associationData : sampleDataForTab;
-
-                          case 'behaviour':
-                            const behaviourData = filteredData.filter(d =>
-                              d && d.activityType && (
-                                d.activityType.toLowerCase().includes('behavior') ||
-                                d.activityType.toLowerCase().includes('behaviour') ||
-                                d.activityType.toLowerCase().includes('activity') ||
-                                d.activityType.toLowerCase().includes('action')
-                              )
-                            );
-                            return behaviourData.length > 0 ? behaviourData : sampleDataForTab;
-
-                          case 'fcr':
-                            const fcrData = filteredData.filter(d =>
-                              d && d.activityType && (
-                                d.activityType.toLowerCase().includes('fcr') ||
-                                d.activityType.toLowerCase().includes('score') ||
-                                d.activityType.toLowerCase().includes('rating') ||
-                                d.activityType.toLowerCase().includes('risk')
-                              )
-                            );
-                            return fcrData.length > 0 ? fcrData : sampleDataForTab;
-
-                          case 'sanction':
-                            const sanctionData = filteredData.filter(d =>
-                              d && d.activityType && (
-                                d.activityType.toLowerCase().includes('sanction') ||
-                                d.activityType.toLowerCase().includes('compliance') ||
-                                d.activityType.toLowerCase().includes('violation') ||
-                                d.activityType.toLowerCase().includes('penalty')
-                              )
-                            );
-                            return sanctionData.length > 0 ? sanctionData : sampleDataForTab;
-
-                          case 'evidence':
-                            const evidenceData = filteredData.filter(d =>
-                              d && d.activityType && (
-                                d.activityType.toLowerCase().includes('evidence') ||
-                                d.activityType.toLowerCase().includes('document') ||
-                                d.activityType.toLowerCase().includes('proof') ||
-                                d.activityType.toLowerCase().includes('verification')
-                              )
-                            );
-                            return evidenceData.length > 0 ? evidenceData : sampleDataForTab;
-
-                          default:
-                            return filteredData;
-                        }
-                      };
-
-                      const tabSpecificData = getTabSpecificData();
-
                       if (activeTab === 'transaction') {
                         return (
                           <div className="info-card">
@@ -1969,17 +2644,20 @@ function App() {
                             <p>Monitor payment flows, transaction volumes, and financial activity patterns across all user transactions.</p>
                             <div className="quick-stats">
                               <div className="quick-stat">
-                                <span className="stat-number">{tabSpecificData.length}</span>
-                                <span className="stat-label">Total Events</span>
+                                <span className="stat-number">
+                                  {transactionSummary ? formatAmount(transactionSummary.total, transactionSummary.currency, { notation: 'compact', maximumFractionDigits: 1 }) : '—'}
+                                </span>
+                                <span className="stat-label">Volume{transactionSummary && transactionSummary.currencyCount > 1 ? ` (${transactionSummary.currency})` : ''}</span>
                               </div>
                               <div className="quick-stat">
-                                <span className="stat-number">{tabSpecificData.filter(d => d && d.status === 'success').length}</span>
-                                <span className="stat-label">Successful</span>
+                                <span className="stat-number">{transactionSummary ? transactionSummary.count : 0}</span>
+                                <span className="stat-label">Transactions</span>
                               </div>
                             </div>
                             <div className="tab-specific-metrics">
+                              <p><strong>Average Amount:</strong> {transactionSummary ? formatAmount(transactionSummary.average, transactionSummary.currency) : '—'}</p>
+                              <p><strong>Counterparties:</strong> {transactionSummary ? transactionSummary.counterparties : 0}</p>
                               <p><strong>Failure Rate:</strong> {tabSpecificData.length > 0 ? Math.round((tabSpecificData.filter(d => d && d.status === 'fail').length / tabSpecificData.length) * 100) : 0}%</p>
-                              <p><strong>Active Users:</strong> {new Set(tabSpecificData.filter(d => d && d.user).map(d => d.user)).size}</p>
                             </div>
                           </div>
                         );
@@ -1992,17 +2670,18 @@ function App() {
                             <p>Track relationships and connections between entities, users, and activities.</p>
                             <div className="quick-stats">
                               <div className="quick-stat">
-                                <span className="stat-number">{new Set(tabSpecificData.filter(d => d && d.user).map(d => d.user)).size}</span>
+                                <span className="stat-number">{associationGraph.metrics.users}</span>
                                 <span className="stat-label">Connected Users</span>
                               </div>
                               <div className="quick-stat">
-                                <span className="stat-number">{new Set(tabSpecificData.filter(d => d && d.device).map(d => d.device)).size}</span>
+                                <span className="stat-number">{associationGraph.metrics.devices}</span>
                                 <span className="stat-label">Linked Devices</span>
                               </div>
                             </div>
                             <div className="tab-specific-metrics">
-                              <p><strong>Network Density:</strong> {Math.round(Math.random() * 100)}%</p>
-                              <p><strong>Active Connections:</strong> {tabSpecificData.length}</p>
+                              <p><strong>Network Density:</strong> {Math.round(associationGraph.metrics.density * 100)}%</p>
+                              <p><strong>Active Connections:</strong> {associationGraph.metrics.edges}</p>
+                              <p><strong>Shared Devices:</strong> {associationGraph.metrics.sharedDevices.length}</p>
                             </div>
                           </div>
                         );
@@ -2019,12 +2698,13 @@ function App() {
                                 <span className="stat-label">Behavior Events</span>
                               </div>
                               <div className="quick-stat">
-                                <span className="stat-number">{tabSpecificData.length > 0 ? Math.round((tabSpecificData.filter(d => d && d.status === 'warning').length / tabSpecificData.length) * 100) : 0}%</span>
+                                <span className="stat-number">{tabSpecificData.length > 0 ? Math.round((behaviourAnomalies.list.length / tabSpecificData.length) * 100) : 0}%</span>
                                 <span className="stat-label">Anomaly Rate</span>
                               </div>
                             </div>
                             <div className="tab-specific-metrics">
-                              <p><strong>Patterns Detected:</strong> {Math.floor(Math.random() * 50) + 10}</p>
+                              <p><strong>Anomalous Events:</strong> {behaviourAnomalies.list.length}</p>
+                              <p><strong>Users Affected:</strong> {new Set(behaviourAnomalies.list.map(item => item.event.user)).size}</p>
                               <p><strong>Risk Level:</strong> {tabSpecificData.filter(d => d && d.status === 'fail').length > 0 ? 'High' : 'Low'}</p>
                             </div>
                           </div>
@@ -2038,17 +2718,24 @@ function App() {
                             <p>Financial Crime Risk scoring and risk assessment metrics.</p>
                             <div className="quick-stats">
                               <div className="quick-stat">
-                                <span className="stat-number">{Math.round(Math.random() * 100)}</span>
+                                <span className="stat-number">{fcrSummary.averageScore}</span>
                                 <span className="stat-label">Avg FCR Score</span>
                               </div>
                               <div className="quick-stat">
-                                <span className="stat-number">{tabSpecificData.filter(d => d && d.status === 'fail').length}</span>
+                                <span className="stat-number">{fcrSummary.highRiskEvents}</span>
                                 <span className="stat-label">High Risk Events</span>
                               </div>
                             </div>
                             <div className="tab-specific-metrics">
-                              <p><strong>Risk Distribution:</strong> {Math.round((tabSpecificData.filter(d => d && d.status === 'fail').length / Math.max(tabSpecificData.length, 1)) * 100)}% High Risk</p>
-                              <p><strong>Score Trend:</strong> {Math.random() > 0.5 ? '📈 Improving' : '📉 Declining'}</p>
+                              <p><strong>Risk Distribution:</strong> {fcrSummary.highRiskShare}% High Risk</p>
+                              <p>
+                                <strong>Score Trend:</strong>{' '}
+                                {fcrSummary.trend.direction === 'improving'
+                                  ? `📉 Improving (${fcrSummary.trend.change})`
+                                  : fcrSummary.trend.direction === 'declining'
+                                    ? `📈 Declining (+${fcrSummary.trend.change})`
+                                    : '➡️ Stable'}
+                              </p>
                             </div>
                           </div>
                         );
@@ -2058,20 +2745,21 @@ function App() {
                         return (
                           <div className="info-card">
                             <h4>⚖️ Sanction Monitoring</h4>
-                            <p>Track compliance violations, sanctions screening, and regulatory issues.</p>
+                            <p>Screen users, devices and names against local sanctions and watch lists.</p>
                             <div className="quick-stats">
                               <div className="quick-stat">
-                                <span className="stat-number">{tabSpecificData.filter(d => d && d.status === 'fail').length}</span>
-                                <span className="stat-label">Violations</span>
+                                <span className="stat-number">{sanctionScreening ? sanctionScreening.byEvent.size : 0}</span>
+                                <span className="stat-label">Watch-list Hits</span>
                               </div>
                               <div className="quick-stat">
-                                <span className="stat-number">{tabSpecificData.filter(d => d && d.status === 'warning').length}</span>
-                                <span className="stat-label">Warnings</span>
+                                <span className="stat-number">{sanctionScreening ? new Set(sanctionScreening.hits.map(hit => hit.entry)).size : 0}</span>
+                                <span className="stat-label">Listed Entities Seen</span>
                               </div>
                             </div>
                             <div className="tab-specific-metrics">
-                              <p><strong>Compliance Rate:</strong> {Math.round((tabSpecificData.filter(d => d && d.status === 'success').length / Math.max(tabSpecificData.length, 1)) * 100)}%</p>
-                              <p><strong>Critical Issues:</strong> {tabSpecificData.filter(d => d && d.status === 'fail').length}</p>
+                              <p><strong>Lists Loaded:</strong> {watchLists.length} ({watchLists.reduce((sum, list) => sum + list.entries.length, 0)} entries)</p>
+                              <p><strong>Exact ID Matches:</strong> {sanctionScreening ? sanctionScreening.hits.filter(hit => hit.matchType !== 'name').length : 0}</p>
+                              <p><strong>Fuzzy Name Matches:</strong> {sanctionScreening ? sanctionScreening.hits.filter(hit => hit.matchType === 'name').length : 0}</p>
                             </div>
                           </div>
                         );
@@ -2081,20 +2769,21 @@ function App() {
                         return (
                           <div className="info-card">
                             <h4>📋 Evidence Management</h4>
-                            <p>Document trails, evidence collection, and verification processes.</p>
+                            <p>Collect events, cells and chart snapshots into cases and track their verification.</p>
                             <div className="quick-stats">
                               <div className="quick-stat">
-                                <span className="stat-number">{tabSpecificData.length}</span>
+                                <span className="stat-number">{activeCase ? activeCase.items.length : 0}</span>
                                 <span className="stat-label">Evidence Items</span>
                               </div>
                               <div className="quick-stat">
-                                <span className="stat-number">{tabSpecificData.filter(d => d && d.status === 'success').length}</span>
+                                <span className="stat-number">{activeCase ? activeCase.items.filter(item => item.verification === 'verified').length : 0}</span>
                                 <span className="stat-label">Verified Items</span>
                               </div>
                             </div>
                             <div className="tab-specific-metrics">
-                              <p><strong>Verification Rate:</strong> {Math.round((tabSpecificData.filter(d => d && d.status === 'success').length / Math.max(tabSpecificData.length, 1)) * 100)}%</p>
-                              <p><strong>Pending Review:</strong> {tabSpecificData.filter(d => d && d.status === 'warning').length}</p>
+                              <p><strong>Open Case:</strong> {activeCase ? activeCase.name : 'None'}</p>
+                              <p><strong>Pinned Events:</strong> {pinnedKeys.size}</p>
+                              <p><strong>Pending Review:</strong> {activeCase ? activeCase.items.filter(item => item.verification === 'pending').length : 0}</p>
                             </div>
                           </div>
                         );
@@ -2121,6 +2810,67 @@ function App() {
                 </div>
               </div>
             </div>
+
+            {activeTab === 'transaction' && tabSpecificData.length > 0 && (
+              <TransactionPanel
+                events={tabSpecificData}
+                granularity={granularity}
+                onCellClick={optimizedCellClick}
+                onEntityClick={openEntityTimeline}
+              />
+            )}
+
+            {activeTab === 'fcr' && tabSpecificData.length > 0 && (
+              <FcrScorePanel
+                events={tabSpecificData}
+                scores={eventScores}
+                config={scoringConfig}
+                granularity={granularity}
+                activityTypes={activityTypes}
+                onConfigChange={updateScoringConfig}
+                onConfigReset={resetScoringConfig}
+                onEntityClick={openEntityTimeline}
+              />
+            )}
+
+            {activeTab === 'association' && tabSpecificData.length > 0 && (
+              <AssociationGraphPanel graph={associationGraph} onEntityClick={openEntityTimeline} />
+            )}
+
+            {activeTab === 'behaviour' && tabSpecificData.length > 0 && (
+              <BehaviourAnomalyPanel
+                anomalies={behaviourAnomalies.list}
+                onEventClick={optimizedCellClick}
+                onEntityClick={openEntityTimeline}
+              />
+            )}
+
+            {activeTab === 'sanction' && (
+              <SanctionScreeningPanel
+                lists={watchLists}
+                threshold={watchListThreshold}
+                screening={sanctionScreening}
+                onAddList={addWatchList}
+                onRemoveList={removeWatchList}
+                onThresholdChange={setWatchListThreshold}
+                onEventClick={optimizedCellClick}
+              />
+            )}
+
+            {activeTab === 'evidence' && (
+              <EvidenceCasePanel
+                cases={evidenceCases}
+                activeCase={activeCase}
+                onCreateCase={createCase}
+                onSelectCase={selectCase}
+                onRenameCase={renameCase}
+                onDeleteCase={deleteCase}
+                onUpdateItem={updateEvidenceItem}
+                onRemoveItem={removeEvidenceItem}
+                onOpenItem={openEvidenceItem}
+                onExport={exportCaseBundle}
+              />
+            )}
           </div>
         )}
       </div>
@@ -2136,9 +2886,20 @@ function App() {
                   {selectedCell.periodLabel}
                 </span>
               </div>
-              <button className="close-button" onClick={closeDetailsModal}>
-                <X size={20} />
-              </button>
+              <div className="modal-header-actions">
+                <button
+                  className="filter-toggle"
+                  onClick={() => addEvidenceItem(createCellItem(selectedCell))}
+                  disabled={selectedCell.events.length === 0 || selectedCell.events.every(isEventPinned)}
+                  title={`Pin these events to ${activeCase ? `"${activeCase.name}"` : 'a new case'}`}
+                >
+                  <Pin size={14} />
+                  Pin to case
+                </button>
+                <button className="close-button" onClick={closeDetailsModal}>
+                  <X size={20} />
+                </button>
+              </div>
             </div>
             <div className="modal-body">
               <div className="detail-summary">
@@ -2166,64 +2927,153 @@ function App() {
 
               {selectedCell.events.length > 0 && (
                 <div className="events-section">
-                  <h4>Event Details ({selectedCell.events.length})</h4>
-                  <div className="events-grid">
-                    {selectedCell.events.map((event, index) => (
-                      <div key={index} className="event-card enhanced">
-                        <div className="event-header">
-                          <span className="event-date">
-                            {format(parseISO(event.date), 'MMM dd, yyyy HH:mm')}
-                          </span>
-                          <span
-                            className="event-status"
-                            style={{ backgroundColor: statusColorMap[event.status] }}
-                          >
-                            {statusIcons[event.status]} {event.status}
-                          </span>
-                        </div>
-                        <div className="event-details">
-                          <div className="event-detail-row">
-                            <Users size={14} />
-                            <span><strong>User:</strong> {event.user}</span>
-                          </div>
-                          <div className="event-detail-row">
-                            <Activity size={14} />
-                            <span><strong>Device:</strong> {event.device}</span>
-                          </div>
-                          <div className="event-detail-row">
-                            <span><strong>Activity:</strong> {event.activityType}</span>
-                          </div>
-                          <div className="event-detail-row">
-                            <span><strong>Status:</strong> <span style={{color: statusColorMap[event.status]}}>{statusIcons[event.status]} {event.status.toUpperCase()}</span></span>
-                          </div>
-                          <div className="event-detail-row">
-                            <span><strong>Date:</strong> {format(parseISO(event.date), 'PPp')}</span>
-                          </div>
-                          <div className="event-detail-row">
-                            <span><strong>IP:</strong> 192.168.{Math.floor(Math.random() * 255)}.{Math.floor(Math.random() * 255)}</span>
-                          </div>
-                          <div className="event-detail-row">
-                            <span><strong>Session:</strong> sess_{Math.random().toString(36).substr(2, 9)}</span>
-                          </div>
-                          <div className="event-detail-row">
-                            <span><strong>Duration:</strong> {Math.floor(Math.random() * 300) + 10}s</span>
-                          </div>
-                          <div className="event-detail-row">
-                            <span><strong>Location:</strong> {['New York', 'London', 'Tokyo', 'Sydney', 'Berlin'][Math.floor(Math.random() * 5)]}</span>
+                  <div className="events-section-header">
+                    <h4>Event Details ({selectedCell.events.length})</h4>
+                    <div className="events-layout-toggle">
+                      <button
+                        className={`chart-control-btn ${detailsLayout === 'cards' ? 'active' : ''}`}
+                        onClick={() => setDetailsLayout('cards')}
+                        title="Show as cards"
+                      >
+                        <LayoutGrid size={14} />
+                      </button>
+                      <button
+                        className={`chart-control-btn ${detailsLayout === 'table' ? 'active' : ''}`}
+                        onClick={() => setDetailsLayout('table')}
+                        title="Show as table"
+                      >
+                        <Table size={14} />
+                      </button>
+                    </div>
+                  </div>
+                  {detailsLayout === 'table' ? (
+                    <EventTable
+                      events={selectedCell.events}
+                      title={`${selectedCell.activityType} ${selectedCell.periodLabel}`}
+                      initialPageSize={10}
+                      compact
+                      onPinEvent={pinEvent}
+                      isPinned={isEventPinned}
+                      onEntityClick={openEntityTimeline}
+                    />
+                  ) : (
+                    <div className="events-grid">
+                      {selectedCell.events.map((event, index) => (
+                        <div key={index} className="event-card enhanced">
+                          <div className="event-header">
+                            <span className="event-date">
+                              {format(getEventTime(event), event.timestamp ? 'MMM dd, yyyy HH:mm' : 'MMM dd, yyyy')}
+                            </span>
+                            <span
+                              className="event-status"
+                              style={{ backgroundColor: statusColorMap[event.status] }}
+                            >
+                              {statusIcons[event.status]} {event.status}
+                            </span>
+                            <button
+                              className={`chart-control-btn event-pin ${isEventPinned(event) ? 'active' : ''}`}
+                              onClick={() => pinEvent(event)}
+                              disabled={isEventPinned(event)}
+                              title={isEventPinned(event) ? 'Pinned to case' : 'Pin to case'}
+                            >
+                              <Pin size={12} />
+                            </button>
                           </div>
-                          <div className="event-detail-row">
-                            <span><strong>Risk Score:</strong> <span style={{color: event.status === 'fail' ? '#ef4444' : event.status === 'warning' ? '#eab308' : '#22c55e'}}>{Math.floor(Math.random() * 100)}/100</span></span>
+                          <div className="event-details">
+                            <div className="event-detail-row">
+                              <Users size={14} />
+                              <span>
+                                <strong>User:</strong>{' '}
+                                {event.user ? (
+                                  <button className="entity-link" onClick={() => openEntityTimeline({ type: 'user', id: event.user })}>{event.user}</button>
+                                ) : '—'}
+                              </span>
+                            </div>
+                            <div className="event-detail-row">
+                              <Activity size={14} />
+                              <span>
+                                <strong>Device:</strong>{' '}
+                                {event.device ? (
+                                  <button className="entity-link" onClick={() => openEntityTimeline({ type: 'device', id: event.device })}>{event.device}</button>
+                                ) : '—'}
+                              </span>
+                            </div>
+                            <div className="event-detail-row">
+                              <span><strong>Activity:</strong> {event.activityType}</span>
+                            </div>
+                            <div className="event-detail-row">
+                              <span><strong>Status:</strong> <span style={{color: statusColorMap[event.status]}}>{statusIcons[event.status]} {event.status.toUpperCase()}</span></span>
+                            </div>
+                            <div className="event-detail-row">
+                              <span><strong>Date:</strong> {format(getEventTime(event), event.timestamp ? 'PPp' : 'PP')}</span>
+                            </div>
+                            {event.ip && (
+                              <div className="event-detail-row">
+                                <span><strong>IP:</strong> {event.ip}</span>
+                              </div>
+                            )}
+                            {event.sessionId && (
+                              <div className="event-detail-row">
+                                <span><strong>Session:</strong> {event.sessionId}</span>
+                              </div>
+                            )}
+                            {event.durationMs !== undefined && (
+                              <div className="event-detail-row">
+                                <span><strong>Duration:</strong> {formatDuration(event.durationMs)}</span>
+                              </div>
+                            )}
+                            {event.geo && (
+                              <div className="event-detail-row">
+                                <span><strong>Location:</strong> {formatGeo(event.geo)}</span>
+                              </div>
+                            )}
+                            {event.amount !== undefined && (
+                              <div className="event-detail-row">
+                                <span><strong>Amount:</strong> {formatAmount(event.amount, event.currency)}</span>
+                              </div>
+                            )}
+                            {event.counterparty && (
+                              <div className="event-detail-row">
+                                <span><strong>Counterparty:</strong> {event.counterparty}</span>
+                              </div>
+                            )}
+                            {event.riskScore !== undefined && (
+                              <div className="event-detail-row">
+                                <span><strong>Risk Score:</strong> <span style={{color: event.riskScore >= 70 ? '#ef4444' : event.riskScore >= 40 ? '#eab308' : '#22c55e'}}>{Math.round(event.riskScore)}/100</span></span>
+                              </div>
+                            )}
+                            {event.tags && (
+                              <div className="event-detail-row">
+                                <span><strong>Tags:</strong> {event.tags.join(', ')}</span>
+                              </div>
+                            )}
+                            {event.metadata && Object.entries(event.metadata).map(([key, value]) => (
+                              <div key={key} className="event-detail-row metadata">
+                                <span><strong>{key}:</strong> {typeof value === 'object' ? JSON.stringify(value) : String(value)}</span>
+                              </div>
+                            ))}
                           </div>
                         </div>
-                      </div>
-                    ))}
-                  </div>
+                      ))}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
           </div>
         </div>
       )}
+
+      {selectedEntity && (
+        <EntityTimeline
+          entity={selectedEntity}
+          events={events}
+          granularity={granularity}
+          onClose={() => setSelectedEntity(null)}
+          onCellClick={handleEntityCellClick}
+          onEntityClick={openEntityTimeline}
+        />
+      )}
     </div>
   );
 }
@@ -0,0 +1,179 @@
+import React, { useState, useMemo, memo } from 'react';
+import { scaleLinear } from '@visx/scale';
+import { layoutAssociationGraph, failureColor } from './associationGraph';
+
+const graphWidth = 800;
+const graphHeight = 480;
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+// Association tab analysis: force-directed user–device graph with network metrics
+const AssociationGraphPanel = memo(({ graph, onEntityClick }) => {
+  const [hoveredId, setHoveredId] = useState(null);
+  const [highlightShared, setHighlightShared] = useState(true);
+
+  const layout = useMemo(
+    () => layoutAssociationGraph(graph, { width: graphWidth, height: graphHeight }),
+    [graph]
+  );
+  const { metrics } = graph;
+
+  const strokeWidth = scaleLinear({
+    domain: [1, layout.links.reduce((max, link) => Math.max(max, link.weight), 1)],
+    range: [1, 6]
+  });
+  const nodeRadius = scaleLinear({
+    domain: [1, layout.nodes.reduce((max, node) => Math.max(max, node.eventCount), 1)],
+    range: [5, 14]
+  });
+
+  const hovered = layout.nodes.find(node => node.id === hoveredId);
+  const isDimmed = (id) => hovered && id !== hovered.id && !hovered.neighbors.has(id);
+
+  return (
+    <div className="tab-analysis-section association-panel">
+      <div className="tab-analysis-header">
+        <h3>🔗 User–Device Network</h3>
+        <label className="association-toggle">
+          <input
+            type="checkbox"
+            checked={highlightShared}
+            onChange={(e) => setHighlightShared(e.target.checked)}
+          />
+          Highlight shared devices
+        </label>
+      </div>
+
+      <div className="association-layout">
+        <div className="tab-analysis-card association-graph-card">
+          {layout.nodes.length === 0 ? (
+            <p className="tab-analysis-empty">No events with both a user and a device</p>
+          ) : (
+            <svg
+              className="association-graph"
+              viewBox={`0 0 ${graphWidth} ${graphHeight}`}
+              role="img"
+              aria-label="User and device association graph"
+            >
+              <g>
+                {layout.links.map(link => (
+                  <line
+                    key={link.id}
+                    x1={link.source.x}
+                    y1={link.source.y}
+                    x2={link.target.x}
+                    y2={link.target.y}
+                    stroke={failureColor(link.failureRatio)}
+                    strokeWidth={strokeWidth(link.weight)}
+                    strokeOpacity={hovered && link.source.id !== hovered.id && link.target.id !== hovered.id ? 0.1 : 0.7}
+                  >
+                    <title>{`${link.source.label} ↔ ${link.target.label}: ${link.weight} events, ${formatPercent(link.failureRatio)} failed`}</title>
+                  </line>
+                ))}
+              </g>
+              <g>
+                {layout.nodes.map(node => {
+                  const radius = nodeRadius(node.eventCount);
+                  const sharedHighlight = highlightShared && node.shared;
+                  return (
+                    <g
+                      key={node.id}
+                      transform={`translate(${node.x}, ${node.y})`}
+                      opacity={isDimmed(node.id) ? 0.2 : 1}
+                      onMouseEnter={() => setHoveredId(node.id)}
+                      onMouseLeave={() => setHoveredId(null)}
+                      onClick={() => onEntityClick({ type: node.type, id: node.label })}
+                      className="association-node"
+                    >
+                      {sharedHighlight && (
+                        <circle r={radius + 5} fill="none" stroke="#f97316" strokeWidth={2} strokeDasharray="3,2" />
+                      )}
+                      {node.type === 'user' ? (
+                        <circle r={radius} fill="#3b82f6" stroke="white" strokeWidth={1.5} />
+                      ) : (
+                        <rect
+                          x={-radius}
+                          y={-radius}
+                          width={radius * 2}
+                          height={radius * 2}
+                          rx={2}
+                          fill={sharedHighlight ? '#f97316' : '#64748b'}
+                          stroke="white"
+                          strokeWidth={1.5}
+                        />
+                      )}
+                      {(node.id === hoveredId || sharedHighlight) && (
+                        <text y={-radius - 6} textAnchor="middle" fontSize={10} fontWeight={600} fill="#1e293b">
+                          {node.label}
+                        </text>
+                      )}
+                      <title>
+                        {`${node.label} (${node.type}): ${node.eventCount} events, ${node.degree} ${node.type === 'user' ? 'devices' : 'users'}, ${formatPercent(node.failureRatio)} failed`}
+                      </title>
+                    </g>
+                  );
+                })}
+              </g>
+            </svg>
+          )}
+          <div className="fcr-legend">
+            <span><span className="fcr-legend-swatch association-user" />User</span>
+            <span><span className="fcr-legend-swatch" style={{ backgroundColor: '#64748b' }} />Device</span>
+            <span><span className="fcr-legend-swatch" style={{ backgroundColor: '#f97316' }} />Shared device</span>
+            <span className="association-gradient-legend">
+              Link failure ratio
+              <span className="association-gradient" />
+            </span>
+            {layout.truncated && <span>Showing the {layout.nodes.length} busiest nodes</span>}
+          </div>
+        </div>
+
+        <div className="association-side">
+          <div className="tab-analysis-card">
+            <h4>Network Metrics</h4>
+            <dl className="association-metrics">
+              <dt>Density</dt>
+              <dd>{formatPercent(metrics.density)}</dd>
+              <dt>Links</dt>
+              <dd>{metrics.edges}</dd>
+              <dt>Avg devices per user</dt>
+              <dd>{metrics.averageUserDegree.toFixed(2)}</dd>
+              <dt>Avg users per device</dt>
+              <dd>{metrics.averageDeviceDegree.toFixed(2)}</dd>
+              <dt>Connected components</dt>
+              <dd>{metrics.components}</dd>
+              <dt>Largest component</dt>
+              <dd>{metrics.largestComponent} nodes</dd>
+            </dl>
+          </div>
+
+          <div className="tab-analysis-card">
+            <h4>Shared Devices ({metrics.sharedDevices.length})</h4>
+            {metrics.sharedDevices.length === 0 ? (
+              <p className="tab-analysis-empty">Every device is used by a single user</p>
+            ) : (
+              <ul className="association-shared-list">
+                {metrics.sharedDevices.slice(0, 10).map(device => (
+                  <li
+                    key={device.id}
+                    onMouseEnter={() => setHoveredId(device.id)}
+                    onMouseLeave={() => setHoveredId(null)}
+                  >
+                    <button className="entity-link association-shared-name" onClick={() => onEntityClick({ type: 'device', id: device.label })}>
+                      {device.label}
+                    </button>
+                    <span className="association-shared-meta">
+                      {device.degree} users • {device.eventCount} events • {formatPercent(device.failureRatio)} failed
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default AssociationGraphPanel;
@@ -0,0 +1,136 @@
+import React, { useState, memo } from 'react';
+import { format } from 'date-fns';
+import { anomalyTypes } from './anomalyDetection';
+import { getEventTime } from './timeRange';
+import { statusColorMap, statusIcons } from './statusStyles';
+
+const typeById = anomalyTypes.reduce((acc, type) => ({ ...acc, [type.id]: type }), {});
+
+const toDetailsCell = (title, events) => ({
+  activityType: title,
+  periodLabel: `${events.length} flagged event${events.length === 1 ? '' : 's'}`,
+  status: events.some(e => e.status === 'fail') ? 'fail' : events.some(e => e.status === 'warning') ? 'warning' : 'success',
+  events,
+  count: events.length,
+  intensity: 1
+});
+
+// Behaviour tab analysis: anomalous events with the baseline checks they tripped
+const BehaviourAnomalyPanel = memo(({ anomalies, onEventClick, onEntityClick }) => {
+  const [typeFilter, setTypeFilter] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+
+  const visible = typeFilter
+    ? anomalies.filter(item => item.reasons.some(reason => reason.type === typeFilter))
+    : anomalies;
+  const rows = showAll ? visible : visible.slice(0, 15);
+
+  return (
+    <div className="tab-analysis-section behaviour-panel">
+      <div className="tab-analysis-header">
+        <h3>👤 Behavioural Anomalies</h3>
+        <button
+          className="filter-toggle"
+          onClick={() => onEventClick(toDetailsCell('Behavioural Anomalies', visible.map(item => item.event)))}
+          disabled={visible.length === 0}
+        >
+          Open in details
+        </button>
+      </div>
+
+      <div className="anomaly-type-chips">
+        {anomalyTypes.map(type => {
+          const count = anomalies.filter(item => item.reasons.some(reason => reason.type === type.id)).length;
+          return (
+            <button
+              key={type.id}
+              className={`anomaly-type-chip ${typeFilter === type.id ? 'active' : ''}`}
+              style={{ '--chip-color': type.color }}
+              onClick={() => setTypeFilter(typeFilter === type.id ? null : type.id)}
+            >
+              <span className="anomaly-dot" style={{ backgroundColor: type.color }} />
+              {type.label}
+              <strong>{count}</strong>
+            </button>
+          );
+        })}
+      </div>
+
+      {visible.length === 0 ? (
+        <p className="tab-analysis-empty">No events deviate from their user's baseline</p>
+      ) : (
+        <div className="tab-analysis-card">
+          <table className="fcr-user-table anomaly-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>User</th>
+                <th>Device</th>
+                <th>Activity</th>
+                <th>Findings</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((item, index) => (
+                <tr
+                  key={index}
+                  className="anomaly-row"
+                  onClick={() => onEventClick(toDetailsCell(item.event.activityType, [item.event]))}
+                >
+                  <td>{format(getEventTime(item.event), item.event.timestamp ? 'MMM dd, yyyy HH:mm' : 'MMM dd, yyyy')}</td>
+                  <td>
+                    <button
+                      className="entity-link"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onEntityClick({ type: 'user', id: item.event.user });
+                      }}
+                    >
+                      {item.event.user}
+                    </button>
+                  </td>
+                  <td>
+                    {item.event.device ? (
+                      <button
+                        className="entity-link"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onEntityClick({ type: 'device', id: item.event.device });
+                        }}
+                      >
+                        {item.event.device}
+                      </button>
+                    ) : '—'}
+                  </td>
+                  <td>
+                    <span style={{ color: statusColorMap[item.event.status] }}>{statusIcons[item.event.status]}</span>{' '}
+                    {item.event.activityType}
+                  </td>
+                  <td>
+                    {item.reasons.map(reason => (
+                      <span
+                        key={reason.type}
+                        className="anomaly-reason"
+                        style={{ borderColor: typeById[reason.type].color }}
+                        title={reason.label}
+                      >
+                        {typeById[reason.type].label}
+                      </span>
+                    ))}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {visible.length > 15 && (
+            <button className="clear-filters compact anomaly-more" onClick={() => setShowAll(!showAll)}>
+              {showAll ? 'Show fewer' : `Show all ${visible.length}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default BehaviourAnomalyPanel;
@@ -0,0 +1,100 @@
+import React, { useState, memo } from 'react';
+import { Database, Upload, RotateCcw } from 'lucide-react';
+import { createRestSource, createFileSource } from './dataSources';
+
+const sourceTypes = [
+  { id: 'static', label: 'Sample Data' },
+  { id: 'rest', label: 'REST API' },
+  { id: 'file', label: 'Upload File' }
+];
+
+const statusLabels = {
+  idle: 'Idle',
+  loading: 'Loading…',
+  ready: 'Loaded',
+  error: 'Error'
+};
+
+// Toolbar group for switching the dashboard between data source adapters at runtime
+const DataSourcePicker = memo(({ sampleSource, activeSource, onSourceChange, status, eventCount, validation, onReload }) => {
+  const [sourceType, setSourceType] = useState(activeSource.id);
+  const [restUrl, setRestUrl] = useState('');
+
+  const handleTypeChange = (type) => {
+    setSourceType(type);
+    if (type === 'static') {
+      onSourceChange(sampleSource);
+    }
+  };
+
+  const handleRestSubmit = (event) => {
+    event.preventDefault();
+    if (restUrl.trim()) {
+      onSourceChange(createRestSource({ url: restUrl.trim() }));
+    }
+  };
+
+  const handleFileChange = (event) => {
+    const file = event.target.files && event.target.files[0];
+    if (file) {
+      onSourceChange(createFileSource(file));
+    }
+  };
+
+  return (
+    <div className="filter-group data-source-picker">
+      <span className="filter-group-label">Source:</span>
+      <div className="filter-buttons">
+        <Database size={14} className="data-source-icon" />
+        <select
+          value={sourceType}
+          onChange={(e) => handleTypeChange(e.target.value)}
+          className="data-source-select"
+          title="Data Source"
+        >
+          {sourceTypes.map(type => (
+            <option key={type.id} value={type.id}>{type.label}</option>
+          ))}
+        </select>
+
+        {sourceType === 'rest' && (
+          <form className="data-source-form" onSubmit={handleRestSubmit}>
+            <input
+              type="url"
+              placeholder="https://api.example.com/events"
+              value={restUrl}
+              onChange={(e) => setRestUrl(e.target.value)}
+              className="data-source-input"
+            />
+            <button type="submit" className="filter-icon-btn" title="Load Endpoint">
+              <Database size={14} />
+            </button>
+          </form>
+        )}
+
+        {sourceType === 'file' && (
+          <label className="filter-icon-btn data-source-upload" title="Upload JSON or CSV">
+            <Upload size={14} />
+            <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFileChange} />
+          </label>
+        )}
+
+        <span
+          className={`data-source-status ${status}`}
+          title={[activeSource.label, ...(validation ? validation.issues : [])].join('\n')}
+        >
+          {statusLabels[status]}{status === 'ready' ? ` (${eventCount})` : ''}
+          {status === 'ready' && validation && validation.rejected > 0 && (
+            <span className="data-source-rejected"> · {validation.rejected} skipped</span>
+          )}
+        </span>
+
+        <button className="filter-icon-btn" onClick={onReload} title="Reload Source" disabled={status === 'loading'}>
+          <RotateCcw size={14} />
+        </button>
+      </div>
+    </div>
+  );
+});
+
+export default DataSourcePicker;
@@ -0,0 +1,232 @@
+import React, { useMemo, memo } from 'react';
+import { scaleBand } from '@visx/scale';
+import { format } from 'date-fns';
+import { X } from 'lucide-react';
+import { buildEntityTimeline, entityTypes } from './entityProfile';
+import { statusColorMap, statusIcons } from './statusStyles';
+
+const rowWidth = 800;
+const rowHeight = 76;
+const rowMargin = { top: 8, right: 8, bottom: 24, left: 8 };
+
+const formatSeen = (date) => (date ? format(date, 'MMM dd, yyyy HH:mm') : '—');
+
+const hexToRgba = (hex, alpha) => {
+  const value = hex.replace('#', '');
+  const r = parseInt(value.substr(0, 2), 16);
+  const g = parseInt(value.substr(2, 2), 16);
+  const b = parseInt(value.substr(4, 2), 16);
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+};
+
+const toDetailsCell = (title, periodLabel, events) => ({
+  activityType: title,
+  periodLabel,
+  status: events.some(e => e.status === 'fail') ? 'fail' : events.some(e => e.status === 'warning') ? 'warning' : 'success',
+  events,
+  count: events.length,
+  intensity: 1
+});
+
+// Single-row heatmap of the entity's events per period
+const TimelineRow = ({ cells, onCellClick }) => {
+  const xMax = rowWidth - rowMargin.left - rowMargin.right;
+  const cellHeight = rowHeight - rowMargin.top - rowMargin.bottom;
+  const xScale = scaleBand({ domain: cells.map(cell => cell.period), range: [0, xMax], padding: 0.08 });
+  const labelStep = Math.max(1, Math.ceil(cells.length / 8));
+
+  return (
+    <svg className="entity-timeline-row" viewBox={`0 0 ${rowWidth} ${rowHeight}`} role="img" aria-label="Activity per period">
+      <g transform={`translate(${rowMargin.left}, ${rowMargin.top})`}>
+        {cells.map((cell, index) => (
+          <g key={cell.period}>
+            <rect
+              x={xScale(cell.period)}
+              y={0}
+              width={xScale.bandwidth()}
+              height={cellHeight}
+              rx={2}
+              fill={cell.status ? hexToRgba(statusColorMap[cell.status], Math.max(0.3, cell.intensity)) : '#f3f4f6'}
+              className={cell.count > 0 ? 'heatmap-cell' : undefined}
+              onClick={() => cell.count > 0 && onCellClick(cell)}
+            >
+              <title>
+                {[
+                  `${cell.periodLabel}: ${cell.count} events`,
+                  ...Object.entries(cell.activityTypes).map(([type, count]) => `${type}: ${count}`)
+                ].join('\n')}
+              </title>
+            </rect>
+            {cell.count > 0 && xScale.bandwidth() >= 16 && (
+              <text
+                x={xScale(cell.period) + xScale.bandwidth() / 2}
+                y={cellHeight / 2}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                fontSize={10}
+                fontWeight="bold"
+                fill="white"
+                pointerEvents="none"
+              >
+                {cell.count}
+              </text>
+            )}
+            {index % labelStep === 0 && (
+              <text
+                x={xScale(cell.period) + xScale.bandwidth() / 2}
+                y={cellHeight + 14}
+                textAnchor="middle"
+                fontSize={9}
+                fill="#6b7280"
+              >
+                {cell.periodLabel}
+              </text>
+            )}
+          </g>
+        ))}
+      </g>
+    </svg>
+  );
+};
+
+// Drill-down for a single user or device, opened from any user / device link
+const EntityTimeline = memo(({ entity, events, granularity, onClose, onCellClick, onEntityClick }) => {
+  const timeline = useMemo(() => buildEntityTimeline(events, entity, granularity), [events, entity, granularity]);
+  const type = entityTypes[entity.type];
+  const relatedType = type.related;
+
+  return (
+    <div className="modal-overlay entity-overlay" onClick={onClose}>
+      <div className="modal-content enhanced entity-timeline" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <div className="modal-title-section">
+            <h3>{type.icon} {entity.id}</h3>
+            <span className="modal-subtitle">{type.label} timeline · all loaded events</span>
+          </div>
+          <button className="close-button" onClick={onClose}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="modal-body">
+          {timeline.events.length === 0 ? (
+            <p className="tab-analysis-empty">No events for this {type.label.toLowerCase()}</p>
+          ) : (
+            <>
+              <div className="detail-summary">
+                <div className="summary-stats">
+                  <div className="summary-stat">
+                    <div className="summary-value">{timeline.events.length}</div>
+                    <div className="summary-label">Events</div>
+                  </div>
+                  <div className="summary-stat">
+                    <div className="summary-value entity-seen">{formatSeen(timeline.firstSeen)}</div>
+                    <div className="summary-label">First Seen</div>
+                  </div>
+                  <div className="summary-stat">
+                    <div className="summary-value entity-seen">{formatSeen(timeline.lastSeen)}</div>
+                    <div className="summary-label">Last Seen</div>
+                  </div>
+                  <div className="summary-stat">
+                    <div className="summary-value" style={{ color: timeline.failCount > 0 ? statusColorMap.fail : undefined }}>
+                      {Math.round((timeline.failCount / timeline.events.length) * 100)}%
+                    </div>
+                    <div className="summary-label">Failure Rate</div>
+                  </div>
+                </div>
+              </div>
+
+              <div className="entity-section">
+                <h4>Activity</h4>
+                <TimelineRow
+                  cells={timeline.cells}
+                  onCellClick={(cell) => onCellClick(toDetailsCell(`${type.label} ${entity.id}`, cell.periodLabel, cell.events))}
+                />
+                <div className="entity-activity-types">
+                  {timeline.activityTypes.map(item => (
+                    <span key={item.activityType} className="anomaly-type-chip">
+                      {item.activityType}
+                      <strong>{item.count}</strong>
+                      {item.failCount > 0 && <span className="entity-fail-count">{statusIcons.fail} {item.failCount}</span>}
+                    </span>
+                  ))}
+                </div>
+              </div>
+
+              <div className="tab-analysis-grid">
+                <div className="tab-analysis-card">
+                  <h4>{type.relatedLabel} ({timeline.related.length})</h4>
+                  {timeline.related.length === 0 ? (
+                    <p className="tab-analysis-empty">None recorded</p>
+                  ) : (
+                    <table className="fcr-user-table">
+                      <thead>
+                        <tr>
+                          <th>{entityTypes[relatedType].label}</th>
+                          <th>Events</th>
+                          <th>Failed</th>
+                          <th>Last seen</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {timeline.related.map(item => (
+                          <tr key={item.id}>
+                            <td>
+                              <button className="entity-link" onClick={() => onEntityClick({ type: relatedType, id: item.id })}>
+                                {item.id}
+                              </button>
+                            </td>
+                            <td>{item.count}</td>
+                            <td>{item.failCount}</td>
+                            <td>{formatSeen(item.lastSeen)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+
+                <div className="tab-analysis-card">
+                  <h4>Failure Streaks</h4>
+                  {timeline.openStreak > 0 && (
+                    <p className="entity-open-streak">
+                      {statusIcons.fail} The last {timeline.openStreak} event{timeline.openStreak === 1 ? '' : 's'} failed
+                    </p>
+                  )}
+                  {timeline.streaks.length === 0 ? (
+                    <p className="tab-analysis-empty">No consecutive failures</p>
+                  ) : (
+                    <table className="fcr-user-table">
+                      <thead>
+                        <tr>
+                          <th>Failures</th>
+                          <th>From</th>
+                          <th>To</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {timeline.streaks.slice(0, 8).map(streak => (
+                          <tr
+                            key={streak.start.getTime()}
+                            className="anomaly-row"
+                            onClick={() => onCellClick(toDetailsCell(`${type.label} ${entity.id}`, `${streak.length} consecutive failures`, streak.events))}
+                          >
+                            <td><strong>{streak.length}</strong></td>
+                            <td>{formatSeen(streak.start)}</td>
+                            <td>{formatSeen(streak.end)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default EntityTimeline;
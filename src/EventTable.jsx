@@ -0,0 +1,299 @@
+import React, { useState, useMemo, memo } from 'react';
+import { format } from 'date-fns';
+import { ChevronUp, ChevronDown, ChevronLeft, ChevronRight, Columns, Download, Pin } from 'lucide-react';
+import { getEventTime } from './timeRange';
+import { eventStatuses, formatDuration, formatGeo, formatAmount } from './eventSchema';
+import { statusColorMap, statusIcons } from './statusStyles';
+import { exportCsv, eventColumns } from './chartExport';
+
+// Users and devices open their entity timeline when the table is given `onEntityClick`
+const renderEntity = (type) => (event, { onEntityClick }) => (event[type] && onEntityClick ? (
+  <button className="entity-link" onClick={() => onEntityClick({ type, id: event[type] })}>{event[type]}</button>
+) : event[type]);
+
+// `value` drives sorting and filtering, `render(event, context)` the cell. Numeric columns
+// accept comparison filters such as ">50" or "<=1000".
+const tableColumns = [
+  {
+    key: 'date',
+    label: 'Date',
+    visible: true,
+    value: event => (getEventTime(event) || new Date(0)).getTime(),
+    filterValue: event => event.timestamp || event.date,
+    render: event => format(getEventTime(event), event.timestamp ? 'MMM dd, yyyy HH:mm' : 'MMM dd, yyyy')
+  },
+  { key: 'activityType', label: 'Activity Type', visible: true },
+  {
+    key: 'status',
+    label: 'Status',
+    visible: true,
+    options: eventStatuses,
+    render: event => (
+      <span className="event-table-status" style={{ color: statusColorMap[event.status] }}>
+        {statusIcons[event.status]} {event.status}
+      </span>
+    )
+  },
+  { key: 'user', label: 'User', visible: true, render: renderEntity('user') },
+  { key: 'device', label: 'Device', visible: true, render: renderEntity('device') },
+  { key: 'ip', label: 'IP', visible: false },
+  { key: 'sessionId', label: 'Session', visible: false },
+  {
+    key: 'durationMs',
+    label: 'Duration',
+    visible: false,
+    numeric: true,
+    render: event => (event.durationMs !== undefined ? formatDuration(event.durationMs) : '')
+  },
+  { key: 'geo', label: 'Location', visible: false, value: event => formatGeo(event.geo) },
+  { key: 'riskScore', label: 'Risk Score', visible: false, numeric: true },
+  { key: 'tags', label: 'Tags', visible: false, value: event => (event.tags ? event.tags.join(', ') : '') },
+  {
+    key: 'amount',
+    label: 'Amount',
+    visible: false,
+    numeric: true,
+    render: event => (event.amount !== undefined ? formatAmount(event.amount, event.currency) : '')
+  },
+  { key: 'counterparty', label: 'Counterparty', visible: false },
+  {
+    key: 'metadata',
+    label: 'Metadata',
+    visible: false,
+    value: event => (event.metadata ? JSON.stringify(event.metadata) : '')
+  }
+];
+
+const getValue = (column, event) => (column.value ? column.value(event) : event[column.key]);
+const getFilterValue = (column, event) => (column.filterValue ? column.filterValue(event) : getValue(column, event));
+
+const isMissing = value => value === undefined || value === null || value === '';
+
+const comparisonPattern = /^(>=|<=|>|<|=)\s*(-?\d+(\.\d+)?)$/;
+
+const matchesFilter = (column, event, filter) => {
+  const value = getFilterValue(column, event);
+
+  if (column.numeric) {
+    const comparison = filter.match(comparisonPattern);
+    if (comparison) {
+      if (isMissing(value)) return false;
+      const target = Number(comparison[2]);
+      switch (comparison[1]) {
+        case '>': return value > target;
+        case '<': return value < target;
+        case '>=': return value >= target;
+        case '<=': return value <= target;
+        default: return value === target;
+      }
+    }
+  }
+
+  if (column.options) return value === filter;
+  return value !== undefined && value !== null && String(value).toLowerCase().includes(filter.toLowerCase());
+};
+
+// Missing values always sink to the bottom, whichever way the column is sorted
+const compareValues = (a, b, direction) => {
+  if (isMissing(a) || isMissing(b)) return isMissing(a) === isMissing(b) ? 0 : isMissing(a) ? 1 : -1;
+  if (typeof a === 'number' && typeof b === 'number') return (a - b) * direction;
+  return String(a).localeCompare(String(b), undefined, { numeric: true }) * direction;
+};
+
+const pageSizeOptions = [10, 25, 50, 100];
+
+// Sortable, filterable, paginated event table used for drill-downs and the standalone Events view
+// `onPinEvent` adds a leading pin button per row; `isPinned(event)` marks rows already in the case
+const EventTable = memo(({ events, title = 'Events', initialPageSize = 25, compact = false, onPinEvent, isPinned, onEntityClick }) => {
+  const [sort, setSort] = useState({ key: 'date', direction: 'desc' });
+  const [filters, setFilters] = useState({});
+  const [visibleColumns, setVisibleColumns] = useState(
+    () => tableColumns.filter(column => column.visible).map(column => column.key)
+  );
+  const [showColumnChooser, setShowColumnChooser] = useState(false);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(initialPageSize);
+
+  const columns = tableColumns.filter(column => visibleColumns.includes(column.key));
+
+  const rows = useMemo(() => {
+    const activeFilters = Object.entries(filters).filter(([, value]) => value !== '');
+    const filtered = activeFilters.length === 0 ? events : events.filter(event =>
+      activeFilters.every(([key, value]) => matchesFilter(tableColumns.find(c => c.key === key), event, value.trim()))
+    );
+
+    const sortColumn = tableColumns.find(column => column.key === sort.key);
+    if (!sortColumn) return filtered;
+
+    const direction = sort.direction === 'asc' ? 1 : -1;
+    return [...filtered].sort((a, b) => compareValues(getValue(sortColumn, a), getValue(sortColumn, b), direction));
+  }, [events, filters, sort]);
+
+  const pageCount = Math.max(1, Math.ceil(rows.length / pageSize));
+  const currentPage = Math.min(page, pageCount - 1);
+  const pageRows = rows.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+
+  const toggleSort = (key) => {
+    setSort(prev => (prev.key === key
+      ? { key, direction: prev.direction === 'asc' ? 'desc' : 'asc' }
+      : { key, direction: 'asc' }));
+  };
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setPage(0);
+  };
+
+  const toggleColumn = (key) => {
+    setVisibleColumns(prev => (prev.includes(key)
+      ? (prev.length > 1 ? prev.filter(k => k !== key) : prev)
+      : tableColumns.map(c => c.key).filter(k => k === key || prev.includes(k))));
+  };
+
+  return (
+    <div className={`event-table-container ${compact ? 'compact' : ''}`}>
+      <div className="event-table-toolbar">
+        <span className="event-table-count">
+          {rows.length === events.length ? `${events.length} events` : `${rows.length} of ${events.length} events`}
+        </span>
+        <div className="event-table-actions">
+          <div className="event-table-column-chooser">
+            <button
+              className={`chart-control-btn ${showColumnChooser ? 'active' : ''}`}
+              onClick={() => setShowColumnChooser(!showColumnChooser)}
+              title="Choose Columns"
+            >
+              <Columns size={14} />
+            </button>
+            {showColumnChooser && (
+              <div className="event-table-column-list">
+                {tableColumns.map(column => (
+                  <label key={column.key} className="filter-option compact">
+                    <input
+                      type="checkbox"
+                      checked={visibleColumns.includes(column.key)}
+                      onChange={() => toggleColumn(column.key)}
+                    />
+                    <span>{column.label}</span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+          <button
+            className="chart-control-btn"
+            onClick={() => exportCsv(rows, eventColumns, title)}
+            title="Export rows as CSV"
+            disabled={rows.length === 0}
+          >
+            <Download size={14} />
+          </button>
+        </div>
+      </div>
+
+      <div className="event-table-scroll">
+        <table className="event-table">
+          <thead>
+            <tr>
+              {onPinEvent && <th className="event-table-pin" aria-label="Pin" />}
+              {columns.map(column => (
+                <th key={column.key} onClick={() => toggleSort(column.key)} className="sortable">
+                  <span>{column.label}</span>
+                  {sort.key === column.key && (sort.direction === 'asc' ? <ChevronUp size={12} /> : <ChevronDown size={12} />)}
+                </th>
+              ))}
+            </tr>
+            <tr className="event-table-filters">
+              {onPinEvent && <th />}
+              {columns.map(column => (
+                <th key={column.key}>
+                  {column.options ? (
+                    <select
+                      value={filters[column.key] || ''}
+                      onChange={(e) => updateFilter(column.key, e.target.value)}
+                    >
+                      <option value="">All</option>
+                      {column.options.map(option => (
+                        <option key={option} value={option}>{option}</option>
+                      ))}
+                    </select>
+                  ) : (
+                    <input
+                      type="text"
+                      value={filters[column.key] || ''}
+                      placeholder={column.numeric ? '>50' : 'Filter…'}
+                      onChange={(e) => updateFilter(column.key, e.target.value)}
+                    />
+                  )}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {pageRows.length === 0 ? (
+              <tr>
+                <td colSpan={columns.length + (onPinEvent ? 1 : 0)} className="event-table-empty">No events match these filters</td>
+              </tr>
+            ) : pageRows.map((event, index) => (
+              <tr key={`${currentPage}-${index}`}>
+                {onPinEvent && (
+                  <td className="event-table-pin">
+                    <button
+                      className={`chart-control-btn ${isPinned && isPinned(event) ? 'active' : ''}`}
+                      onClick={() => onPinEvent(event)}
+                      disabled={isPinned && isPinned(event)}
+                      title={isPinned && isPinned(event) ? 'Pinned to case' : 'Pin to case'}
+                    >
+                      <Pin size={12} />
+                    </button>
+                  </td>
+                )}
+                {columns.map(column => (
+                  <td key={column.key}>
+                    {column.render ? column.render(event, { onEntityClick }) : getValue(column, event)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="event-table-pagination">
+        <label>
+          Rows
+          <select
+            value={pageSize}
+            onChange={(e) => {
+              setPageSize(Number(e.target.value));
+              setPage(0);
+            }}
+          >
+            {pageSizeOptions.map(size => (
+              <option key={size} value={size}>{size}</option>
+            ))}
+          </select>
+        </label>
+        <span>Page {currentPage + 1} of {pageCount}</span>
+        <button
+          className="chart-control-btn"
+          onClick={() => setPage(currentPage - 1)}
+          disabled={currentPage === 0}
+          title="Previous page"
+        >
+          <ChevronLeft size={14} />
+        </button>
+        <button
+          className="chart-control-btn"
+          onClick={() => setPage(currentPage + 1)}
+          disabled={currentPage >= pageCount - 1}
+          title="Next page"
+        >
+          <ChevronRight size={14} />
+        </button>
+      </div>
+    </div>
+  );
+});
+
+export default EventTable;
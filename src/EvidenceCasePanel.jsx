@@ -0,0 +1,180 @@
+import React, { useState, memo } from 'react';
+import { format } from 'date-fns';
+import { Download, Plus, Trash2, X, Eye } from 'lucide-react';
+import { itemKinds, verificationStates } from './evidenceCases';
+import { statusColorMap } from './statusStyles';
+
+const verificationLabels = {
+  pending: 'Pending',
+  verified: 'Verified'
+};
+
+const snapshotUrl = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+
+// Evidence tab: the open investigation case, its pinned items and the bundle export
+const EvidenceCasePanel = memo(({
+  cases,
+  activeCase,
+  onCreateCase,
+  onSelectCase,
+  onRenameCase,
+  onDeleteCase,
+  onUpdateItem,
+  onRemoveItem,
+  onOpenItem,
+  onExport
+}) => {
+  const [newCaseName, setNewCaseName] = useState('');
+  const [verificationFilter, setVerificationFilter] = useState('all');
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    onCreateCase(newCaseName);
+    setNewCaseName('');
+  };
+
+  const items = activeCase ? activeCase.items : [];
+  const visibleItems = verificationFilter === 'all' ? items : items.filter(item => item.verification === verificationFilter);
+
+  return (
+    <div className="tab-analysis-section evidence-panel">
+      <div className="tab-analysis-header">
+        <h3>📋 Case Evidence</h3>
+        <button
+          className="filter-toggle"
+          onClick={() => onExport(activeCase)}
+          disabled={items.length === 0}
+          title="Download the case as a ZIP with a JSON manifest, events CSV and SVG snapshots"
+        >
+          <Download size={14} />
+          Export bundle
+        </button>
+      </div>
+
+      <div className="evidence-case-bar">
+        {cases.length > 0 && (
+          <>
+            <select
+              className="data-source-select"
+              value={activeCase ? activeCase.id : ''}
+              onChange={(e) => onSelectCase(e.target.value)}
+              title="Open case"
+            >
+              {cases.map(c => (
+                <option key={c.id} value={c.id}>{c.name} ({c.items.length})</option>
+              ))}
+            </select>
+            {activeCase && (
+              <>
+                <input
+                  className="data-source-input evidence-case-name"
+                  value={activeCase.name}
+                  onChange={(e) => onRenameCase(e.target.value)}
+                  aria-label="Case name"
+                />
+                <button
+                  className="filter-icon-btn"
+                  onClick={() => {
+                    if (window.confirm(`Delete "${activeCase.name}" and its ${items.length} items?`)) onDeleteCase();
+                  }}
+                  title="Delete case"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </>
+            )}
+          </>
+        )}
+        <form className="data-source-form" onSubmit={handleCreate}>
+          <input
+            className="data-source-input"
+            placeholder="New case name"
+            value={newCaseName}
+            onChange={(e) => setNewCaseName(e.target.value)}
+          />
+          <button type="submit" className="filter-icon-btn" title="Create case">
+            <Plus size={14} />
+          </button>
+        </form>
+      </div>
+
+      {items.length > 0 && (
+        <div className="anomaly-type-chips">
+          {['all', ...verificationStates].map(state => (
+            <button
+              key={state}
+              className={`anomaly-type-chip ${verificationFilter === state ? 'active' : ''}`}
+              style={{ '--chip-color': '#3b82f6' }}
+              onClick={() => setVerificationFilter(state)}
+            >
+              {state === 'all' ? 'All' : verificationLabels[state]}
+              <strong>{state === 'all' ? items.length : items.filter(item => item.verification === state).length}</strong>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {!activeCase || items.length === 0 ? (
+        <p className="tab-analysis-empty">
+          Pin events or cells from the details view, or snapshot the current chart from the toolbar,
+          to collect them here. Cases are stored in this browser only.
+        </p>
+      ) : (
+        <div className="evidence-items">
+          {visibleItems.map(item => (
+            <div key={item.id} className={`tab-analysis-card evidence-item ${item.verification}`}>
+              <div className="evidence-item-header">
+                <span className="evidence-kind">{itemKinds[item.kind]}</span>
+                <span className="evidence-title">
+                  {item.status && <span className="anomaly-dot" style={{ backgroundColor: statusColorMap[item.status] }} />}
+                  {item.title}
+                </span>
+                <button className="sanction-list-remove" onClick={() => onRemoveItem(item.id)} title="Remove from case">
+                  <X size={12} />
+                </button>
+              </div>
+
+              {item.kind === 'snapshot' && item.svg && (
+                <img className="evidence-snapshot" src={snapshotUrl(item.svg)} alt={item.title} />
+              )}
+
+              <div className="evidence-item-meta">
+                <span>Added {format(new Date(item.addedAt), 'MMM dd, yyyy HH:mm')}</span>
+                {item.events.length > 0 && (
+                  <button className="clear-filters compact" onClick={() => onOpenItem(item)}>
+                    <Eye size={12} />
+                    {item.events.length} event{item.events.length === 1 ? '' : 's'}
+                  </button>
+                )}
+              </div>
+
+              <textarea
+                className="evidence-note"
+                placeholder="Notes"
+                value={item.note}
+                onChange={(e) => onUpdateItem(item.id, { note: e.target.value })}
+                rows={2}
+              />
+
+              <div className="evidence-verification" role="radiogroup" aria-label="Verification">
+                {verificationStates.map(state => (
+                  <button
+                    key={state}
+                    role="radio"
+                    aria-checked={item.verification === state}
+                    className={`chart-control-btn ${item.verification === state ? 'active' : ''}`}
+                    onClick={() => onUpdateItem(item.id, { verification: state })}
+                  >
+                    {verificationLabels[state]}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default EvidenceCasePanel;
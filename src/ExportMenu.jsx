@@ -0,0 +1,94 @@
+import React, { useState, useEffect, memo } from 'react';
+import { createPortal } from 'react-dom';
+import { Download } from 'lucide-react';
+
+export const exportFormats = [
+  { id: 'png', label: 'Chart as PNG' },
+  { id: 'svg', label: 'Chart as SVG' },
+  { id: 'csv', label: 'Aggregated data (CSV)' },
+  { id: 'events', label: 'Filtered events (CSV)' }
+];
+
+// Download button with a small format dropdown, shared by chart headers and the toolbar.
+// `onExport` may return a promise (PNG rendering is asynchronous); a rejection is shown
+// under the button.
+const ExportMenu = memo(({ onExport, buttonClassName = 'chart-control-btn', size = 16, disabled = false }) => {
+  // Anchor position of the open menu. The list is portalled out (to <body>, or to the
+  // fullscreen element while one is active) because the toolbar scrolls and the chart
+  // containers are transformed, both of which would clip it.
+  const [anchor, setAnchor] = useState(null);
+  // { message, ...anchor } of the last failed export, shown until dismissed or for a few seconds
+  const [failure, setFailure] = useState(null);
+
+  useEffect(() => {
+    if (!failure) return undefined;
+    const timer = setTimeout(() => setFailure(null), 5000);
+    return () => clearTimeout(timer);
+  }, [failure]);
+
+  const toggleMenu = (event) => {
+    if (anchor) {
+      setAnchor(null);
+      return;
+    }
+    setFailure(null);
+    const rect = event.currentTarget.getBoundingClientRect();
+    setAnchor({
+      top: rect.bottom + 4,
+      right: window.innerWidth - rect.right,
+      container: document.fullscreenElement || document.webkitFullscreenElement || document.body
+    });
+  };
+
+  const handleSelect = (formatId) => {
+    const position = anchor;
+    setAnchor(null);
+    Promise.resolve()
+      .then(() => onExport(formatId))
+      .catch(error => setFailure({ ...position, message: `Export failed: ${error.message}` }));
+  };
+
+  return (
+    <div className="export-menu">
+      <button
+        className={`${buttonClassName} ${anchor ? 'active' : ''}`}
+        title="Export Chart"
+        onClick={toggleMenu}
+        disabled={disabled}
+      >
+        <Download size={size} />
+      </button>
+      {anchor && createPortal(
+        <>
+          <div className="export-menu-overlay" onClick={() => setAnchor(null)} />
+          <div className="export-menu-list" role="menu" style={{ top: anchor.top, right: anchor.right }}>
+            {exportFormats.map(format => (
+              <button
+                key={format.id}
+                className="export-menu-item"
+                role="menuitem"
+                onClick={() => handleSelect(format.id)}
+              >
+                {format.label}
+              </button>
+            ))}
+          </div>
+        </>,
+        anchor.container
+      )}
+      {failure && createPortal(
+        <div
+          className="export-menu-error"
+          role="alert"
+          style={{ top: failure.top, right: failure.right }}
+          onClick={() => setFailure(null)}
+        >
+          {failure.message}
+        </div>,
+        failure.container
+      )}
+    </div>
+  );
+});
+
+export default ExportMenu;
@@ -0,0 +1,254 @@
+import React, { useState, useMemo, memo } from 'react';
+import { scaleBand, scaleLinear } from '@visx/scale';
+import { SlidersHorizontal, RotateCcw } from 'lucide-react';
+import { riskBands, scoreUsers, scoreDistribution, scoreTrend } from './fcrScoring';
+
+const chartWidth = 360;
+const chartHeight = 160;
+const chartMargin = { top: 10, right: 10, bottom: 28, left: 32 };
+
+const bandColor = (band) => (riskBands.find(b => b.id === band) || riskBands[0]).color;
+
+const ruleLabels = {
+  status: 'Status',
+  activityType: 'Activity type',
+  frequency: 'Frequency',
+  deviceNovelty: 'New device',
+  timeOfDay: 'Time of day'
+};
+
+// Bar chart of how many events fall in each 10-point score bucket
+const DistributionChart = ({ buckets }) => {
+  const xMax = chartWidth - chartMargin.left - chartMargin.right;
+  const yMax = chartHeight - chartMargin.top - chartMargin.bottom;
+  const xScale = scaleBand({ domain: buckets.map(b => b.from), range: [0, xMax], padding: 0.15 });
+  const yScale = scaleLinear({ domain: [0, Math.max(...buckets.map(b => b.count), 1)], range: [yMax, 0], nice: true });
+
+  return (
+    <svg className="fcr-chart" viewBox={`0 0 ${chartWidth} ${chartHeight}`} role="img" aria-label="Score distribution">
+      <g transform={`translate(${chartMargin.left}, ${chartMargin.top})`}>
+        {yScale.ticks(4).map(tick => (
+          <g key={tick}>
+            <line x1={0} x2={xMax} y1={yScale(tick)} y2={yScale(tick)} stroke="#e5e7eb" strokeDasharray="2,2" />
+            <text x={-6} y={yScale(tick)} textAnchor="end" dominantBaseline="middle" fontSize={9} fill="#6b7280">{tick}</text>
+          </g>
+        ))}
+        {buckets.map(bucket => (
+          <g key={bucket.from}>
+            <rect
+              x={xScale(bucket.from)}
+              y={yScale(bucket.count)}
+              width={xScale.bandwidth()}
+              height={yMax - yScale(bucket.count)}
+              fill={bandColor(bucket.band)}
+              rx={2}
+            >
+              <title>{`${bucket.from}–${bucket.to}: ${bucket.count} events`}</title>
+            </rect>
+            <text
+              x={xScale(bucket.from) + xScale.bandwidth() / 2}
+              y={yMax + 14}
+              textAnchor="middle"
+              fontSize={9}
+              fill="#6b7280"
+            >
+              {bucket.from}
+            </text>
+          </g>
+        ))}
+      </g>
+    </svg>
+  );
+};
+
+// Average score per period as a line, with the period's worst event as a dot
+const TrendChart = ({ trend }) => {
+  const points = trend.filter(point => point.averageScore !== null);
+  const xMax = chartWidth - chartMargin.left - chartMargin.right;
+  const yMax = chartHeight - chartMargin.top - chartMargin.bottom;
+  const xScale = scaleBand({ domain: trend.map(p => p.period), range: [0, xMax], padding: 0.2 });
+  const yScale = scaleLinear({ domain: [0, 100], range: [yMax, 0] });
+  const center = (period) => (xScale(period) || 0) + xScale.bandwidth() / 2;
+  const labelStep = Math.max(1, Math.ceil(trend.length / 6));
+
+  return (
+    <svg className="fcr-chart" viewBox={`0 0 ${chartWidth} ${chartHeight}`} role="img" aria-label="Score trend">
+      <g transform={`translate(${chartMargin.left}, ${chartMargin.top})`}>
+        {[0, 25, 50, 75, 100].map(tick => (
+          <g key={tick}>
+            <line x1={0} x2={xMax} y1={yScale(tick)} y2={yScale(tick)} stroke="#e5e7eb" strokeDasharray="2,2" />
+            <text x={-6} y={yScale(tick)} textAnchor="end" dominantBaseline="middle" fontSize={9} fill="#6b7280">{tick}</text>
+          </g>
+        ))}
+        <polyline
+          points={points.map(p => `${center(p.period)},${yScale(p.averageScore)}`).join(' ')}
+          fill="none"
+          stroke="#3b82f6"
+          strokeWidth={2}
+        />
+        {points.map(p => (
+          <g key={p.period}>
+            <circle cx={center(p.period)} cy={yScale(p.averageScore)} r={3} fill="#3b82f6">
+              <title>{`${p.periodLabel}: avg ${p.averageScore}, max ${p.maxScore} (${p.count} events)`}</title>
+            </circle>
+            <circle cx={center(p.period)} cy={yScale(p.maxScore)} r={2.5} fill="none" stroke="#ef4444" />
+          </g>
+        ))}
+        {trend.map((p, index) => (index % labelStep === 0 ? (
+          <text key={p.period} x={center(p.period)} y={yMax + 14} textAnchor="middle" fontSize={9} fill="#6b7280">
+            {p.periodLabel}
+          </text>
+        ) : null))}
+      </g>
+    </svg>
+  );
+};
+
+const NumberInput = ({ label, value, onChange }) => (
+  <label className="fcr-rule-input">
+    <span>{label}</span>
+    <input type="number" value={value} onChange={(e) => onChange(e.target.value)} />
+  </label>
+);
+
+// Inline editor for the scoring weights
+const RulesEditor = ({ config, activityTypes, onChange, onReset }) => (
+  <div className="fcr-rules">
+    <div className="fcr-rules-group">
+      <h5>Status</h5>
+      {Object.keys(config.statusWeights).map(status => (
+        <NumberInput
+          key={status}
+          label={status}
+          value={config.statusWeights[status]}
+          onChange={(value) => onChange('statusWeights', { [status]: value })}
+        />
+      ))}
+    </div>
+    <div className="fcr-rules-group">
+      <h5>Activity type</h5>
+      {activityTypes.map(type => (
+        <NumberInput
+          key={type}
+          label={type}
+          value={config.activityTypeWeights[type] || 0}
+          onChange={(value) => onChange('activityTypeWeights', { [type]: value })}
+        />
+      ))}
+    </div>
+    <div className="fcr-rules-group">
+      <h5>Behaviour</h5>
+      <NumberInput label="Frequency window (h)" value={config.frequency.windowHours} onChange={(value) => onChange('frequency', { windowHours: value })} />
+      <NumberInput label="Events before flag" value={config.frequency.threshold} onChange={(value) => onChange('frequency', { threshold: value })} />
+      <NumberInput label="Frequency points" value={config.frequency.weight} onChange={(value) => onChange('frequency', { weight: value })} />
+      <NumberInput label="New device points" value={config.deviceNovelty.weight} onChange={(value) => onChange('deviceNovelty', { weight: value })} />
+      <NumberInput label="Off-hours from" value={config.timeOfDay.startHour} onChange={(value) => onChange('timeOfDay', { startHour: value })} />
+      <NumberInput label="Off-hours until" value={config.timeOfDay.endHour} onChange={(value) => onChange('timeOfDay', { endHour: value })} />
+      <NumberInput label="Off-hours points" value={config.timeOfDay.weight} onChange={(value) => onChange('timeOfDay', { weight: value })} />
+    </div>
+    <div className="fcr-rules-group">
+      <h5>Bands</h5>
+      <NumberInput label="Medium from" value={config.bands.medium} onChange={(value) => onChange('bands', { medium: value })} />
+      <NumberInput label="High from" value={config.bands.high} onChange={(value) => onChange('bands', { high: value })} />
+      <button className="clear-filters compact" onClick={onReset}>
+        <RotateCcw size={12} />
+        Reset rules
+      </button>
+    </div>
+  </div>
+);
+
+// FCR tab analysis: score distribution, top-risk users and score trend for the tab's events
+const FcrScorePanel = memo(({ events, scores, config, granularity, activityTypes, onConfigChange, onConfigReset, onEntityClick }) => {
+  const [showRules, setShowRules] = useState(false);
+
+  const users = useMemo(() => scoreUsers(events, scores, config), [events, scores, config]);
+  const distribution = useMemo(() => scoreDistribution(events, scores, 10, config), [events, scores, config]);
+  const trend = useMemo(() => scoreTrend(events, scores, granularity), [events, scores, granularity]);
+
+  return (
+    <div className="tab-analysis-section fcr-panel">
+      <div className="tab-analysis-header">
+        <h3>📊 Risk Scoring</h3>
+        <button
+          className={`filter-toggle ${showRules ? 'active' : ''}`}
+          onClick={() => setShowRules(!showRules)}
+        >
+          <SlidersHorizontal size={14} />
+          Rules
+        </button>
+      </div>
+
+      {showRules && (
+        <RulesEditor
+          config={config}
+          activityTypes={activityTypes}
+          onChange={onConfigChange}
+          onReset={onConfigReset}
+        />
+      )}
+
+      <div className="tab-analysis-grid">
+        <div className="tab-analysis-card">
+          <h4>Score Distribution</h4>
+          <DistributionChart buckets={distribution} />
+          <div className="fcr-legend">
+            {riskBands.map(band => (
+              <span key={band.id}>
+                <span className="fcr-legend-swatch" style={{ backgroundColor: band.color }} />
+                {band.label}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div className="tab-analysis-card">
+          <h4>Top-Risk Users</h4>
+          {users.length === 0 ? (
+            <p className="tab-analysis-empty">No user-attributed events</p>
+          ) : (
+            <table className="fcr-user-table">
+              <thead>
+                <tr>
+                  <th>User</th>
+                  <th>Score</th>
+                  <th>Events</th>
+                  <th>High</th>
+                  <th>Main driver</th>
+                </tr>
+              </thead>
+              <tbody>
+                {users.slice(0, 8).map(user => (
+                  <tr key={user.user}>
+                    <td>
+                      <button className="entity-link" onClick={() => onEntityClick({ type: 'user', id: user.user })}>{user.user}</button>
+                    </td>
+                    <td>
+                      <span className="fcr-score-badge" style={{ backgroundColor: bandColor(user.band) }}>
+                        {user.score}
+                      </span>
+                    </td>
+                    <td>{user.eventCount}</td>
+                    <td>{user.highRiskEvents}</td>
+                    <td>{user.topRule ? ruleLabels[user.topRule] : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div className="tab-analysis-card">
+          <h4>Score Trend</h4>
+          <TrendChart trend={trend} />
+          <div className="fcr-legend">
+            <span><span className="fcr-legend-swatch" style={{ backgroundColor: '#3b82f6' }} />Average</span>
+            <span><span className="fcr-legend-swatch outline" />Peak event</span>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+export default FcrScorePanel;
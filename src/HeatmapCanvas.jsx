@@ -0,0 +1,224 @@
+import React, { useRef, useState, useEffect, memo } from 'react';
+import { localPoint } from '@visx/event';
+import { statusColorMap, statusPatternMarks, getIntensityColor } from './statusStyles';
+import { useHeatmapFocus, describeCell } from './heatmapFocus';
+
+// Cells of a large heatmap drawn on one <canvas> instead of an SVG element each, with the grid
+// lines between them. The chart's SVG still draws the axes; the canvas only covers the plot area.
+// Pointer input is hit-tested against the band scales, keyboard input works as for the SVG
+// cells (see heatmapFocus.js), and hover / focus outlines are positioned elements so moving
+// them never redraws the cells. Exports find the canvas by `id` (see buildStandaloneSvg).
+
+const tileSize = 4;
+
+// Same tiles as the SVG <pattern>s; the tile is drawn at device resolution and scaled back
+const createPattern = (context, status, ratio) => {
+  const tile = document.createElement('canvas');
+  tile.width = tileSize * ratio;
+  tile.height = tileSize * ratio;
+  const tileContext = tile.getContext('2d');
+  tileContext.scale(ratio, ratio);
+  tileContext.fillStyle = statusColorMap[status];
+  tileContext.fillRect(0, 0, tileSize, tileSize);
+
+  const marks = statusPatternMarks[status];
+  tileContext.fillStyle = 'white';
+  tileContext.strokeStyle = 'white';
+  tileContext.lineWidth = 0.5;
+  if (marks.stroke) tileContext.stroke(new Path2D(marks.stroke));
+  if (marks.fill) tileContext.fill(new Path2D(marks.fill));
+
+  const pattern = context.createPattern(tile, 'repeat');
+  pattern.setTransform(new DOMMatrix([1 / ratio, 0, 0, 1 / ratio, 0, 0]));
+  return pattern;
+};
+
+// Domain value of the band under `value`, or null in the padding between bands
+const bandAt = (scale, value) => {
+  const domain = scale.domain();
+  if (domain.length === 0) return null;
+  const index = Math.floor((value - scale(domain[0])) / scale.step());
+  if (index < 0 || index >= domain.length) return null;
+  return value - scale(domain[index]) <= scale.bandwidth() ? domain[index] : null;
+};
+
+const HeatmapCanvas = memo(({
+  id,
+  cells,
+  xScale,
+  yScale,
+  left,
+  top,
+  width,
+  height,
+  showGridLines,
+  showGradient,
+  showAccessibilityPatterns,
+  showEventCounts,
+  eventCountThreshold,
+  cellMarkerCounts,
+  onCellHover,
+  onCellLeave,
+  onCellClick
+}) => {
+  const canvasRef = useRef(null);
+  const [hovered, setHovered] = useState(null);
+
+  const withMarkers = (cell) => {
+    const markers = cellMarkerCounts[`${cell.activityType}|${cell.period}`];
+    return markers ? { ...cell, markers } : cell;
+  };
+  // Tooltip for the focused cell, against its right edge like the entity-link tooltip
+  const { cellsByKey, focusedCell, focusProps } = useHeatmapFocus({
+    cells,
+    rows: yScale.domain(),
+    columns: xScale.domain(),
+    onCellFocus: cell => onCellHover(withMarkers(cell), {
+      x: left + (xScale(cell.period) || 0) + xScale.bandwidth(),
+      y: top + (yScale(cell.activityType) || 0)
+    }),
+    onCellLeave,
+    onCellClick
+  });
+
+  // A hovered cell from the previous data would leave its outline behind
+  useEffect(() => setHovered(null), [cells]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    const context = canvas.getContext('2d');
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    // Grid lines in the gaps between cells, where the SVG chart puts them
+    if (showGridLines) {
+      context.strokeStyle = '#e5e7eb';
+      context.lineWidth = 0.5;
+      context.beginPath();
+      xScale.domain().forEach(period => {
+        const x = xScale(period) - (xScale.step() - xScale.bandwidth()) / 2;
+        context.moveTo(x, 0);
+        context.lineTo(x, height);
+      });
+      yScale.domain().forEach(activityType => {
+        const y = yScale(activityType) - (yScale.step() - yScale.bandwidth()) / 2;
+        context.moveTo(0, y);
+        context.lineTo(width, y);
+      });
+      context.stroke();
+    }
+
+    const patterns = showAccessibilityPatterns
+      ? Object.fromEntries(Object.keys(statusPatternMarks).map(status => [status, createPattern(context, status, ratio)]))
+      : null;
+    const cellWidth = xScale.bandwidth();
+    const cellHeight = yScale.bandwidth();
+    context.font = `bold ${cellWidth < 30 ? 8 : 10}px ${window.getComputedStyle(canvas).fontFamily}`;
+    context.textAlign = 'center';
+    context.textBaseline = 'middle';
+
+    cells.forEach(cell => {
+      if (!cell.status) return;
+      const markers = cellMarkerCounts[`${cell.activityType}|${cell.period}`];
+      const highlight = markers && markers.find(marker => marker.highlight);
+      const x = xScale(cell.period) || 0;
+      const y = yScale(cell.activityType) || 0;
+
+      context.fillStyle = patterns ? patterns[cell.status] : getIntensityColor(cell.status, cell.intensity, showGradient);
+      context.fillRect(x, y, cellWidth, cellHeight);
+      context.strokeStyle = highlight ? highlight.color : '#fff';
+      context.lineWidth = highlight ? 3 : 1.5;
+      context.strokeRect(x, y, cellWidth, cellHeight);
+
+      if (showEventCounts && cell.count >= eventCountThreshold) {
+        context.fillStyle = 'white';
+        context.fillText(String(cell.count), x + cellWidth / 2, y + cellHeight / 2);
+      }
+
+      if (markers) {
+        context.strokeStyle = 'white';
+        context.lineWidth = 1;
+        markers.forEach((marker, markerIndex) => {
+          context.beginPath();
+          context.arc(x + cellWidth - 5 - markerIndex * 8, y + 5, 3.5, 0, Math.PI * 2);
+          context.fillStyle = marker.color;
+          context.fill();
+          context.stroke();
+        });
+      }
+    });
+  }, [cells, xScale, yScale, width, height, showGridLines, showGradient, showAccessibilityPatterns, showEventCounts, eventCountThreshold, cellMarkerCounts]);
+
+  const hitTest = (event) => {
+    const point = localPoint(canvasRef.current, event);
+    if (!point) return null;
+    const period = bandAt(xScale, point.x);
+    const activityType = bandAt(yScale, point.y);
+    const cell = period !== null && activityType !== null ? cellsByKey.get(`${activityType}|${period}`) : null;
+    return cell && cell.status ? { cell, point } : null;
+  };
+
+  const handleMouseMove = (event) => {
+    const hit = hitTest(event);
+    if (!hit) {
+      if (hovered) {
+        setHovered(null);
+        onCellLeave();
+      }
+      return;
+    }
+    if (hovered === hit.cell) return;
+    setHovered(hit.cell);
+    onCellHover(withMarkers(hit.cell), { x: left + hit.point.x, y: top + hit.point.y });
+  };
+
+  const handleMouseLeave = () => {
+    if (!hovered) return;
+    setHovered(null);
+    onCellLeave();
+  };
+
+  const handleClick = (event) => {
+    const hit = hitTest(event);
+    if (hit) onCellClick(event, hit.cell);
+  };
+
+  const outline = (cell, kind) => cell && (
+    <div
+      className={`heatmap-canvas-outline ${kind}`}
+      style={{
+        left: left + (xScale(cell.period) || 0),
+        top: top + (yScale(cell.activityType) || 0),
+        width: xScale.bandwidth(),
+        height: yScale.bandwidth()
+      }}
+    />
+  );
+
+  return (
+    <>
+      <canvas
+        ref={canvasRef}
+        id={id}
+        className={`heatmap-canvas ${hovered ? 'over-cell' : ''}`}
+        style={{ left, top, width, height }}
+        role="img"
+        {...focusProps}
+        onMouseMove={handleMouseMove}
+        onMouseLeave={handleMouseLeave}
+        onClick={handleClick}
+      />
+      {outline(hovered, 'hover')}
+      {outline(focusedCell, 'focus')}
+      <div className="heatmap-focus-status" aria-live="polite">
+        {focusedCell ? describeCell(focusedCell) : ''}
+      </div>
+    </>
+  );
+});
+
+export default HeatmapCanvas;
@@ -0,0 +1,270 @@
+import React, { useState, useMemo, useCallback, memo } from 'react';
+import { scaleBand, scaleLinear } from '@visx/scale';
+import { format } from 'date-fns';
+import { Radio, Pause, Play, X, Plug, Unplug } from 'lucide-react';
+import { defaultStreamUrl } from './liveStream';
+import { useFilteredEvents } from './eventLineage';
+import { useAggregation } from './aggregation';
+import { formatPeriodLabel } from './granularity';
+import { getEventTime } from './timeRange';
+import { eventStatuses } from './eventSchema';
+import { statusColorMap, statusIcons } from './statusStyles';
+
+const livePeriods = 12;
+const chartWidth = 640;
+const heatmapMargin = { top: 8, right: 8, bottom: 22, left: 120 };
+const barHeight = 120;
+const barMargin = { top: 8, right: 8, bottom: 22, left: 32 };
+
+const statusLabels = {
+  idle: 'Disconnected',
+  connecting: 'Connecting…',
+  live: 'Live',
+  error: 'Connection failed'
+};
+
+const cellStatus = (entry) => (entry.fail > 0 ? 'fail' : entry.warning > 0 ? 'warning' : 'success');
+
+const toDetailsCell = (activityType, periodLabel, entry) => ({
+  activityType,
+  periodLabel,
+  status: cellStatus(entry),
+  events: entry.events,
+  count: entry.count,
+  intensity: 1
+});
+
+// Cells and bars are memoized on their aggregation entry, which only changes when an event
+// lands in it (see foldAggregation). Keying the rect on the count replays the highlight on
+// every update.
+const LiveCell = memo(({ activityType, period, cell, x, y, width, height, intensity, onClick }) => (
+  <rect
+    key={cell.count}
+    x={x}
+    y={y}
+    width={width}
+    height={height}
+    rx={2}
+    fill={statusColorMap[cellStatus(cell)]}
+    fillOpacity={Math.max(0.3, intensity)}
+    className="heatmap-cell live-cell"
+    onClick={() => onClick(activityType, period, cell)}
+  >
+    <title>{`${activityType}: ${cell.count} events`}</title>
+  </rect>
+));
+
+const LiveBar = memo(({ period, bucket, x, width, yScale, onClick }) => {
+  let offset = 0;
+  return (
+    <g className="transaction-bar live-bar" key={bucket.count} onClick={() => onClick(period, bucket)}>
+      {eventStatuses.map(status => {
+        const y = yScale(offset + bucket[status]);
+        const height = yScale(offset) - y;
+        offset += bucket[status];
+        return height > 0 ? <rect key={status} x={x} y={y} width={width} height={height} fill={statusColorMap[status]} /> : null;
+      })}
+      <title>{`${bucket.count} events`}</title>
+    </g>
+  );
+});
+
+// Replaces the static preview: streams events into a small heatmap and bar chart of the most
+// recent periods, with a backlog the dashboard can pull in. Streamed events extend the list, so
+// the filter and the aggregation fold them in instead of starting over.
+const LiveStreamPanel = memo(({ stream, granularity, filter, onCellClick, onSync, onClose }) => {
+  const [url, setUrl] = useState(stream.url || defaultStreamUrl);
+  const liveEvents = useFilteredEvents(stream.events, filter);
+  const { aggregation } = useAggregation(liveEvents, granularity);
+
+  const periods = useMemo(
+    () => Array.from(aggregation.buckets.keys()).sort().slice(-livePeriods),
+    [aggregation]
+  );
+  const { activityTypes, maxCellCount } = useMemo(() => {
+    const visible = new Set(periods);
+    const types = new Set();
+    let maxCount = 0;
+    aggregation.cells.forEach((cell, key) => {
+      const split = key.lastIndexOf('|');
+      maxCount = Math.max(maxCount, cell.count);
+      if (visible.has(key.slice(split + 1))) types.add(key.slice(0, split));
+    });
+    return { activityTypes: Array.from(types).sort(), maxCellCount: maxCount };
+  }, [aggregation, periods]);
+
+  const heatmapHeight = heatmapMargin.top + heatmapMargin.bottom + Math.max(1, activityTypes.length) * 22;
+  const xMax = chartWidth - heatmapMargin.left - heatmapMargin.right;
+  const xScale = scaleBand({ domain: periods, range: [0, xMax], padding: 0.08 });
+  const yScale = scaleBand({ domain: activityTypes, range: [0, heatmapHeight - heatmapMargin.top - heatmapMargin.bottom], padding: 0.08 });
+  const barXMax = chartWidth - barMargin.left - barMargin.right;
+  const barYMax = barHeight - barMargin.top - barMargin.bottom;
+  const barXScale = scaleBand({ domain: periods, range: [0, barXMax], padding: 0.2 });
+  const barYScale = scaleLinear({
+    domain: [0, Math.max(1, ...periods.map(period => aggregation.buckets.get(period).count))],
+    range: [barYMax, 0],
+    nice: true
+  });
+  const labelStep = Math.max(1, Math.ceil(periods.length / 6));
+
+  const handleConnect = (event) => {
+    event.preventDefault();
+    if (url.trim()) stream.connect(url.trim());
+  };
+
+  const openCell = useCallback(
+    (activityType, period, cell) => onCellClick(toDetailsCell(activityType, formatPeriodLabel(period, granularity), cell)),
+    [onCellClick, granularity]
+  );
+  const openBucket = useCallback(
+    (period, bucket) => onCellClick(toDetailsCell('Live events', formatPeriodLabel(period, granularity), bucket)),
+    [onCellClick, granularity]
+  );
+
+  const recent = stream.events.slice(-5).reverse();
+  const connected = stream.url !== null;
+
+  return (
+    <div className="preview-panel live-panel">
+      <div className="preview-header">
+        <h3><Radio size={16} /> Live Stream</h3>
+        <div className="preview-stats">
+          <span className={`live-status ${stream.status}`}>{statusLabels[stream.status]}{stream.paused ? ' · paused' : ''}</span>
+          <span className="preview-stat">
+            <strong>{stream.events.length}</strong> streamed
+          </span>
+          {stream.rejected > 0 && (
+            <span className="preview-stat">
+              <strong>{stream.rejected}</strong> skipped
+            </span>
+          )}
+          <button className="close-button" onClick={onClose} title="Close">
+            <X size={16} />
+          </button>
+        </div>
+      </div>
+
+      <div className="live-controls">
+        <form className="data-source-form" onSubmit={handleConnect}>
+          <input
+            type="text"
+            value={url}
+            onChange={(e) => setUrl(e.target.value)}
+            className="data-source-input live-url-input"
+            placeholder="ws://… or https://…/events"
+            aria-label="Stream URL"
+            disabled={connected}
+          />
+          {connected ? (
+            <button type="button" className="filter-icon-btn" onClick={stream.disconnect} title="Disconnect">
+              <Unplug size={14} />
+            </button>
+          ) : (
+            <button type="submit" className="filter-icon-btn" title="Connect">
+              <Plug size={14} />
+            </button>
+          )}
+        </form>
+        <button
+          className="filter-toggle"
+          onClick={stream.paused ? stream.resume : stream.pause}
+          disabled={!connected}
+        >
+          {stream.paused ? <Play size={14} /> : <Pause size={14} />}
+          {stream.paused ? `Resume${stream.pending.length > 0 ? ` (${stream.pending.length})` : ''}` : 'Pause'}
+        </button>
+        <button
+          className={`live-new-badge ${stream.unsyncedCount > 0 ? 'has-new' : ''}`}
+          onClick={onSync}
+          disabled={stream.unsyncedCount === 0}
+          title="Add these events to the dashboard charts"
+        >
+          {stream.unsyncedCount} new since {format(stream.syncedAt, 'HH:mm:ss')}
+        </button>
+      </div>
+
+      {stream.events.length === 0 ? (
+        <p className="tab-analysis-empty">
+          {connected
+            ? 'Waiting for events…'
+            : 'Connect to a WebSocket (ws://) or Server-Sent Events endpoint. Run npm run mock-stream for a local test feed.'}
+        </p>
+      ) : (
+        <div className="preview-content live-content">
+          <div className="mini-chart">
+            <svg viewBox={`0 0 ${chartWidth} ${heatmapHeight}`} className="live-chart" role="img" aria-label="Live activity heatmap">
+              <g transform={`translate(${heatmapMargin.left}, ${heatmapMargin.top})`}>
+                {activityTypes.map(type => (
+                  <text key={type} x={-8} y={yScale(type) + yScale.bandwidth() / 2} textAnchor="end" dominantBaseline="middle" fontSize={10} fill="#374151">
+                    {type}
+                  </text>
+                ))}
+                {periods.map(period => activityTypes.map(type => {
+                  const cell = aggregation.cells.get(`${type}|${period}`);
+                  return cell ? (
+                    <LiveCell
+                      key={`${type}|${period}`}
+                      activityType={type}
+                      period={period}
+                      cell={cell}
+                      x={xScale(period)}
+                      y={yScale(type)}
+                      width={xScale.bandwidth()}
+                      height={yScale.bandwidth()}
+                      intensity={cell.count / Math.max(1, maxCellCount)}
+                      onClick={openCell}
+                    />
+                  ) : null;
+                }))}
+                {periods.map((period, index) => index % labelStep === 0 && (
+                  <text key={period} x={xScale(period) + xScale.bandwidth() / 2} y={yScale.range()[1] + 14} textAnchor="middle" fontSize={9} fill="#6b7280">
+                    {formatPeriodLabel(period, granularity)}
+                  </text>
+                ))}
+              </g>
+            </svg>
+          </div>
+
+          <div className="mini-chart">
+            <svg viewBox={`0 0 ${chartWidth} ${barHeight}`} className="live-chart" role="img" aria-label="Live events per period">
+              <g transform={`translate(${barMargin.left}, ${barMargin.top})`}>
+                {barYScale.ticks(3).map(tick => (
+                  <text key={tick} x={-6} y={barYScale(tick)} textAnchor="end" dominantBaseline="middle" fontSize={9} fill="#6b7280">{tick}</text>
+                ))}
+                {periods.map(period => (
+                  <LiveBar
+                    key={period}
+                    period={period}
+                    bucket={aggregation.buckets.get(period)}
+                    x={barXScale(period)}
+                    width={barXScale.bandwidth()}
+                    yScale={barYScale}
+                    onClick={openBucket}
+                  />
+                ))}
+                {periods.map((period, index) => index % labelStep === 0 && (
+                  <text key={period} x={barXScale(period) + barXScale.bandwidth() / 2} y={barYMax + 14} textAnchor="middle" fontSize={9} fill="#6b7280">
+                    {formatPeriodLabel(period, granularity)}
+                  </text>
+                ))}
+              </g>
+            </svg>
+          </div>
+
+          <ul className="live-recent">
+            {recent.map((event, index) => (
+              <li key={`${stream.events.length - index}`}>
+                <span>{statusIcons[event.status]}</span>
+                <strong>{event.activityType}</strong>
+                <span>{event.user || '—'}</span>
+                <span className="live-recent-time">{format(getEventTime(event), 'HH:mm:ss')}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default LiveStreamPanel;
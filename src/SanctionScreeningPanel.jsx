@@ -0,0 +1,139 @@
+import React, { useState, memo } from 'react';
+import { format } from 'date-fns';
+import { Upload, X } from 'lucide-react';
+import { parseWatchList, matchTypes, listColor } from './sanctionsScreening';
+import { getEventTime } from './timeRange';
+
+const toDetailsCell = (title, events) => ({
+  activityType: title,
+  periodLabel: `${events.length} screening hit${events.length === 1 ? '' : 's'}`,
+  status: events.some(e => e.status === 'fail') ? 'fail' : events.some(e => e.status === 'warning') ? 'warning' : 'success',
+  events,
+  count: events.length,
+  intensity: 1
+});
+
+const scoreColor = (score) => (score >= 0.999 ? '#dc2626' : score >= 0.92 ? '#f97316' : '#eab308');
+
+// Sanction tab analysis: watch-list management and the events that matched a list entry
+const SanctionScreeningPanel = memo(({ lists, threshold, screening, onAddList, onRemoveList, onThresholdChange, onEventClick }) => {
+  const [loadError, setLoadError] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+
+  const handleFileChange = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      onAddList(file.name, parseWatchList(await file.text(), file.name));
+      setLoadError(null);
+    } catch (error) {
+      setLoadError(error.message);
+    }
+  };
+
+  const hits = screening ? screening.hits : [];
+  const rows = showAll ? hits : hits.slice(0, 15);
+  const hitEvents = screening ? Array.from(screening.byEvent.keys()) : [];
+
+  return (
+    <div className="tab-analysis-section sanction-panel">
+      <div className="tab-analysis-header">
+        <h3>⚖️ Watch-list Screening</h3>
+        <button
+          className="filter-toggle"
+          onClick={() => onEventClick(toDetailsCell('Watch-list Hits', hitEvents))}
+          disabled={hitEvents.length === 0}
+        >
+          Open in details
+        </button>
+      </div>
+
+      <div className="sanction-lists">
+        {lists.map((list, index) => (
+          <span key={list.id} className="sanction-list-chip" title={`Loaded ${format(new Date(list.loadedAt), 'MMM dd, yyyy HH:mm')}`}>
+            <span className="anomaly-dot" style={{ backgroundColor: listColor(index) }} />
+            {list.name}
+            <strong>{list.entries.length}</strong>
+            <button className="sanction-list-remove" onClick={() => onRemoveList(list.id)} title="Remove list">
+              <X size={12} />
+            </button>
+          </span>
+        ))}
+        <label className="filter-toggle sanction-upload" title="Load a CSV or JSON watch list">
+          <Upload size={14} />
+          Load list
+          <input type="file" accept=".json,.csv,application/json,text/csv" onChange={handleFileChange} />
+        </label>
+        <label className="sanction-threshold">
+          Name match ≥ {Math.round(threshold * 100)}%
+          <input
+            type="range"
+            min={0.7}
+            max={1}
+            step={0.01}
+            value={threshold}
+            onChange={(e) => onThresholdChange(Number(e.target.value))}
+          />
+        </label>
+      </div>
+      {loadError && <p className="sanction-error">{loadError}</p>}
+
+      {lists.length === 0 ? (
+        <p className="tab-analysis-empty">
+          Load a watch list to screen events. Lists are CSV or JSON with any of the columns
+          userId, deviceId, name, aliases (separated by ;) and list; they stay in this browser.
+        </p>
+      ) : hits.length === 0 ? (
+        <p className="tab-analysis-empty">No events match the loaded watch lists</p>
+      ) : (
+        <div className="tab-analysis-card">
+          <table className="fcr-user-table sanction-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Activity</th>
+                <th>Matched field</th>
+                <th>Event value</th>
+                <th>Listed as</th>
+                <th>Score</th>
+                <th>Source</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((hit, index) => (
+                <tr
+                  key={index}
+                  className="anomaly-row"
+                  onClick={() => onEventClick(toDetailsCell(hit.event.activityType, [hit.event]))}
+                >
+                  <td>{format(getEventTime(hit.event), hit.event.timestamp ? 'MMM dd, yyyy HH:mm' : 'MMM dd, yyyy')}</td>
+                  <td>{hit.event.activityType}</td>
+                  <td>{matchTypes[hit.matchType]} <span className="sanction-field">({hit.field})</span></td>
+                  <td>{hit.eventValue}</td>
+                  <td title={hit.entry.reason || undefined}>{hit.listValue}</td>
+                  <td>
+                    <span className="fcr-score-badge" style={{ backgroundColor: scoreColor(hit.score) }}>
+                      {Math.round(hit.score * 100)}%
+                    </span>
+                  </td>
+                  <td>
+                    <span className="anomaly-dot" style={{ backgroundColor: listColor(lists.indexOf(hit.list)) }} />{' '}
+                    {hit.entry.source || hit.list.name}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {hits.length > 15 && (
+            <button className="clear-filters compact anomaly-more" onClick={() => setShowAll(!showAll)}>
+              {showAll ? 'Show fewer' : `Show all ${hits.length}`}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default SanctionScreeningPanel;
@@ -0,0 +1,109 @@
+import React, { useState, memo } from 'react';
+import { Bookmark, X, Trash2, Upload, Download, Check } from 'lucide-react';
+import { exportSavedViews, parseSavedViewsFile } from './savedViews';
+
+// Manage named filter presets: save the current filters, apply, delete, import/export as JSON
+const SavedViewsPanel = memo(({ views, activeViewId, activeFilters, onSave, onApply, onDelete, onImport, onClose }) => {
+  const [name, setName] = useState('');
+  const [importError, setImportError] = useState(null);
+
+  const handleSave = (event) => {
+    event.preventDefault();
+    if (name.trim()) {
+      onSave(name.trim());
+      setName('');
+    }
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files && event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        const imported = parseSavedViewsFile(text);
+        if (imported.length === 0) {
+          throw new Error('No valid views found in file');
+        }
+        onImport(imported);
+        setImportError(null);
+      })
+      .catch(error => setImportError(`Import failed: ${error.message}`));
+  };
+
+  return (
+    <>
+      <div className="filter-overlay" onClick={onClose} />
+      <div className="customize-popover saved-views-popover">
+        <div className="filter-popover-header">
+          <h3><Bookmark size={16} /> Saved Views</h3>
+          <button className="close-popover" onClick={onClose}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="filter-popover-content">
+          <form className="saved-view-form" onSubmit={handleSave}>
+            <input
+              type="text"
+              placeholder="Name this view…"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              className="search-input compact"
+            />
+            <button type="submit" className="apply-filters compact" disabled={!name.trim()}>
+              <Bookmark size={12} />
+              Save
+            </button>
+          </form>
+          <div className="saved-view-filters">
+            {activeFilters.length > 0
+              ? activeFilters.map(filter => filter.label).join(' • ')
+              : 'No filters active – the view will only store chart settings'}
+          </div>
+
+          <div className="saved-views-list">
+            {views.length === 0 ? (
+              <div className="saved-views-empty">No saved views yet</div>
+            ) : views.map(view => (
+              <div key={view.id} className={`saved-view-item ${view.id === activeViewId ? 'active' : ''}`}>
+                <button className="saved-view-apply" onClick={() => onApply(view)} title="Apply view">
+                  {view.id === activeViewId && <Check size={12} />}
+                  <span className="saved-view-name">{view.name}</span>
+                  <span className="saved-view-meta">
+                    {view.filters.length} filter{view.filters.length === 1 ? '' : 's'}
+                    {view.settings.granularity ? ` • ${view.settings.granularity}` : ''}
+                  </span>
+                </button>
+                <button className="remove-chip" onClick={() => onDelete(view.id)} title="Delete view">
+                  <Trash2 size={12} />
+                </button>
+              </div>
+            ))}
+          </div>
+
+          {importError && <div className="saved-views-error">{importError}</div>}
+
+          <div className="filter-actions compact">
+            <label className="clear-filters compact saved-views-import">
+              <Upload size={12} />
+              Import JSON
+              <input type="file" accept=".json,application/json" onChange={handleImport} />
+            </label>
+            <button
+              className="clear-filters compact"
+              onClick={() => exportSavedViews(views)}
+              disabled={views.length === 0}
+            >
+              <Download size={12} />
+              Export JSON
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+});
+
+export default SavedViewsPanel;
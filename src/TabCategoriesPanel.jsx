@@ -0,0 +1,90 @@
+import React, { useState, memo } from 'react';
+import { Tags, X, RotateCcw } from 'lucide-react';
+
+// Edit which activity types and event tags feed a tab
+const TabCategoriesPanel = memo(({ tab, category, activityTypeCounts, onChange, onReset, onClose }) => {
+  const [tagText, setTagText] = useState(category.tags.join(', '));
+
+  // Known types from the loaded events plus configured ones that aren't in this data set
+  const knownTypes = Object.keys(activityTypeCounts);
+  const allTypes = [
+    ...knownTypes.sort(),
+    ...category.activityTypes.filter(type => !knownTypes.includes(type)).sort()
+  ];
+
+  const toggleType = (type) => {
+    const activityTypes = category.activityTypes.includes(type)
+      ? category.activityTypes.filter(t => t !== type)
+      : [...category.activityTypes, type];
+    onChange({ activityTypes });
+  };
+
+  const commitTags = () => {
+    onChange({ tags: tagText.split(',').map(tag => tag.trim()).filter(Boolean) });
+  };
+
+  const handleReset = () => {
+    onReset();
+    onClose();
+  };
+
+  return (
+    <>
+      <div className="filter-overlay" onClick={onClose} />
+      <div className="customize-popover tab-categories-popover">
+        <div className="filter-popover-header">
+          <h3><Tags size={16} /> {tab.label} Categories</h3>
+          <button className="close-popover" onClick={onClose}>
+            <X size={16} />
+          </button>
+        </div>
+
+        <div className="filter-popover-content">
+          <div className="tab-categories-section">
+            <span className="tab-categories-label">Activity types</span>
+            <div className="tab-categories-types">
+              {allTypes.map(type => (
+                <label key={type} className="filter-option compact">
+                  <input
+                    type="checkbox"
+                    checked={category.activityTypes.includes(type)}
+                    onChange={() => toggleType(type)}
+                  />
+                  <span className="activity-name">{type}</span>
+                  <span className="activity-count">{activityTypeCounts[type] || 0}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="tab-categories-section">
+            <label className="tab-categories-label" htmlFor="tab-categories-tags">
+              Event tags (comma separated)
+            </label>
+            <input
+              id="tab-categories-tags"
+              type="text"
+              className="search-input compact"
+              value={tagText}
+              placeholder="e.g. kyc, manual-review"
+              onChange={(e) => setTagText(e.target.value)}
+              onBlur={commitTags}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') commitTags();
+              }}
+            />
+          </div>
+
+          <div className="filter-actions compact">
+            <button className="clear-filters compact" onClick={handleReset}>
+              <RotateCcw size={12} />
+              Reset to defaults
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+});
+
+export default TabCategoriesPanel;
@@ -0,0 +1,294 @@
+import React, { useState, useMemo, memo } from 'react';
+import { scaleBand, scaleLinear } from '@visx/scale';
+import {
+  defaultVelocityLimits,
+  getTransactions,
+  getCurrencies,
+  inCurrency,
+  volumeByPeriod,
+  amountHistogram,
+  topCounterparties,
+  velocityChecks
+} from './transactionAnalytics';
+import { eventStatuses, formatAmount } from './eventSchema';
+import { statusColorMap } from './statusStyles';
+
+const chartWidth = 360;
+const chartHeight = 160;
+const chartMargin = { top: 10, right: 10, bottom: 28, left: 44 };
+
+const compactAmount = (value, currency) => formatAmount(value, currency, { notation: 'compact', maximumFractionDigits: 1 });
+
+const toDetailsCell = (title, periodLabel, events) => ({
+  activityType: title,
+  periodLabel,
+  status: events.some(e => e.status === 'fail') ? 'fail' : events.some(e => e.status === 'warning') ? 'warning' : 'success',
+  events,
+  count: events.length,
+  intensity: 1
+});
+
+// Stacked amount per period, coloured by status
+const VolumeChart = ({ volume, currency, onBarClick }) => {
+  const xMax = chartWidth - chartMargin.left - chartMargin.right;
+  const yMax = chartHeight - chartMargin.top - chartMargin.bottom;
+  const xScale = scaleBand({ domain: volume.map(p => p.period), range: [0, xMax], padding: 0.2 });
+  const yScale = scaleLinear({ domain: [0, volume.reduce((max, p) => Math.max(max, p.total), 1)], range: [yMax, 0], nice: true });
+  const labelStep = Math.max(1, Math.ceil(volume.length / 6));
+
+  return (
+    <svg className="fcr-chart" viewBox={`0 0 ${chartWidth} ${chartHeight}`} role="img" aria-label="Transaction volume by period">
+      <g transform={`translate(${chartMargin.left}, ${chartMargin.top})`}>
+        {yScale.ticks(4).map(tick => (
+          <g key={tick}>
+            <line x1={0} x2={xMax} y1={yScale(tick)} y2={yScale(tick)} stroke="#e5e7eb" strokeDasharray="2,2" />
+            <text x={-6} y={yScale(tick)} textAnchor="end" dominantBaseline="middle" fontSize={9} fill="#6b7280">
+              {compactAmount(tick, currency)}
+            </text>
+          </g>
+        ))}
+        {volume.map((point, index) => {
+          let offset = 0;
+          return (
+            <g key={point.period} className="transaction-bar" onClick={() => point.count > 0 && onBarClick(point)}>
+              {/* Refunds can make a status total negative; stacks only show positive volume */}
+              {eventStatuses.map(status => {
+                const value = Math.max(0, point[status]);
+                const y = yScale(offset + value);
+                const height = yScale(offset) - y;
+                offset += value;
+                return height > 0 ? (
+                  <rect key={status} x={xScale(point.period)} y={y} width={xScale.bandwidth()} height={height} fill={statusColorMap[status]} />
+                ) : null;
+              })}
+              <title>{`${point.periodLabel}: ${formatAmount(point.total, currency)} in ${point.count} transactions`}</title>
+              {index % labelStep === 0 && (
+                <text
+                  x={xScale(point.period) + xScale.bandwidth() / 2}
+                  y={yMax + 14}
+                  textAnchor="middle"
+                  fontSize={9}
+                  fill="#6b7280"
+                >
+                  {point.periodLabel}
+                </text>
+              )}
+            </g>
+          );
+        })}
+      </g>
+    </svg>
+  );
+};
+
+// Transaction count per amount bin
+const HistogramChart = ({ bins, currency, onBarClick }) => {
+  const xMax = chartWidth - chartMargin.left - chartMargin.right;
+  const yMax = chartHeight - chartMargin.top - chartMargin.bottom;
+  const xScale = scaleBand({ domain: bins.map(b => b.from), range: [0, xMax], padding: 0.1 });
+  const yScale = scaleLinear({ domain: [0, bins.reduce((max, b) => Math.max(max, b.count), 1)], range: [yMax, 0], nice: true });
+  const labelStep = Math.max(1, Math.ceil(bins.length / 5));
+
+  return (
+    <svg className="fcr-chart" viewBox={`0 0 ${chartWidth} ${chartHeight}`} role="img" aria-label="Transaction amount distribution">
+      <g transform={`translate(${chartMargin.left}, ${chartMargin.top})`}>
+        {yScale.ticks(4).map(tick => (
+          <g key={tick}>
+            <line x1={0} x2={xMax} y1={yScale(tick)} y2={yScale(tick)} stroke="#e5e7eb" strokeDasharray="2,2" />
+            <text x={-6} y={yScale(tick)} textAnchor="end" dominantBaseline="middle" fontSize={9} fill="#6b7280">{tick}</text>
+          </g>
+        ))}
+        {bins.map((bin, index) => (
+          <g key={bin.from} className="transaction-bar" onClick={() => bin.count > 0 && onBarClick(bin)}>
+            <rect
+              x={xScale(bin.from)}
+              y={yScale(bin.count)}
+              width={xScale.bandwidth()}
+              height={yMax - yScale(bin.count)}
+              fill="#3b82f6"
+              rx={2}
+            >
+              <title>{`${formatAmount(bin.from, currency)} – ${formatAmount(bin.to, currency)}: ${bin.count} transactions`}</title>
+            </rect>
+            {index % labelStep === 0 && (
+              <text x={xScale(bin.from)} y={yMax + 14} textAnchor="middle" fontSize={9} fill="#6b7280">
+                {compactAmount(bin.from, currency)}
+              </text>
+            )}
+          </g>
+        ))}
+      </g>
+    </svg>
+  );
+};
+
+// Transaction tab analysis: volume, amount distribution, counterparties and velocity checks
+const TransactionPanel = memo(({ events, granularity, onCellClick, onEntityClick }) => {
+  const [selectedCurrency, setSelectedCurrency] = useState(null);
+  const [limits, setLimits] = useState(defaultVelocityLimits);
+
+  const transactions = useMemo(() => getTransactions(events), [events]);
+  const currencies = useMemo(() => getCurrencies(transactions), [transactions]);
+  // Fall back to the most used currency when the chosen one disappears from the data
+  const currency = currencies.some(c => c.currency === selectedCurrency)
+    ? selectedCurrency
+    : (currencies[0] ? currencies[0].currency : null);
+
+  const scoped = useMemo(() => (currency ? inCurrency(transactions, currency) : []), [transactions, currency]);
+  const volume = useMemo(() => volumeByPeriod(scoped, granularity), [scoped, granularity]);
+  const histogram = useMemo(() => amountHistogram(scoped), [scoped]);
+  const counterparties = useMemo(() => topCounterparties(scoped, 8), [scoped]);
+  const velocity = useMemo(() => velocityChecks(scoped, granularity, limits), [scoped, granularity, limits]);
+
+  const updateLimit = (key, value) => {
+    const number = Number(value);
+    if (value !== '' && Number.isFinite(number) && number >= 0) setLimits(prev => ({ ...prev, [key]: number }));
+  };
+
+  return (
+    <div className="tab-analysis-section transaction-panel">
+      <div className="tab-analysis-header">
+        <h3>💳 Transaction Analysis</h3>
+        {currencies.length > 1 && (
+          <select
+            className="data-source-select"
+            value={currency}
+            onChange={(e) => setSelectedCurrency(e.target.value)}
+            title="Currency"
+          >
+            {currencies.map(c => (
+              <option key={c.currency} value={c.currency}>{c.currency} ({c.count})</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {transactions.length === 0 ? (
+        <p className="tab-analysis-empty">
+          None of these events carry an amount. Add amount, currency and counterparty fields to the
+          source to analyse transaction volume.
+        </p>
+      ) : (
+        <div className="tab-analysis-grid">
+          <div className="tab-analysis-card">
+            <h4>Volume by Period</h4>
+            <VolumeChart
+              volume={volume}
+              currency={currency}
+              onBarClick={(point) => onCellClick(toDetailsCell('Transactions', point.periodLabel, point.events))}
+            />
+            <div className="fcr-legend">
+              {eventStatuses.map(status => (
+                <span key={status}>
+                  <span className="fcr-legend-swatch" style={{ backgroundColor: statusColorMap[status] }} />
+                  {status}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          <div className="tab-analysis-card">
+            <h4>Amount Distribution</h4>
+            <HistogramChart
+              bins={histogram}
+              currency={currency}
+              onBarClick={(bin) => onCellClick(toDetailsCell(
+                'Transactions',
+                `${formatAmount(bin.from, currency)} – ${formatAmount(bin.to, currency)}`,
+                bin.events
+              ))}
+            />
+          </div>
+
+          <div className="tab-analysis-card">
+            <h4>Top Counterparties</h4>
+            {counterparties.length === 0 ? (
+              <p className="tab-analysis-empty">No transactions name a counterparty</p>
+            ) : (
+              <table className="fcr-user-table">
+                <thead>
+                  <tr>
+                    <th>Counterparty</th>
+                    <th>Volume</th>
+                    <th>Txns</th>
+                    <th>Users</th>
+                    <th>Failed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {counterparties.map(entry => (
+                    <tr
+                      key={entry.counterparty}
+                      className="anomaly-row"
+                      onClick={() => onCellClick(toDetailsCell(entry.counterparty, 'Counterparty transactions', entry.events))}
+                    >
+                      <td>{entry.counterparty}</td>
+                      <td>{formatAmount(entry.total, currency)}</td>
+                      <td>{entry.count}</td>
+                      <td>{entry.users.size}</td>
+                      <td>{entry.failCount}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="tab-analysis-card">
+            <h4>Velocity Checks</h4>
+            <div className="transaction-limits">
+              <label className="fcr-rule-input">
+                <span>Max transactions / period</span>
+                <input type="number" min={0} value={limits.maxTransactions} onChange={(e) => updateLimit('maxTransactions', e.target.value)} />
+              </label>
+              <label className="fcr-rule-input">
+                <span>Max amount / period</span>
+                <input type="number" min={0} value={limits.maxAmount} onChange={(e) => updateLimit('maxAmount', e.target.value)} />
+              </label>
+            </div>
+            {velocity.length === 0 ? (
+              <p className="tab-analysis-empty">No user exceeds the limits in any period</p>
+            ) : (
+              <table className="fcr-user-table">
+                <thead>
+                  <tr>
+                    <th>User</th>
+                    <th>Period</th>
+                    <th>Txns</th>
+                    <th>Volume</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {velocity.slice(0, 8).map(bucket => (
+                    <tr
+                      key={`${bucket.user}|${bucket.period}`}
+                      className="anomaly-row"
+                      onClick={() => onCellClick(toDetailsCell(`${bucket.user} velocity`, bucket.periodLabel, bucket.events))}
+                    >
+                      <td>
+                        <button
+                          className="entity-link"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            onEntityClick({ type: 'user', id: bucket.user });
+                          }}
+                        >
+                          {bucket.user}
+                        </button>
+                      </td>
+                      <td>{bucket.periodLabel}</td>
+                      <td className={bucket.reasons.includes('count') ? 'transaction-breach' : ''}>{bucket.count}</td>
+                      <td className={bucket.reasons.includes('amount') ? 'transaction-breach' : ''}>{formatAmount(bucket.total, currency)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default TransactionPanel;
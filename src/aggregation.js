@@ -0,0 +1,325 @@
+import { useState, useEffect, useMemo } from 'react';
+import { encodeEvents, aggregateIndex } from './aggregationEngine';
+import { buildPeriods, normalizeGranularity } from './granularity';
+import { getExtendedFrom } from './eventLineage';
+
+// Heatmap cells and bar buckets for a set of events, shared by both charts. Small datasets are
+// aggregated synchronously; from `workerThreshold` events on the work moves to a Web Worker
+// and the charts keep showing the previous result until it is back. A list grown by
+// extendEvents (eventLineage.js) has its added events folded into the previous list's
+// aggregation instead (see foldAggregation).
+
+const workerThreshold = 20000;
+
+const emptyAggregation = {
+  granularity: null,
+  activityTypes: [],
+  periods: [],
+  bounds: { min: null, max: null },
+  cells: new Map(),
+  buckets: new Map()
+};
+
+const toDates = (bounds) => ({
+  min: bounds.min === null ? null : new Date(bounds.min),
+  max: bounds.max === null ? null : new Date(bounds.max)
+});
+
+const toEntry = (entry, events) => {
+  const { indices } = entry;
+  const entryEvents = new Array(indices.length);
+  for (let i = 0; i < indices.length; i++) entryEvents[i] = events[indices[i]];
+  return {
+    count: entry.count,
+    success: entry.success,
+    warning: entry.warning,
+    fail: entry.fail,
+    events: entryEvents
+  };
+};
+
+// Maps an engine result back onto the original event objects, so cells and buckets hold the
+// same events the filters, markers and pinned evidence compare against.
+// cells are keyed `${activityType}|${periodKey}`, buckets by period key; bounds are in ms.
+export const materialize = (result, events) => {
+  const { activityTypes, bounds } = result;
+  const cells = new Map();
+  const buckets = new Map();
+
+  result.cells.forEach(cell => {
+    cells.set(`${activityTypes[cell.activity]}|${cell.period}`, toEntry(cell, events));
+  });
+  result.buckets.forEach(bucket => {
+    buckets.set(bucket.period, toEntry(bucket, events));
+  });
+
+  return {
+    granularity: result.granularity,
+    activityTypes,
+    periods: buildPeriods(result.periodKeys, toDates(bounds), result.granularity),
+    bounds,
+    cells,
+    buckets
+  };
+};
+
+const mergeEntry = (map, key, entry) => {
+  const previous = map.get(key);
+  map.set(key, previous ? {
+    count: previous.count + entry.count,
+    success: previous.success + entry.success,
+    warning: previous.warning + entry.warning,
+    fail: previous.fail + entry.fail,
+    events: previous.events.concat(entry.events)
+  } : entry);
+};
+
+// Periods of `aggregation` with those of `newKeys` added. Weeks run across the whole bounds, so
+// they are rebuilt; other granularities only build the new periods and merge them in.
+const foldPeriods = (aggregation, newKeys, bounds) => {
+  const { granularity, periods } = aggregation;
+  if (newKeys.length === 0) return periods;
+  if (granularity === 'weekly') return buildPeriods(newKeys, toDates(bounds), granularity);
+  const added = buildPeriods(newKeys, {}, granularity);
+  // Streamed events are usually newer than every period so far
+  if (periods.length === 0 || added[0].key > periods[periods.length - 1].key) return periods.concat(added);
+  return periods.concat(added).sort((a, b) => (a.key < b.key ? -1 : 1));
+};
+
+// `aggregation` with `added` events folded in, for a list that grew by those events. Only the
+// added events are aggregated; cells, buckets and periods they don't reach are shared with
+// `aggregation`.
+export const foldAggregation = (aggregation, added) => {
+  if (added.length === 0) return aggregation;
+  const { granularity } = aggregation;
+  const addition = materialize(aggregateIndex(encodeEvents(added), granularity), added);
+
+  const cells = new Map(aggregation.cells);
+  addition.cells.forEach((entry, key) => mergeEntry(cells, key, entry));
+  const buckets = new Map(aggregation.buckets);
+  const newKeys = [];
+  addition.buckets.forEach((entry, key) => {
+    if (!buckets.has(key)) newKeys.push(key);
+    mergeEntry(buckets, key, entry);
+  });
+
+  const widen = (a, b, pick) => (a === null ? b : b === null ? a : pick(a, b));
+  const bounds = {
+    min: widen(aggregation.bounds.min, addition.bounds.min, Math.min),
+    max: widen(aggregation.bounds.max, addition.bounds.max, Math.max)
+  };
+  const newTypes = addition.activityTypes.filter(type => !aggregation.activityTypes.includes(type));
+
+  return {
+    granularity,
+    activityTypes: newTypes.length > 0 ? [...aggregation.activityTypes, ...newTypes] : aggregation.activityTypes,
+    periods: foldPeriods(aggregation, newKeys, bounds),
+    bounds,
+    cells,
+    buckets
+  };
+};
+
+// Per events array: the encoded index and one aggregation per granularity. Both charts get
+// the same filtered events, so the second one is served from here.
+const cache = new WeakMap();
+
+const getCacheEntry = (events) => {
+  if (!cache.has(events)) cache.set(events, { index: null, results: new Map(), uploaded: false });
+  return cache.get(events);
+};
+
+// The aggregation of the list `events` extends, for folding into: the finished result, the
+// worker run still in flight for it, or null
+const getBaseResult = (events, granularity) => {
+  const base = getExtendedFrom(events);
+  const result = base && cache.has(base) ? cache.get(base).results.get(granularity) : null;
+  return result ? { result, added: events.slice(base.length) } : null;
+};
+
+// The cached aggregation, or one folded from the list `events` extends when that one's is
+// done; null when either would take a full pass or a wait on the worker
+const getReadyAggregation = (events, granularity) => {
+  const entry = getCacheEntry(events);
+  const cached = entry.results.get(granularity);
+  if (cached) return cached.then ? null : cached;
+
+  const base = getBaseResult(events, granularity);
+  if (!base || base.result.then) return null;
+  const aggregation = foldAggregation(base.result, base.added);
+  entry.results.set(granularity, aggregation);
+  return aggregation;
+};
+
+const aggregateEvents = (events, granularity) => {
+  const normalized = normalizeGranularity(granularity);
+  const ready = getReadyAggregation(events, normalized);
+  if (ready) return ready;
+
+  const entry = getCacheEntry(events);
+  if (!entry.index) entry.index = encodeEvents(events);
+  const aggregation = materialize(aggregateIndex(entry.index, normalized), events);
+  entry.results.set(normalized, aggregation);
+  return aggregation;
+};
+
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+const requests = new Map();
+const datasetIds = new WeakMap();
+let nextDatasetId = 0;
+
+const getWorker = () => {
+  if (worker || workerFailed) return worker;
+  if (typeof Worker === 'undefined') {
+    workerFailed = true;
+    return null;
+  }
+  try {
+    worker = new Worker(new URL('./aggregationWorker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    workerFailed = true;
+    return null;
+  }
+  worker.onmessage = ({ data }) => {
+    const request = requests.get(data.id);
+    if (!request) return;
+    requests.delete(data.id);
+    request.settle(data);
+  };
+  // A worker that can't load fails every pending request; they fall back to the main thread
+  worker.onerror = () => {
+    workerFailed = true;
+    worker.terminate();
+    worker = null;
+    requests.forEach(request => request.settle({ error: 'Aggregation worker failed' }));
+    requests.clear();
+  };
+  return worker;
+};
+
+const postRequest = (message, transfer = []) => new Promise(resolve => {
+  const id = nextRequestId++;
+  requests.set(id, { settle: resolve });
+  worker.postMessage({ ...message, id }, transfer);
+});
+
+const requestFromWorker = async (events, granularity) => {
+  if (!datasetIds.has(events)) datasetIds.set(events, nextDatasetId++);
+  const dataset = datasetIds.get(events);
+  const entry = getCacheEntry(events);
+  const upload = () => {
+    const columns = encodeEvents(events);
+    return postRequest(
+      { dataset, granularity, columns },
+      [columns.ms.buffer, columns.activities.buffer, columns.statuses.buffer]
+    );
+  };
+
+  // The first request carries the columns; the worker handles messages in order, so requests
+  // for other granularities sent right after it only name the dataset. The worker may have
+  // dropped the dataset's index since, in which case the columns are sent again.
+  let response;
+  if (!entry.uploaded) {
+    entry.uploaded = true;
+    response = await upload();
+  } else {
+    response = await postRequest({ dataset, granularity });
+    if (response.missing && getWorker()) response = await upload();
+  }
+  if (!response.result) throw new Error(response.error || 'Aggregation worker failed');
+  return materialize(response.result, events);
+};
+
+// Resolves with the aggregation from the worker, or from the main thread when no worker can
+// run; never rejects
+const aggregateInWorker = (events, granularity) => {
+  const normalized = normalizeGranularity(granularity);
+  const ready = getReadyAggregation(events, normalized);
+  if (ready) return Promise.resolve(ready);
+  const entry = getCacheEntry(events);
+  if (entry.results.has(normalized)) return entry.results.get(normalized);
+  if (!getWorker()) return Promise.resolve(aggregateEvents(events, normalized));
+
+  // While the list this one extends is still in the worker, the added events wait for it
+  const base = getBaseResult(events, normalized);
+  const request = base
+    ? base.result.then(aggregation => foldAggregation(aggregation, base.added))
+    : requestFromWorker(events, normalized);
+  const pending = request
+    .catch(() => {
+      entry.results.delete(normalized);
+      return aggregateEvents(events, normalized);
+    })
+    .then(aggregation => {
+      entry.results.set(normalized, aggregation);
+      return aggregation;
+    });
+  // In-flight requests are cached too, so both charts wait on the same one
+  entry.results.set(normalized, pending);
+  return pending;
+};
+
+// { aggregation, pending } for `events`; `pending` is true while a worker run for the current
+// events or granularity is in flight and `aggregation` still shows the previous one
+export const useAggregation = (events, granularity) => {
+  const inWorker = events.length >= workerThreshold;
+  // Large lists that extend an aggregated one are folded here too, without a worker round trip
+  const syncAggregation = useMemo(
+    () => (inWorker ? getReadyAggregation(events, normalizeGranularity(granularity)) : aggregateEvents(events, granularity)),
+    [events, granularity, inWorker]
+  );
+  const [workerState, setWorkerState] = useState({ events: null, granularity: null, aggregation: emptyAggregation });
+
+  useEffect(() => {
+    if (!inWorker) return undefined;
+    let cancelled = false;
+    aggregateInWorker(events, granularity).then(aggregation => {
+      if (!cancelled) setWorkerState({ events, granularity, aggregation });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [events, granularity, inWorker]);
+
+  if (syncAggregation) return { aggregation: syncAggregation, pending: false };
+  return {
+    aggregation: workerState.aggregation,
+    pending: workerState.events !== events || workerState.granularity !== granularity
+  };
+};
+
+// { aggregations, pending } with one aggregation of `events` per granularity in
+// `granularities`, e.g. one per alert rule. They come from the same cache and worker as
+// useAggregation's, so a chart and a rule over the same events and granularity share one.
+// While a worker run is pending the previous aggregations stay in place.
+export const useAggregations = (events, granularities) => {
+  const key = Array.from(new Set(granularities.map(normalizeGranularity))).sort().join(',');
+  const inWorker = events.length >= workerThreshold;
+  const syncAggregations = useMemo(() => {
+    const list = key.split(',').filter(Boolean);
+    if (!inWorker) return new Map(list.map(granularity => [granularity, aggregateEvents(events, granularity)]));
+    const ready = list.map(granularity => getReadyAggregation(events, granularity));
+    return ready.every(Boolean) ? new Map(list.map((granularity, i) => [granularity, ready[i]])) : null;
+  }, [events, key, inWorker]);
+  const [workerState, setWorkerState] = useState({ events: null, key: null, aggregations: new Map() });
+
+  useEffect(() => {
+    if (!inWorker) return undefined;
+    let cancelled = false;
+    const list = key.split(',').filter(Boolean);
+    Promise.all(list.map(granularity => aggregateInWorker(events, granularity))).then(results => {
+      if (!cancelled) setWorkerState({ events, key, aggregations: new Map(list.map((granularity, i) => [granularity, results[i]])) });
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [events, key, inWorker]);
+
+  if (syncAggregations) return { aggregations: syncAggregations, pending: false };
+  return {
+    aggregations: workerState.aggregations,
+    pending: workerState.events !== events || workerState.key !== key
+  };
+};
@@ -0,0 +1,173 @@
+import { getEventMs } from './timeRange';
+
+// Single-pass aggregation behind the heatmap and the bar graph. Events are encoded once into
+// compact columns (times as ms, already parsed when the events were validated), and every
+// granularity is then one pass over those columns. Cells and buckets hold event indices
+// instead of events so the work can run in a Web Worker and the result stays cheap to post
+// back. The worker keeps the columns as its index of the dataset.
+
+// Status column values; anything else is encoded as `otherStatus`
+export const statusCodes = ['success', 'warning', 'fail'];
+const otherStatus = statusCodes.length;
+
+// Main thread: the fields the aggregation needs and the time bounds, in one pass. The typed
+// arrays can be transferred to the worker.
+export const encodeEvents = (events) => {
+  const activityNames = [];
+  const activityIndex = new Map();
+  const ms = new Float64Array(events.length);
+  const activities = new Int32Array(events.length);
+  const statuses = new Uint8Array(events.length);
+  let min = Infinity;
+  let max = -Infinity;
+
+  events.forEach((event, i) => {
+    const time = getEventMs(event);
+    ms[i] = time;
+    if (time < min) min = time;
+    if (time > max) max = time;
+
+    const type = event && event.activityType;
+    if (type) {
+      if (!activityIndex.has(type)) {
+        activityIndex.set(type, activityNames.length);
+        activityNames.push(type);
+      }
+      activities[i] = activityIndex.get(type);
+    } else {
+      activities[i] = -1;
+    }
+    const status = event ? statusCodes.indexOf(event.status) : -1;
+    statuses[i] = status === -1 ? otherStatus : status;
+  });
+
+  return {
+    ms,
+    activities,
+    activityNames,
+    statuses,
+    bounds: min <= max ? { min, max } : { min: null, max: null }
+  };
+};
+
+const pad = (value) => (value < 10 ? `0${value}` : `${value}`);
+
+// Local calendar fields packed into one sortable number per period, and back into the same
+// key strings getPeriodKey produces. Weeks start on Sunday, like date-fns' startOfWeek.
+const dayCode = (date) => (date.getFullYear() * 100 + date.getMonth()) * 100 + date.getDate();
+const formatDay = (code) => {
+  const day = code % 100;
+  const month = Math.floor(code / 100) % 100;
+  return `${Math.floor(code / 10000)}-${pad(month + 1)}-${pad(day)}`;
+};
+
+const periodCodecs = {
+  hourly: {
+    code: (date) => dayCode(date) * 100 + date.getHours(),
+    key: (code) => `${formatDay(Math.floor(code / 100))}T${pad(code % 100)}`
+  },
+  daily: {
+    code: dayCode,
+    key: formatDay
+  },
+  weekly: {
+    code: (date) => dayCode(new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay())),
+    key: formatDay
+  },
+  monthly: {
+    code: (date) => date.getFullYear() * 100 + date.getMonth(),
+    key: (code) => `${Math.floor(code / 100)}-${pad((code % 100) + 1)}`
+  },
+  yearly: {
+    code: (date) => date.getFullYear(),
+    key: (code) => `${code}`
+  }
+};
+
+const newEntry = () => ({ count: 0, success: 0, warning: 0, fail: 0, indices: [] });
+
+const addEvent = (entry, index, status) => {
+  entry.count++;
+  if (status < otherStatus) entry[statusCodes[status]]++;
+  entry.indices.push(index);
+};
+
+// One pass over the encoded columns: bar buckets per period and heatmap cells per activity
+// type and period. Events without a valid time are skipped; events without an activity type only
+// count towards buckets.
+export const aggregateIndex = (index, granularity) => {
+  const codec = periodCodecs[granularity] || periodCodecs.weekly;
+  const { ms, activities, activityNames, statuses } = index;
+  const buckets = new Map();
+  const cells = new Map();
+  const cellStride = activityNames.length + 1;
+  const hourly = granularity === 'hourly';
+  const date = new Date(0);
+  // Neighbouring events usually share a local day (an hour when hourly), so the period code
+  // is reused while times stay inside it
+  let spanStart = Infinity;
+  let spanEnd = -Infinity;
+  let code = 0;
+
+  for (let i = 0; i < ms.length; i++) {
+    const time = ms[i];
+    if (Number.isNaN(time)) continue;
+
+    if (time < spanStart || time >= spanEnd) {
+      date.setTime(time);
+      code = codec.code(date);
+      const year = date.getFullYear();
+      const month = date.getMonth();
+      const day = date.getDate();
+      spanStart = hourly ? new Date(year, month, day, date.getHours()).getTime() : new Date(year, month, day).getTime();
+      spanEnd = hourly ? new Date(year, month, day, date.getHours() + 1).getTime() : new Date(year, month, day + 1).getTime();
+    }
+
+    let bucket = buckets.get(code);
+    if (!bucket) {
+      bucket = newEntry();
+      buckets.set(code, bucket);
+    }
+    addEvent(bucket, i, statuses[i]);
+
+    if (activities[i] >= 0) {
+      const cellKey = code * cellStride + activities[i];
+      let cell = cells.get(cellKey);
+      if (!cell) {
+        cell = { ...newEntry(), code, activity: activities[i] };
+        cells.set(cellKey, cell);
+      }
+      addEvent(cell, i, statuses[i]);
+    }
+  }
+
+  const keys = new Map();
+  const keyOf = (code) => {
+    if (!keys.has(code)) keys.set(code, codec.key(code));
+    return keys.get(code);
+  };
+
+  return {
+    granularity,
+    activityTypes: activityNames,
+    periodKeys: Array.from(buckets.keys()).sort((a, b) => a - b).map(keyOf),
+    bounds: index.bounds,
+    buckets: Array.from(buckets, ([code, bucket]) => ({
+      period: keyOf(code),
+      count: bucket.count,
+      success: bucket.success,
+      warning: bucket.warning,
+      fail: bucket.fail,
+      indices: Int32Array.from(bucket.indices)
+    })),
+    cells: Array.from(cells.values(), cell => ({
+      activity: cell.activity,
+      period: keyOf(cell.code),
+      count: cell.count,
+      success: cell.success,
+      warning: cell.warning,
+      fail: cell.fail,
+      indices: Int32Array.from(cell.indices)
+    }))
+  };
+};
@@ -0,0 +1,30 @@
+import { aggregateIndex } from './aggregationEngine';
+
+// Runs the aggregation off the main thread. Each dataset is sent once as encoded columns and
+// kept here as its index; later requests for another granularity only name the dataset. A few
+// recent indexes are kept so switching filters back and forth doesn't send them again.
+const maxIndexes = 4;
+const indexes = new Map();
+
+self.onmessage = ({ data }) => {
+  const { id, dataset, granularity, columns } = data;
+  try {
+    if (columns) indexes.set(dataset, columns);
+    const index = indexes.get(dataset);
+    if (!index) {
+      self.postMessage({ id, missing: true });
+      return;
+    }
+
+    // Most recently used last, the oldest one is dropped first
+    indexes.delete(dataset);
+    indexes.set(dataset, index);
+    while (indexes.size > maxIndexes) indexes.delete(indexes.keys().next().value);
+
+    const result = aggregateIndex(index, granularity);
+    const transfer = [...result.cells, ...result.buckets].map(entry => entry.indices.buffer);
+    self.postMessage({ id, result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
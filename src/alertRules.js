@@ -0,0 +1,261 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getPreviousPeriodKey, formatPeriodLabel, normalizeGranularity } from './granularity';
+import { usePersistentState } from './persistentState';
+
+// User-defined alert rules, evaluated per activity type and period over the aggregation
+// engine's cells and buckets, the same ones the heatmap draws. A threshold rule compares a
+// period's metric with a fixed value; a rate rule compares its percent change from the period
+// before. Rules and the acknowledge / snooze state of the alerts they raise are kept in
+// localStorage.
+
+const storageKey = 'activity-dashboard.alert-rules';
+
+export const alertMetrics = {
+  count: { label: 'Events', unit: '' },
+  failures: { label: 'Failures', unit: '' },
+  failureRate: { label: 'Failure rate', unit: '%' }
+};
+
+export const alertConditions = {
+  threshold: 'Threshold',
+  rate: 'Change vs previous period'
+};
+
+export const alertOperators = {
+  above: '>',
+  below: '<'
+};
+
+export const alertStates = ['active', 'acknowledged', 'snoozed'];
+
+export const snoozeOptions = [
+  { minutes: 60, label: '1 hour' },
+  { minutes: 8 * 60, label: '8 hours' },
+  { minutes: 24 * 60, label: '1 day' },
+  { minutes: 7 * 24 * 60, label: '1 week' }
+];
+
+const ruleColors = ['#dc2626', '#ea580c', '#c026d3', '#2563eb', '#0d9488', '#4b5563'];
+export const ruleColor = (index) => ruleColors[index % ruleColors.length];
+
+const periodNames = {
+  hourly: 'hour',
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  yearly: 'year'
+};
+
+export const defaultAlertRules = [
+  {
+    id: 'login-failed-hourly',
+    name: 'Login failure spike',
+    activityType: 'Login Failed',
+    metric: 'count',
+    condition: 'threshold',
+    operator: 'above',
+    value: 5,
+    granularity: 'hourly',
+    enabled: true
+  },
+  {
+    id: 'mfa-failure-rate-weekly',
+    name: 'MFA failure rate rising',
+    activityType: 'MFA Success',
+    metric: 'failureRate',
+    condition: 'rate',
+    operator: 'above',
+    value: 20,
+    granularity: 'weekly',
+    enabled: true
+  }
+];
+
+const sanitizeRule = (rule) => {
+  if (!rule || typeof rule.id !== 'string' || !Number.isFinite(Number(rule.value))) return null;
+  return {
+    id: rule.id,
+    name: typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : 'Untitled rule',
+    activityType: typeof rule.activityType === 'string' ? rule.activityType : '',
+    metric: alertMetrics[rule.metric] ? rule.metric : 'count',
+    condition: alertConditions[rule.condition] ? rule.condition : 'threshold',
+    operator: alertOperators[rule.operator] ? rule.operator : 'above',
+    value: Number(rule.value),
+    granularity: normalizeGranularity(rule.granularity),
+    enabled: rule.enabled !== false
+  };
+};
+
+const createRule = (fields) => sanitizeRule({
+  ...fields,
+  id: `rule_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+  enabled: true
+});
+
+// e.g. "Login Failed: events > 5 per hour", "MFA Success: failure rate change > 20% week-over-week"
+export const describeRule = (rule) => {
+  const scope = rule.activityType || 'All activity';
+  const metric = alertMetrics[rule.metric];
+  const period = periodNames[rule.granularity];
+  if (rule.condition === 'rate') {
+    return `${scope}: ${metric.label.toLowerCase()} change ${alertOperators[rule.operator]} ${rule.value}% ${period}-over-${period}`;
+  }
+  return `${scope}: ${metric.label.toLowerCase()} ${alertOperators[rule.operator]} ${rule.value}${metric.unit} per ${period}`;
+};
+
+// `entry` is an aggregation cell or bucket: { count, success, warning, fail, events }
+const metricValue = (metric, entry) => {
+  if (metric === 'failures') return entry.fail;
+  if (metric === 'failureRate') return entry.count > 0 ? (entry.fail / entry.count) * 100 : 0;
+  return entry.count;
+};
+
+// One alert per rule and period that meets the condition, newest period first. `aggregations`
+// maps each rule granularity to its aggregation (see useAggregations); a rule for one activity
+// type reads that type's heatmap cells, a rule for all activity the bar buckets. Only periods
+// with events are evaluated, and a rate rule needs a non-zero previous value to compare with.
+// An alert's events are the failures for failure metrics, otherwise every event counted.
+export const evaluateRules = (aggregations, rules) => {
+  const alerts = [];
+
+  rules.filter(rule => rule.enabled).forEach(rule => {
+    const aggregation = aggregations.get(rule.granularity);
+    if (!aggregation) return;
+    const entryFor = (period) => (rule.activityType
+      ? aggregation.cells.get(`${rule.activityType}|${period}`)
+      : aggregation.buckets.get(period));
+
+    aggregation.buckets.forEach((bucket, period) => {
+      const entry = entryFor(period);
+      if (!entry) return;
+      const value = metricValue(rule.metric, entry);
+      let observed = value;
+      let previousValue = null;
+
+      if (rule.condition === 'rate') {
+        const previousEntry = entryFor(getPreviousPeriodKey(period, rule.granularity));
+        previousValue = previousEntry ? metricValue(rule.metric, previousEntry) : 0;
+        if (previousValue === 0) return;
+        observed = ((value - previousValue) / previousValue) * 100;
+      }
+
+      const triggered = rule.operator === 'above' ? observed > rule.value : observed < rule.value;
+      if (!triggered) return;
+
+      alerts.push({
+        id: `${rule.id}|${period}`,
+        rule,
+        period,
+        periodLabel: formatPeriodLabel(period, rule.granularity),
+        value,
+        previousValue,
+        observed,
+        events: rule.metric !== 'count' && entry.fail > 0 ? entry.events.filter(event => event.status === 'fail') : entry.events
+      });
+    });
+  });
+
+  return alerts.sort((a, b) => b.period.localeCompare(a.period) || a.rule.name.localeCompare(b.rule.name));
+};
+
+export const getAlertState = (alert, { acknowledged, snoozed }, now) => {
+  if (snoozed[alert.id] && new Date(snoozed[alert.id]).getTime() > now) return 'snoozed';
+  if (acknowledged[alert.id]) return 'acknowledged';
+  return 'active';
+};
+
+const sanitizeTimestamps = (value) => (value && typeof value === 'object' && !Array.isArray(value)
+  ? Object.fromEntries(Object.entries(value).filter(([, time]) => typeof time === 'string'))
+  : {});
+
+const sanitizeState = (stored) => ({
+  rules: stored && Array.isArray(stored.rules) ? stored.rules.map(sanitizeRule).filter(Boolean) : defaultAlertRules,
+  acknowledged: sanitizeTimestamps(stored && stored.acknowledged),
+  snoozed: sanitizeTimestamps(stored && stored.snoozed)
+});
+
+// Drops acknowledge / snooze entries that belong to `ruleId`
+const withoutRule = (timestamps, ruleId) => Object.fromEntries(
+  Object.entries(timestamps).filter(([alertId]) => !alertId.startsWith(`${ruleId}|`))
+);
+
+export const useAlertRules = () => {
+  const [state, updateState] = usePersistentState(storageKey, sanitizeState);
+  // Snoozes run out on their own, so the clock ticks every minute
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const addRule = useCallback((fields) => {
+    const rule = createRule(fields);
+    if (rule) updateState(prev => ({ ...prev, rules: [...prev.rules, rule] }));
+  }, [updateState]);
+
+  const updateRule = useCallback((id, changes) => {
+    updateState(prev => ({
+      ...prev,
+      rules: prev.rules.map(rule => (rule.id === id ? sanitizeRule({ ...rule, ...changes }) || rule : rule))
+    }));
+  }, [updateState]);
+
+  const removeRule = useCallback((id) => {
+    updateState(prev => ({
+      rules: prev.rules.filter(rule => rule.id !== id),
+      acknowledged: withoutRule(prev.acknowledged, id),
+      snoozed: withoutRule(prev.snoozed, id)
+    }));
+  }, [updateState]);
+
+  const acknowledge = useCallback((alertIds) => {
+    const time = new Date().toISOString();
+    updateState(prev => {
+      const acknowledged = { ...prev.acknowledged };
+      const snoozed = { ...prev.snoozed };
+      alertIds.forEach(id => {
+        acknowledged[id] = time;
+        delete snoozed[id];
+      });
+      return { ...prev, acknowledged, snoozed };
+    });
+  }, [updateState]);
+
+  const snooze = useCallback((alertIds, minutes) => {
+    const until = new Date(Date.now() + minutes * 60 * 1000).toISOString();
+    updateState(prev => {
+      const snoozed = { ...prev.snoozed };
+      alertIds.forEach(id => {
+        snoozed[id] = until;
+      });
+      return { ...prev, snoozed };
+    });
+    setNow(Date.now());
+  }, [updateState]);
+
+  const reopen = useCallback((alertIds) => {
+    updateState(prev => {
+      const acknowledged = { ...prev.acknowledged };
+      const snoozed = { ...prev.snoozed };
+      alertIds.forEach(id => {
+        delete acknowledged[id];
+        delete snoozed[id];
+      });
+      return { ...prev, acknowledged, snoozed };
+    });
+  }, [updateState]);
+
+  return {
+    rules: state.rules,
+    acknowledged: state.acknowledged,
+    snoozed: state.snoozed,
+    now,
+    addRule,
+    updateRule,
+    removeRule,
+    acknowledge,
+    snooze,
+    reopen
+  };
+};
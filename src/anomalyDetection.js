@@ -0,0 +1,192 @@
+import { format } from 'date-fns';
+import { getEventTime } from './timeRange';
+
+// Statistical anomaly detection against per-user baselines, learned from every loaded event.
+// Hour and device checks walk events in time order and only look at the history before each
+// one; volume compares each day with the user's whole daily distribution.
+//   volume   – a user's events on one day far above their usual daily volume (z-score)
+//   burst    – several failures by one user inside a short window
+//   hour     – activity at an hour the user rarely uses
+//   device   – a device the user hasn't used before, once they have an established history
+
+export const anomalyTypes = [
+  { id: 'volume', label: 'Volume spike', color: '#8b5cf6' },
+  { id: 'burst', label: 'Failure burst', color: '#ef4444' },
+  { id: 'hour', label: 'Unusual hour', color: '#0ea5e9' },
+  { id: 'device', label: 'New device', color: '#f97316' }
+];
+
+export const defaultAnomalyOptions = {
+  volumeZScore: 2,
+  minDailyVolume: 3,
+  burstSize: 3,
+  burstWindowHours: 24,
+  rareHourShare: 0.05,
+  minHistory: 3
+};
+
+const hourMs = 60 * 60 * 1000;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const standardDeviation = (values, average) => Math.sqrt(mean(values.map(v => (v - average) ** 2)));
+
+// Flags `type` on `event` in `flagged`. A later, larger burst replaces the label of the one the
+// event was first caught in.
+const flag = (flagged, event, type, label) => {
+  const reasons = (flagged.get(event) || []).filter(reason => reason.type !== type);
+  flagged.set(event, [...reasons, { type, label }]);
+};
+
+const orderByTime = (events) => events
+  .map((event, index) => ({ event, index, time: getEventTime(event) }))
+  .filter(item => item.time && item.event.user)
+  .sort((a, b) => a.time - b.time || a.index - b.index);
+
+// What detection knows after the newest event it has seen, by result, so events appended later
+// can be folded in (see extendAnomalies)
+const detectionStates = new WeakMap();
+
+// Walks `ordered` events into `state`, which is updated in place: each user's events per day,
+// and the burst, hour and device checks that only look back in time. Per-user day lists and
+// profiles from an earlier walk are copied before they change, so the state of the result that
+// walk produced stays intact.
+const walkInOrder = (ordered, state, options) => {
+  const { dailyByUser, recentFailures, historyCount, timedCount, profiles, flagged } = state;
+  const ownUsers = new Set();
+  const ownDays = new Set();
+
+  ordered.forEach(({ event, time }) => {
+    const { user } = event;
+    if (!ownUsers.has(user)) {
+      ownUsers.add(user);
+      dailyByUser[user] = { ...dailyByUser[user] };
+      const profile = profiles[user] || { hours: {}, devices: new Set() };
+      profiles[user] = { hours: { ...profile.hours }, devices: new Set(profile.devices) };
+    }
+    const day = format(time, 'yyyy-MM-dd');
+    const days = dailyByUser[user];
+    if (!ownDays.has(`${user}|${day}`)) {
+      ownDays.add(`${user}|${day}`);
+      days[day] = days[day] ? days[day].slice() : [];
+    }
+    days[day].push(event);
+
+    const profile = profiles[user];
+    const seen = historyCount[user] || 0;
+
+    if (event.status === 'fail') {
+      const windowStart = time.getTime() - options.burstWindowHours * hourMs;
+      const failures = (recentFailures[user] || []).filter(item => item.time >= windowStart);
+      failures.push({ time: time.getTime(), event });
+      recentFailures[user] = failures;
+      if (failures.length >= options.burstSize) {
+        failures.forEach(item => flag(flagged, item.event, 'burst', `${failures.length} failures within ${options.burstWindowHours}h`));
+      }
+    }
+
+    // Hours only mean something for events that carry a timestamp
+    if (event.timestamp) {
+      const hour = time.getHours();
+      const timed = timedCount[user] || 0;
+      if (timed >= options.minHistory) {
+        const nearby = [hour - 1, hour, hour + 1].reduce((sum, h) => sum + (profile.hours[(h + 24) % 24] || 0), 0);
+        if (nearby / timed < options.rareHourShare) {
+          flag(flagged, event, 'hour', `Activity at ${String(hour).padStart(2, '0')}:00, unusual for ${user}`);
+        }
+      }
+      profile.hours[hour] = (profile.hours[hour] || 0) + 1;
+      timedCount[user] = timed + 1;
+    }
+
+    if (event.device) {
+      if (seen >= options.minHistory && !profile.devices.has(event.device)) {
+        flag(flagged, event, 'device', `First use of ${event.device} after ${seen} events on other devices`);
+      }
+      profile.devices.add(event.device);
+    }
+
+    historyCount[user] = seen + 1;
+    state.lastTime = time.getTime();
+  });
+};
+
+// The result for `state`: volume is judged against each user's whole daily distribution, so
+// it is worked out afresh from the day lists and put ahead of the other reasons
+const summarize = (state, options) => {
+  const { dailyByUser, profiles } = state;
+
+  // Daily volume per user and the population's daily volume, for users with little history
+  const allDailyCounts = Object.values(dailyByUser).flatMap(days => Object.values(days).map(list => list.length));
+  const populationMean = allDailyCounts.length > 0 ? mean(allDailyCounts) : 0;
+  const populationStd = allDailyCounts.length > 0 ? standardDeviation(allDailyCounts, populationMean) : 0;
+
+  const flagged = new Map();
+  const baselines = {};
+  Object.entries(dailyByUser).forEach(([user, days]) => {
+    const counts = Object.values(days).map(list => list.length);
+    const ownBaseline = counts.length >= options.minHistory;
+    const average = ownBaseline ? mean(counts) : populationMean;
+    const deviation = ownBaseline ? standardDeviation(counts, average) : populationStd;
+    const { hours, devices } = profiles[user];
+    baselines[user] = { activeDays: counts.length, dailyMean: average, dailyStd: deviation, hours, devices };
+
+    Object.entries(days).forEach(([day, dayEvents]) => {
+      const z = deviation > 0 ? (dayEvents.length - average) / deviation : 0;
+      if (dayEvents.length >= options.minDailyVolume && z >= options.volumeZScore) {
+        dayEvents.forEach(event => flag(flagged, event, 'volume', `${dayEvents.length} events on ${day} (usual ${average.toFixed(1)}/day)`));
+      }
+    });
+  });
+  state.flagged.forEach((reasons, event) => {
+    flagged.set(event, flagged.has(event) ? [...flagged.get(event), ...reasons] : reasons);
+  });
+
+  const list = Array.from(flagged.entries())
+    .map(([event, reasons]) => ({ event, reasons, time: getEventTime(event) }))
+    .sort((a, b) => b.time - a.time || b.reasons.length - a.reasons.length);
+
+  const countsByType = anomalyTypes.reduce((acc, type) => ({ ...acc, [type.id]: 0 }), {});
+  list.forEach(item => item.reasons.forEach(reason => { countsByType[reason.type]++; }));
+
+  const result = { flagged, list, countsByType, baselines };
+  detectionStates.set(result, { ...state, options });
+  return result;
+};
+
+// Returns { flagged: Map<event, [{ type, label }]>, list, countsByType, baselines }
+export const detectAnomalies = (events, options = defaultAnomalyOptions) => {
+  const state = {
+    dailyByUser: {},
+    recentFailures: {},
+    historyCount: {},
+    timedCount: {},
+    profiles: {},
+    flagged: new Map(),
+    lastTime: -Infinity
+  };
+  walkInOrder(orderByTime(events), state, options);
+  return summarize(state, options);
+};
+
+// `anomalies` from detectAnomalies with `added` events folded in, for events appended to the
+// list it ran over. Null when an added event is older than the newest one seen or the options
+// differ, since only a full detectAnomalies run can place them.
+export const extendAnomalies = (anomalies, added, options = defaultAnomalyOptions) => {
+  const previous = detectionStates.get(anomalies);
+  const ordered = orderByTime(added);
+  if (!previous || previous.options !== options) return null;
+  if (ordered.length === 0) return anomalies;
+  if (ordered[0].time.getTime() < previous.lastTime) return null;
+
+  const state = {
+    dailyByUser: { ...previous.dailyByUser },
+    recentFailures: { ...previous.recentFailures },
+    historyCount: { ...previous.historyCount },
+    timedCount: { ...previous.timedCount },
+    profiles: { ...previous.profiles },
+    flagged: new Map(previous.flagged),
+    lastTime: previous.lastTime
+  };
+  walkInOrder(ordered, state, options);
+  return summarize(state, options);
+};
@@ -0,0 +1,150 @@
+import { forceSimulation, forceLink, forceManyBody, forceCenter, forceCollide, forceX, forceY } from 'd3-force';
+import { scaleLinear } from '@visx/scale';
+
+// Bipartite user–device graph. One link per user/device pair, weighted by the number of
+// events they share; devices used by more than one user are the fraud signal we surface.
+
+const userNodeId = (user) => `user:${user}`;
+const deviceNodeId = (device) => `device:${device}`;
+
+export const failureColor = scaleLinear({
+  domain: [0, 0.5, 1],
+  range: ['#22c55e', '#eab308', '#ef4444']
+});
+
+// Union-find over node ids, returns the component sizes largest first
+const getComponents = (nodes, links) => {
+  const parent = {};
+  const find = (id) => {
+    while (parent[id] !== id) {
+      parent[id] = parent[parent[id]];
+      id = parent[id];
+    }
+    return id;
+  };
+  nodes.forEach(node => { parent[node.id] = node.id; });
+  links.forEach(link => {
+    const a = find(link.source);
+    const b = find(link.target);
+    if (a !== b) parent[a] = b;
+  });
+
+  const sizes = {};
+  nodes.forEach(node => {
+    const root = find(node.id);
+    sizes[root] = (sizes[root] || 0) + 1;
+  });
+  return Object.values(sizes).sort((a, b) => b - a);
+};
+
+export const buildAssociationGraph = (events) => {
+  const nodes = {};
+  const links = {};
+
+  const addNode = (id, type, label, event) => {
+    if (!nodes[id]) nodes[id] = { id, type, label, eventCount: 0, failCount: 0, neighbors: new Set() };
+    nodes[id].eventCount++;
+    if (event.status === 'fail') nodes[id].failCount++;
+  };
+
+  events.forEach(event => {
+    if (!event.user || !event.device) return;
+    const source = userNodeId(event.user);
+    const target = deviceNodeId(event.device);
+    addNode(source, 'user', event.user, event);
+    addNode(target, 'device', event.device, event);
+    nodes[source].neighbors.add(target);
+    nodes[target].neighbors.add(source);
+
+    const key = `${source}|${target}`;
+    if (!links[key]) links[key] = { id: key, source, target, weight: 0, failCount: 0 };
+    links[key].weight++;
+    if (event.status === 'fail') links[key].failCount++;
+  });
+
+  const nodeList = Object.values(nodes).map(node => ({
+    ...node,
+    degree: node.neighbors.size,
+    failureRatio: node.failCount / node.eventCount,
+    // A device seen with several users
+    shared: node.type === 'device' && node.neighbors.size > 1
+  }));
+  const linkList = Object.values(links).map(link => ({ ...link, failureRatio: link.failCount / link.weight }));
+
+  const users = nodeList.filter(node => node.type === 'user');
+  const devices = nodeList.filter(node => node.type === 'device');
+  const components = getComponents(nodeList, linkList);
+  const averageDegree = (list) => (list.length > 0 ? list.reduce((sum, node) => sum + node.degree, 0) / list.length : 0);
+
+  return {
+    nodes: nodeList,
+    links: linkList,
+    metrics: {
+      users: users.length,
+      devices: devices.length,
+      edges: linkList.length,
+      // Share of all possible user–device pairs that actually occur
+      density: users.length > 0 && devices.length > 0 ? linkList.length / (users.length * devices.length) : 0,
+      averageUserDegree: averageDegree(users),
+      averageDeviceDegree: averageDegree(devices),
+      maxDeviceDegree: devices.reduce((max, node) => Math.max(max, node.degree), 0),
+      components: components.length,
+      largestComponent: components[0] || 0,
+      sharedDevices: devices.filter(node => node.shared).sort((a, b) => b.degree - a.degree || b.eventCount - a.eventCount)
+    }
+  };
+};
+
+// Runs the force simulation to rest synchronously so the layout is stable between renders.
+// Weak x/y forces keep disconnected user–device clusters from drifting apart.
+// Only the `maxNodes` busiest nodes are laid out; metrics always cover the whole graph.
+export const layoutAssociationGraph = (graph, { width, height, maxNodes = 300, ticks = 300 }) => {
+  const kept = new Set(
+    [...graph.nodes].sort((a, b) => b.eventCount - a.eventCount || a.id.localeCompare(b.id)).slice(0, maxNodes).map(node => node.id)
+  );
+  const nodes = graph.nodes
+    .filter(node => kept.has(node.id))
+    .map((node, index, list) => {
+      // Deterministic starting positions on a circle
+      const angle = (index / list.length) * 2 * Math.PI;
+      return { ...node, x: width / 2 + Math.cos(angle) * width / 4, y: height / 2 + Math.sin(angle) * height / 4 };
+    });
+  const links = graph.links
+    .filter(link => kept.has(link.source) && kept.has(link.target))
+    .map(link => ({ ...link }));
+
+  const simulation = forceSimulation(nodes)
+    .force('link', forceLink(links).id(node => node.id).distance(40).strength(link => Math.min(1, 0.3 + link.weight * 0.1)))
+    .force('charge', forceManyBody().strength(-80))
+    .force('center', forceCenter(width / 2, height / 2))
+    .force('x', forceX(width / 2).strength(0.06))
+    .force('y', forceY(height / 2).strength(0.1))
+    .force('collide', forceCollide(12))
+    .stop();
+
+  for (let i = 0; i < ticks; i++) simulation.tick();
+
+  // Fit the settled layout into the viewport, keeping its aspect ratio
+  const padding = 24;
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  nodes.forEach(node => {
+    minX = Math.min(minX, node.x);
+    minY = Math.min(minY, node.y);
+    maxX = Math.max(maxX, node.x);
+    maxY = Math.max(maxY, node.y);
+  });
+  const spanX = Math.max(maxX - minX, 1);
+  const spanY = Math.max(maxY - minY, 1);
+  const scale = Math.min((width - padding * 2) / spanX, (height - padding * 2) / spanY, 1);
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+  nodes.forEach(node => {
+    node.x = offsetX + (node.x - minX) * scale;
+    node.y = offsetY + (node.y - minY) * scale;
+  });
+
+  return { nodes, links, truncated: graph.nodes.length > nodes.length };
+};
@@ -0,0 +1,209 @@
+import { useCallback } from 'react';
+import { format } from 'date-fns';
+
+// Client-side export helpers: standalone SVG / PNG snapshots of a rendered chart and CSV tables
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const fontFamily = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+
+export const exportFileName = (title, extension) => {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
+  return `${slug || 'export'}-${format(new Date(), 'yyyyMMdd-HHmm')}.${extension}`;
+};
+
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Wraps the chart's <svg> in a document that carries its own title, legend and filter stamp,
+// so the file still makes sense once it is attached to a case outside the dashboard.
+export const buildStandaloneSvg = (svgElement, { title, legend = [], filters = [] }) => {
+  const width = Number(svgElement.getAttribute('width')) || svgElement.clientWidth;
+  const height = Number(svgElement.getAttribute('height')) || svgElement.clientHeight;
+  const padding = 20;
+  const filterLines = filters.length > 0 ? filters : ['No filters applied'];
+  const headerHeight = padding + 24 + filterLines.length * 16 + 28;
+
+  const clone = svgElement.cloneNode(true);
+  clone.setAttribute('x', 0);
+  clone.setAttribute('y', headerHeight);
+  clone.removeAttribute('class');
+  // Cells drawn on a canvas (large heatmaps) sit in the SVG as an <image> naming the canvas;
+  // the copy gets the canvas pixels so the file shows them
+  clone.querySelectorAll('image[data-canvas]').forEach(image => {
+    const canvas = document.getElementById(image.getAttribute('data-canvas'));
+    if (canvas) image.setAttribute('href', canvas.toDataURL('image/png'));
+    image.removeAttribute('data-canvas');
+  });
+  const chartMarkup = new XMLSerializer().serializeToString(clone);
+
+  const legendMarkup = legend.map((item, index) => {
+    const x = padding + index * 110;
+    const y = headerHeight - 24;
+    return `<rect x="${x}" y="${y}" width="12" height="12" rx="2" fill="${escapeXml(item.color)}" />` +
+      `<text x="${x + 18}" y="${y + 10}" font-size="12" fill="#374151">${escapeXml(item.label)}</text>`;
+  }).join('');
+
+  const filterMarkup = filterLines.map((line, index) => (
+    `<text x="${padding}" y="${padding + 40 + index * 16}" font-size="12" fill="#6b7280">${escapeXml(line)}</text>`
+  )).join('');
+
+  const totalHeight = headerHeight + height;
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+    `width="${width}" height="${totalHeight}" viewBox="0 0 ${width} ${totalHeight}" font-family="${escapeXml(fontFamily)}">` +
+    `<rect width="100%" height="100%" fill="#ffffff" />` +
+    `<text x="${padding}" y="${padding + 16}" font-size="18" font-weight="700" fill="#1e293b">${escapeXml(title)}</text>` +
+    filterMarkup +
+    legendMarkup +
+    chartMarkup +
+    `</svg>`;
+};
+
+export const exportSvg = (svgElement, options) => {
+  const markup = buildStandaloneSvg(svgElement, options);
+  downloadBlob(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }), exportFileName(options.title, 'svg'));
+};
+
+export const exportPng = (svgElement, options, scale = 2) => {
+  const markup = buildStandaloneSvg(svgElement, options);
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml;charset=utf-8' }));
+  const image = new Image();
+
+  return new Promise((resolve, reject) => {
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = image.width * scale;
+      canvas.height = image.height * scale;
+      const context = canvas.getContext('2d');
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0);
+      URL.revokeObjectURL(url);
+
+      // A tainted canvas throws here instead of calling back
+      try {
+        canvas.toBlob(blob => {
+          if (!blob) {
+            reject(new Error('PNG rendering failed'));
+            return;
+          }
+          downloadBlob(blob, exportFileName(options.title, 'png'));
+          resolve();
+        }, 'image/png');
+      } catch (error) {
+        reject(error);
+      }
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not rasterize chart'));
+    };
+    image.src = url;
+  });
+};
+
+const escapeCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// columns: [{ key, label, value?(row) }]
+export const toCsv = (rows, columns) => {
+  const header = columns.map(column => escapeCsvValue(column.label || column.key)).join(',');
+  const lines = rows.map(row => columns
+    .map(column => escapeCsvValue(column.value ? column.value(row) : row[column.key]))
+    .join(','));
+  return [header, ...lines].join('\r\n');
+};
+
+export const exportCsv = (rows, columns, title) => {
+  downloadBlob(new Blob([toCsv(rows, columns)], { type: 'text/csv;charset=utf-8' }), exportFileName(title, 'csv'));
+};
+
+const countStatus = (events, status) => events.filter(event => event.status === status).length;
+
+export const heatmapCellColumns = [
+  { key: 'activityType', label: 'Activity Type' },
+  { key: 'period', label: 'Period' },
+  { key: 'periodLabel', label: 'Period Label' },
+  { key: 'count', label: 'Events' },
+  { key: 'success', label: 'Success', value: cell => countStatus(cell.events, 'success') },
+  { key: 'warning', label: 'Warning', value: cell => countStatus(cell.events, 'warning') },
+  { key: 'fail', label: 'Fail', value: cell => countStatus(cell.events, 'fail') },
+  { key: 'status', label: 'Dominant Status' },
+  { key: 'intensity', label: 'Intensity', value: cell => cell.intensity.toFixed(3) }
+];
+
+export const barBucketColumns = [
+  { key: 'period', label: 'Period' },
+  { key: 'periodLabel', label: 'Period Label' },
+  { key: 'total', label: 'Total' },
+  { key: 'success', label: 'Success' },
+  { key: 'warning', label: 'Warning' },
+  { key: 'fail', label: 'Fail' },
+  { key: 'trend', label: 'Trend %' }
+];
+
+export const eventColumns = [
+  { key: 'date', label: 'Date' },
+  { key: 'timestamp', label: 'Timestamp' },
+  { key: 'activityType', label: 'Activity Type' },
+  { key: 'status', label: 'Status' },
+  { key: 'user', label: 'User' },
+  { key: 'device', label: 'Device' },
+  { key: 'ip', label: 'IP' },
+  { key: 'sessionId', label: 'Session' },
+  { key: 'durationMs', label: 'Duration (ms)' },
+  { key: 'geo', label: 'Geo' },
+  { key: 'riskScore', label: 'Risk Score' },
+  { key: 'tags', label: 'Tags', value: event => (event.tags ? event.tags.join(';') : '') },
+  { key: 'amount', label: 'Amount' },
+  { key: 'currency', label: 'Currency' },
+  { key: 'counterparty', label: 'Counterparty' },
+  { key: 'metadata', label: 'Metadata' }
+];
+
+// Export handler for a chart component's header menu (also exposed through the chart's handle).
+// PNG exports return the rendering promise so the caller can report a failure.
+export const useChartExport = ({ svgRef, title, meta, rows, columns, events }) => {
+  const handleExport = useCallback((kind) => {
+    const svgElement = svgRef.current;
+    const options = { title, legend: meta ? meta.legend : [], filters: meta ? meta.filters : [] };
+
+    if (kind === 'svg' && svgElement) {
+      exportSvg(svgElement, options);
+    } else if (kind === 'png' && svgElement) {
+      return exportPng(svgElement, options);
+    } else if (kind === 'csv') {
+      exportCsv(rows, columns, `${title} data`);
+    } else if (kind === 'events') {
+      exportCsv(events, eventColumns, `${title} events`);
+    }
+    return undefined;
+  }, [svgRef, title, meta, rows, columns, events]);
+
+  return handleExport;
+};
+
+// Standalone SVG markup of the chart as currently rendered, for pinning into an evidence case
+export const useChartSnapshot = ({ svgRef, title, meta }) => useCallback(() => {
+  const svgElement = svgRef.current;
+  if (!svgElement) return null;
+  return {
+    title,
+    svg: buildStandaloneSvg(svgElement, { title, legend: meta ? meta.legend : [], filters: meta ? meta.filters : [] })
+  };
+}, [svgRef, title, meta]);
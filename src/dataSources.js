@@ -0,0 +1,187 @@
+import { useState, useEffect, useCallback } from 'react';
+import { validateEventsInChunks } from './eventSchema';
+import { extendEvents } from './eventLineage';
+
+// Every data source exposes the same shape: { id, label, load(signal) => Promise<events[]> }.
+// The dashboard only talks to that shape, so new feeds only need a new adapter here.
+
+// Minimal CSV parser - handles quoted fields, escaped quotes and CRLF line endings
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  const keys = header.map(key => key.trim());
+
+  return body.map(cells => keys.reduce((record, key, index) => {
+    if (key && cells[index] !== undefined && cells[index] !== '') {
+      record[key] = cells[index].trim();
+    }
+    return record;
+  }, {}));
+};
+
+// Accepts a bare array or the common `{ data | items | events: [...] }` envelopes
+const extractRecords = (payload) => {
+  if (Array.isArray(payload)) return payload;
+  if (payload && typeof payload === 'object') {
+    const records = payload.data || payload.items || payload.events;
+    if (Array.isArray(records)) return records;
+  }
+  throw new Error('Expected an array of events');
+};
+
+export const createStaticSource = ({ data, url, label = 'Sample data' } = {}) => ({
+  id: 'static',
+  label,
+  load: async (signal) => {
+    if (data) return extractRecords(data);
+
+    const response = await fetch(url, { signal });
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url} (${response.status})`);
+    }
+    return extractRecords(await response.json());
+  }
+});
+
+// Follows `next` links when the API returns them, otherwise walks ?page=N until a short page
+export const createRestSource = ({
+  url,
+  pageParam = 'page',
+  pageSizeParam = 'pageSize',
+  pageSize = 500,
+  maxPages = 100,
+  headers = {},
+  label = 'REST API'
+}) => ({
+  id: 'rest',
+  label,
+  load: async (signal) => {
+    const events = [];
+    let nextUrl = null;
+
+    for (let page = 1; page <= maxPages; page++) {
+      let requestUrl = nextUrl;
+      if (!requestUrl) {
+        const pageUrl = new URL(url, window.location.href);
+        pageUrl.searchParams.set(pageParam, page);
+        pageUrl.searchParams.set(pageSizeParam, pageSize);
+        requestUrl = pageUrl.toString();
+      }
+
+      const response = await fetch(requestUrl, { signal, headers: { Accept: 'application/json', ...headers } });
+      if (!response.ok) {
+        throw new Error(`Request to ${requestUrl} failed (${response.status})`);
+      }
+
+      const payload = await response.json();
+      const records = extractRecords(payload);
+      events.push(...records);
+
+      nextUrl = payload && !Array.isArray(payload) ? (payload.next || payload.nextPage || null) : null;
+      if (!nextUrl && records.length < pageSize) break;
+    }
+
+    return events;
+  }
+});
+
+export const createFileSource = (file) => ({
+  id: 'file',
+  label: file.name,
+  load: async () => {
+    const text = await file.text();
+    if (/\.csv$/i.test(file.name) || file.type === 'text/csv') {
+      return parseCsv(text);
+    }
+
+    try {
+      return extractRecords(JSON.parse(text));
+    } catch (error) {
+      throw new Error(`Could not read ${file.name}: ${error.message}`);
+    }
+  }
+});
+
+const emptyValidation = { rejected: 0, issues: [] };
+
+// Loads and validates a source, tracking its status: 'idle' | 'loading' | 'ready' | 'error'.
+// Validation runs in slices (validateEventsInChunks) and counts as loading.
+export const useEventSource = (source) => {
+  const [state, setState] = useState({
+    events: [],
+    status: source ? 'loading' : 'idle',
+    error: null,
+    validation: emptyValidation
+  });
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (!source) return undefined;
+
+    const controller = new AbortController();
+    setState(prev => ({ ...prev, status: 'loading', error: null }));
+
+    source.load(controller.signal)
+      .then(records => validateEventsInChunks(records, { signal: controller.signal }))
+      .then(({ events, rejected, issues }) => {
+        if (!controller.signal.aborted) {
+          setState({ events, status: 'ready', error: null, validation: { rejected, issues } });
+        }
+      })
+      .catch(error => {
+        if (!controller.signal.aborted) {
+          setState({ events: [], status: 'error', error, validation: emptyValidation });
+        }
+      });
+
+    return () => controller.abort();
+  }, [source, reloadKey]);
+
+  const reload = useCallback(() => setReloadKey(key => key + 1), []);
+
+  // Live mode hands streamed events over here; they stay until the source reloads. The list is
+  // extended rather than copied, so what was derived from it can fold the new events in.
+  const appendEvents = useCallback((added) => {
+    if (added.length === 0) return;
+    setState(prev => ({ ...prev, events: extendEvents(prev.events, added) }));
+  }, []);
+
+  return { ...state, reload, appendEvents };
+};
@@ -0,0 +1,97 @@
+import { getEventTime } from './timeRange';
+import { getPeriods, getPeriodKey } from './granularity';
+
+// Everything we know about one user or device: its activity per granularity period, the
+// devices it used (or users seen on it) and its runs of consecutive failures.
+
+export const entityTypes = {
+  user: { label: 'User', icon: '👤', related: 'device', relatedLabel: 'Devices used' },
+  device: { label: 'Device', icon: '💻', related: 'user', relatedLabel: 'Users seen' }
+};
+
+// Same rule as the heatmap: any failure makes the cell a failure, then any warning
+const dominantStatus = (events) => {
+  if (events.some(event => event.status === 'fail')) return 'fail';
+  if (events.some(event => event.status === 'warning')) return 'warning';
+  return 'success';
+};
+
+const countBy = (events, getKey) => events.reduce((counts, event) => {
+  const key = getKey(event);
+  if (key) counts[key] = (counts[key] || 0) + 1;
+  return counts;
+}, {});
+
+export const buildEntityTimeline = (events, entity, granularity) => {
+  const own = events
+    .filter(event => event[entity.type] === entity.id && getEventTime(event))
+    .sort((a, b) => getEventTime(a) - getEventTime(b));
+
+  const byPeriod = {};
+  own.forEach(event => {
+    const key = getPeriodKey(event, granularity);
+    if (!byPeriod[key]) byPeriod[key] = [];
+    byPeriod[key].push(event);
+  });
+  const maxCount = Math.max(1, ...Object.values(byPeriod).map(list => list.length));
+
+  const cells = getPeriods(own, granularity).map(period => {
+    const periodEvents = byPeriod[period.key] || [];
+    return {
+      activityType: `${entityTypes[entity.type].label} ${entity.id}`,
+      period: period.key,
+      periodLabel: period.label,
+      status: periodEvents.length > 0 ? dominantStatus(periodEvents) : null,
+      events: periodEvents,
+      count: periodEvents.length,
+      intensity: periodEvents.length / maxCount,
+      activityTypes: countBy(periodEvents, event => event.activityType)
+    };
+  });
+
+  const relatedType = entityTypes[entity.type].related;
+  const relatedById = {};
+  own.forEach(event => {
+    const id = event[relatedType];
+    if (!id) return;
+    if (!relatedById[id]) relatedById[id] = { id, count: 0, failCount: 0, firstSeen: getEventTime(event) };
+    relatedById[id].count++;
+    if (event.status === 'fail') relatedById[id].failCount++;
+    relatedById[id].lastSeen = getEventTime(event);
+  });
+
+  // Runs of two or more consecutive failed events, longest first
+  const streaks = [];
+  let run = [];
+  let openStreak = 0;
+  [...own, null].forEach(event => {
+    if (event && event.status === 'fail') {
+      run.push(event);
+      return;
+    }
+    // The run still going at the entity's latest event
+    if (!event) openStreak = run.length;
+    if (run.length >= 2) {
+      streaks.push({ length: run.length, start: getEventTime(run[0]), end: getEventTime(run[run.length - 1]), events: run });
+    }
+    run = [];
+  });
+  streaks.sort((a, b) => b.length - a.length || b.end - a.end);
+
+  const activityTypeCounts = countBy(own, event => event.activityType);
+  const failCounts = countBy(own.filter(event => event.status === 'fail'), event => event.activityType);
+
+  return {
+    events: own,
+    firstSeen: own.length > 0 ? getEventTime(own[0]) : null,
+    lastSeen: own.length > 0 ? getEventTime(own[own.length - 1]) : null,
+    failCount: own.filter(event => event.status === 'fail').length,
+    cells,
+    activityTypes: Object.entries(activityTypeCounts)
+      .map(([activityType, count]) => ({ activityType, count, failCount: failCounts[activityType] || 0 }))
+      .sort((a, b) => b.count - a.count),
+    related: Object.values(relatedById).sort((a, b) => b.count - a.count),
+    streaks,
+    openStreak
+  };
+};
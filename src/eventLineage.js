@@ -0,0 +1,58 @@
+import { useRef, useMemo, useCallback } from 'react';
+
+// Event lists that grow at the end, like the loaded events when live mode syncs. An array made
+// by extendEvents remembers the array it extends, so anything derived from that one (filtered
+// lists, bounds, aggregations, scores) can fold in the added events instead of starting over.
+// Only the last step is remembered, which keeps at most one superseded list reachable.
+
+const extendedFrom = new WeakMap();
+
+export const extendEvents = (base, added) => {
+  if (added.length === 0) return base;
+  const events = base.concat(added);
+  extendedFrom.delete(base);
+  extendedFrom.set(events, base);
+  return events;
+};
+
+// The array `events` was made from by extendEvents, or null
+export const getExtendedFrom = (events) => extendedFrom.get(events) || null;
+
+// The events appended to `base` to make `events`, or null when `events` isn't `base` extended
+export const getAddedEvents = (base, events) => (extendedFrom.get(events) === base ? events.slice(base.length) : null);
+
+// useMemo for a value derived from a growing event list: when `events` extends the list the
+// value was last built for, `fold(value, added)` brings it up to date, otherwise
+// `build(events)` computes it afresh. `fold` can return null when it can't take the added
+// events. `build` and `fold` should be stable; a new `build` starts over. Null `events` give
+// null.
+export const useFoldedValue = (events, build, fold) => {
+  const previousRef = useRef(null);
+
+  return useMemo(() => {
+    const previous = previousRef.current;
+    let value = null;
+    if (events && previous && previous.build === build && previous.events === events) {
+      value = previous.value;
+    } else if (events) {
+      const added = previous && previous.build === build ? getAddedEvents(previous.events, events) : null;
+      if (added) value = fold(previous.value, added);
+      if (value === null) value = build(events);
+    }
+
+    previousRef.current = events ? { events, build, value } : null;
+    return value;
+  }, [events, build, fold]);
+};
+
+// events.filter(predicate) that stays in step with a growing list: added events are filtered
+// on their own and the result extends the previous one, so it folds onward too. A null
+// predicate keeps every event.
+export const useFilteredEvents = (events, predicate) => {
+  const build = useCallback(list => (predicate ? list.filter(predicate) : list), [predicate]);
+  const fold = useCallback(
+    (filtered, added) => (predicate ? extendEvents(filtered, added.filter(predicate)) : null),
+    [predicate]
+  );
+  return useFoldedValue(events, build, fold);
+};
@@ -0,0 +1,238 @@
+import { parseTimeValue, setEventMs } from './timeRange';
+
+// Event schema
+//   required: activityType, status, and a date (yyyy-MM-dd) or ISO timestamp
+//   optional: user, device, timestamp, ip, sessionId, durationMs, geo, riskScore, tags, metadata,
+//             and for monetary events amount, currency (ISO 4217 code) and counterparty
+// Records are validated once when a source loads; everything downstream can rely on the shape.
+// Validation also records each event's parsed time (see getEventMs), so it is only parsed once.
+
+export const eventStatuses = ['success', 'warning', 'fail'];
+
+const statusAliases = {
+  ok: 'success',
+  succeeded: 'success',
+  passed: 'success',
+  warn: 'warning',
+  failed: 'fail',
+  failure: 'fail',
+  error: 'fail'
+};
+
+const ipPattern = /^((\d{1,3}\.){3}\d{1,3}|[0-9a-f:]+:[0-9a-f:.]*)$/i;
+const currencyPattern = /^[A-Z]{3}$/;
+
+const toOptionalString = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const text = String(value).trim();
+  return text === '' ? undefined : text;
+};
+
+const toOptionalNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+// Local yyyy-MM-dd of a parsed time; format() would take most of the validation time
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+const toDateKey = (ms) => {
+  const time = new Date(ms);
+  return `${pad(time.getFullYear(), 4)}-${pad(time.getMonth() + 1)}-${pad(time.getDate())}`;
+};
+
+// CSV sources deliver nested fields as JSON strings or dotted columns (geo.city)
+const parseObjectField = (raw, name) => {
+  const value = raw[name];
+  if (value && typeof value === 'object' && !Array.isArray(value)) return value;
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  const prefix = `${name}.`;
+  const dotted = Object.keys(raw).filter(key => key.startsWith(prefix));
+  if (dotted.length === 0) return typeof value === 'string' ? value : undefined;
+  return dotted.reduce((acc, key) => ({ ...acc, [key.slice(prefix.length)]: raw[key] }), {});
+};
+
+// Tags come as an array (JSON) or a delimited string (CSV: "kyc;manual-review")
+const normalizeTags = (value) => {
+  if (value === undefined || value === null) return undefined;
+  const list = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[;,|]/) : [];
+  const tags = Array.from(new Set(list.map(toOptionalString).filter(Boolean).map(tag => tag.toLowerCase())));
+  return tags.length > 0 ? tags : undefined;
+};
+
+const normalizeGeo = (value) => {
+  if (!value) return undefined;
+  if (typeof value === 'string') return { label: value };
+
+  const geo = {
+    city: toOptionalString(value.city),
+    region: toOptionalString(value.region),
+    country: toOptionalString(value.country),
+    lat: toOptionalNumber(value.lat),
+    lon: toOptionalNumber(value.lon)
+  };
+  Object.keys(geo).forEach(key => {
+    if (geo[key] === undefined || Number.isNaN(geo[key])) delete geo[key];
+  });
+  return Object.keys(geo).length > 0 ? geo : undefined;
+};
+
+// Returns { event } for a usable record, or { error } describing why it was dropped.
+// Problems with optional fields only drop that field and are reported as warnings.
+export const normalizeEvent = (raw) => {
+  if (!raw || typeof raw !== 'object') {
+    return { error: 'record is not an object' };
+  }
+
+  const activityType = toOptionalString(raw.activityType);
+  if (!activityType) return { error: 'missing activityType' };
+
+  const rawStatus = toOptionalString(raw.status);
+  const status = rawStatus ? (statusAliases[rawStatus.toLowerCase()] || rawStatus.toLowerCase()) : undefined;
+  if (!eventStatuses.includes(status)) return { error: `unknown status "${raw.status}"` };
+
+  const timestamp = toOptionalString(raw.timestamp);
+  const timestampMs = timestamp ? parseTimeValue(timestamp) : NaN;
+  if (timestamp && Number.isNaN(timestampMs)) return { error: `invalid timestamp "${timestamp}"` };
+
+  let date = toOptionalString(raw.date);
+  const dateMs = date ? parseTimeValue(date) : NaN;
+  if (date && Number.isNaN(dateMs)) return { error: `invalid date "${date}"` };
+  if (!date && timestamp) date = toDateKey(timestampMs);
+  if (!date) return { error: 'missing date or timestamp' };
+
+  const warnings = [];
+  const event = {
+    activityType,
+    date,
+    status,
+    user: toOptionalString(raw.user),
+    device: toOptionalString(raw.device),
+    timestamp
+  };
+
+  const ip = toOptionalString(raw.ip);
+  if (ip && ipPattern.test(ip)) event.ip = ip;
+  else if (ip) warnings.push(`invalid ip "${ip}"`);
+
+  event.sessionId = toOptionalString(raw.sessionId);
+
+  const durationMs = toOptionalNumber(raw.durationMs);
+  if (durationMs >= 0) event.durationMs = durationMs;
+  else if (durationMs !== undefined) warnings.push(`invalid durationMs "${raw.durationMs}"`);
+
+  event.geo = normalizeGeo(parseObjectField(raw, 'geo'));
+
+  const riskScore = toOptionalNumber(raw.riskScore);
+  if (riskScore >= 0 && riskScore <= 100) event.riskScore = riskScore;
+  else if (riskScore !== undefined) warnings.push(`riskScore out of range "${raw.riskScore}"`);
+
+  event.tags = normalizeTags(raw.tags);
+
+  // Refunds and reversals may carry negative amounts
+  const amount = toOptionalNumber(raw.amount);
+  if (Number.isFinite(amount)) event.amount = amount;
+  else if (amount !== undefined) warnings.push(`invalid amount "${raw.amount}"`);
+
+  const currency = toOptionalString(raw.currency);
+  if (currency && currencyPattern.test(currency.toUpperCase())) event.currency = currency.toUpperCase();
+  else if (currency) warnings.push(`invalid currency "${currency}"`);
+
+  event.counterparty = toOptionalString(raw.counterparty);
+
+  const metadata = parseObjectField(raw, 'metadata');
+  if (metadata && typeof metadata === 'object') event.metadata = metadata;
+
+  // Copied without the unset fields; deleting them instead leaves every event in V8's slow
+  // dictionary mode
+  const normalized = {};
+  Object.keys(event).forEach(key => {
+    if (event[key] !== undefined) normalized[key] = event[key];
+  });
+  setEventMs(normalized, timestamp ? timestampMs : dateMs);
+
+  return { event: normalized, warnings };
+};
+
+// Validates records[start..end) into `validation` ({ events, rejected, issues })
+const validateRange = (records, start, end, validation, maxIssues) => {
+  const { events, issues } = validation;
+  for (let index = start; index < end; index++) {
+    const { event, error, warnings = [] } = normalizeEvent(records[index]);
+    if (error) {
+      validation.rejected++;
+      if (issues.length < maxIssues) issues.push(`Record ${index + 1}: ${error}`);
+      continue;
+    }
+
+    warnings.forEach(warning => {
+      if (issues.length < maxIssues) issues.push(`Record ${index + 1}: ${warning}`);
+    });
+    events.push(event);
+  }
+};
+
+// Validates a whole load. `issues` keeps the first few problems for display.
+export const validateEvents = (records, maxIssues = 20) => {
+  const validation = { events: [], rejected: 0, issues: [] };
+  validateRange(records, 0, records.length, validation, maxIssues);
+  return validation;
+};
+
+// validateEvents for whole loads, which can run to hundreds of thousands of records: works
+// through them `sliceMs` at a time and yields to the browser in between, so the page keeps
+// responding while a large file is checked. Rejects with an AbortError once `signal` aborts.
+export const validateEventsInChunks = async (records, { signal, maxIssues = 20, sliceMs = 12 } = {}) => {
+  const validation = { events: [], rejected: 0, issues: [] };
+  let index = 0;
+
+  while (index < records.length) {
+    const sliceStart = performance.now();
+    do {
+      const end = Math.min(index + 500, records.length);
+      validateRange(records, index, end, validation, maxIssues);
+      index = end;
+    } while (index < records.length && performance.now() - sliceStart < sliceMs);
+
+    if (index < records.length) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (signal && signal.aborted) throw new DOMException('Validation aborted', 'AbortError');
+    }
+  }
+
+  return validation;
+};
+
+export const formatDuration = (durationMs) => {
+  if (durationMs < 1000) return `${Math.round(durationMs)} ms`;
+  const totalSeconds = Math.round(durationMs / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  if (minutes === 0) return `${seconds}s`;
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m ${seconds}s`;
+};
+
+// Amounts without a currency use the ISO "no currency" code XXX
+export const formatAmount = (amount, currency = 'XXX', options = {}) => {
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency, ...options }).format(amount);
+  } catch (error) {
+    return `${amount.toFixed(2)} ${currency}`;
+  }
+};
+
+export const formatGeo = (geo) => {
+  if (!geo) return '';
+  if (geo.label) return geo.label;
+  const place = [geo.city, geo.region, geo.country].filter(Boolean).join(', ');
+  if (place) return place;
+  return geo.lat !== undefined && geo.lon !== undefined ? `${geo.lat.toFixed(3)}, ${geo.lon.toFixed(3)}` : '';
+};
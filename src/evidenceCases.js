@@ -0,0 +1,209 @@
+import { useCallback } from 'react';
+import { format } from 'date-fns';
+import { toCsv, eventColumns, exportFileName, downloadBlob } from './chartExport';
+import { createZip } from './zipArchive';
+import { usePersistentState } from './persistentState';
+
+// Investigation cases for the Evidence tab. A case collects pinned items – single events,
+// heatmap cells / chart buckets (with their events) and chart snapshots (standalone SVG) –
+// each with a note and a verified / pending mark. Everything lives in localStorage.
+
+const storageKey = 'activity-dashboard.evidence-cases';
+
+export const verificationStates = ['pending', 'verified'];
+
+export const itemKinds = {
+  event: 'Event',
+  cell: 'Cell',
+  snapshot: 'Snapshot'
+};
+
+const createId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Events have no id of their own, so identical content means the same event
+export const eventKey = (event) => JSON.stringify(event);
+
+// Strips anything that isn't plain data so items survive JSON round-trips
+const toPlainEvents = (events) => JSON.parse(JSON.stringify(events));
+
+export const createEventItem = (event) => ({
+  kind: 'event',
+  title: `${event.activityType} – ${event.user || 'unknown user'}`,
+  events: toPlainEvents([event])
+});
+
+export const createCellItem = (cell) => ({
+  kind: 'cell',
+  title: `${cell.activityType} – ${cell.periodLabel}`,
+  status: cell.status,
+  events: toPlainEvents(cell.events)
+});
+
+export const createSnapshotItem = (title, svg) => ({
+  kind: 'snapshot',
+  title,
+  svg,
+  events: []
+});
+
+const sanitizeItem = (item) => ({
+  id: item.id || createId(),
+  kind: itemKinds[item.kind] ? item.kind : 'event',
+  title: typeof item.title === 'string' ? item.title : '',
+  status: item.status,
+  svg: typeof item.svg === 'string' ? item.svg : undefined,
+  events: Array.isArray(item.events) ? item.events : [],
+  note: typeof item.note === 'string' ? item.note : '',
+  verification: verificationStates.includes(item.verification) ? item.verification : 'pending',
+  addedAt: item.addedAt || new Date().toISOString()
+});
+
+const sanitizeState = (stored) => {
+  const cases = stored && Array.isArray(stored.cases)
+    ? stored.cases
+      .filter(c => c && c.id && typeof c.name === 'string')
+      .map(c => ({ ...c, items: Array.isArray(c.items) ? c.items.map(sanitizeItem) : [] }))
+    : [];
+  const activeCaseId = stored && cases.some(c => c.id === stored.activeCaseId) ? stored.activeCaseId : (cases[0] ? cases[0].id : null);
+  return { cases, activeCaseId };
+};
+
+const newCase = (name) => ({
+  id: createId(),
+  name: name || `Case ${format(new Date(), 'MMM dd, yyyy HH:mm')}`,
+  createdAt: new Date().toISOString(),
+  items: []
+});
+
+// Every event key pinned in a case, directly or through a cell
+export const getPinnedKeys = (caseData) => new Set(
+  caseData ? caseData.items.flatMap(item => item.events.map(eventKey)) : []
+);
+
+export const useEvidenceCases = () => {
+  const [state, updateState] = usePersistentState(storageKey, sanitizeState);
+
+  const updateActiveCase = useCallback((updater) => {
+    updateState(prev => ({
+      ...prev,
+      cases: prev.cases.map(c => (c.id === prev.activeCaseId ? updater(c) : c))
+    }));
+  }, [updateState]);
+
+  const createCase = useCallback((name) => {
+    updateState(prev => {
+      const created = newCase(name && name.trim());
+      return { cases: [...prev.cases, created], activeCaseId: created.id };
+    });
+  }, [updateState]);
+
+  const selectCase = useCallback((id) => {
+    updateState(prev => ({ ...prev, activeCaseId: id }));
+  }, [updateState]);
+
+  const renameCase = useCallback((name) => {
+    updateActiveCase(c => ({ ...c, name }));
+  }, [updateActiveCase]);
+
+  const deleteCase = useCallback(() => {
+    updateState(prev => {
+      const cases = prev.cases.filter(c => c.id !== prev.activeCaseId);
+      return { cases, activeCaseId: cases[0] ? cases[0].id : null };
+    });
+  }, [updateState]);
+
+  // Pinning without an open case starts one; an event already in the case isn't added twice
+  const addItem = useCallback((item) => {
+    updateState(prev => {
+      let { cases, activeCaseId } = prev;
+      if (!cases.some(c => c.id === activeCaseId)) {
+        const created = newCase();
+        cases = [...cases, created];
+        activeCaseId = created.id;
+      }
+      return {
+        activeCaseId,
+        cases: cases.map(c => {
+          if (c.id !== activeCaseId) return c;
+          if (item.kind === 'event' && getPinnedKeys(c).has(eventKey(item.events[0]))) return c;
+          return { ...c, items: [...c.items, sanitizeItem(item)] };
+        })
+      };
+    });
+  }, [updateState]);
+
+  const updateItem = useCallback((itemId, patch) => {
+    updateActiveCase(c => ({ ...c, items: c.items.map(item => (item.id === itemId ? sanitizeItem({ ...item, ...patch }) : item)) }));
+  }, [updateActiveCase]);
+
+  const removeItem = useCallback((itemId) => {
+    updateActiveCase(c => ({ ...c, items: c.items.filter(item => item.id !== itemId) }));
+  }, [updateActiveCase]);
+
+  const activeCase = state.cases.find(c => c.id === state.activeCaseId) || null;
+
+  return { cases: state.cases, activeCase, createCase, selectCase, renameCase, deleteCase, addItem, updateItem, removeItem };
+};
+
+const slugify = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '') || 'item';
+
+// Bundle layout:
+//   manifest.json   – case details and every item with its note, mark and event references
+//   events.csv      – each pinned event once, with the ids of the items that reference it
+//   snapshots/*.svg – one standalone SVG per snapshot item
+const buildCaseBundle = (caseData, exportedAt = new Date()) => {
+  const rows = new Map();
+  caseData.items.forEach(item => item.events.forEach(event => {
+    const key = eventKey(event);
+    if (!rows.has(key)) rows.set(key, { evidenceId: `E${rows.size + 1}`, itemIds: [], event });
+    rows.get(key).itemIds.push(item.id);
+  }));
+
+  const snapshots = caseData.items
+    .filter(item => item.kind === 'snapshot' && item.svg)
+    .map((item, index) => ({ item, name: `snapshots/${index + 1}-${slugify(item.title)}.svg` }));
+
+  const manifest = {
+    case: { id: caseData.id, name: caseData.name, createdAt: caseData.createdAt },
+    exportedAt: exportedAt.toISOString(),
+    summary: {
+      items: caseData.items.length,
+      verified: caseData.items.filter(item => item.verification === 'verified').length,
+      pending: caseData.items.filter(item => item.verification === 'pending').length,
+      events: rows.size,
+      snapshots: snapshots.length
+    },
+    items: caseData.items.map(item => {
+      const snapshot = snapshots.find(s => s.item === item);
+      return {
+        id: item.id,
+        kind: item.kind,
+        title: item.title,
+        note: item.note,
+        verification: item.verification,
+        addedAt: item.addedAt,
+        events: item.events.map(event => rows.get(eventKey(event)).evidenceId),
+        ...(snapshot ? { file: snapshot.name } : {})
+      };
+    })
+  };
+
+  const csvColumns = [
+    { key: 'evidenceId', label: 'Evidence ID' },
+    { key: 'itemIds', label: 'Case Items', value: row => row.itemIds.join(';') },
+    ...eventColumns.map(column => ({
+      ...column,
+      value: row => (column.value ? column.value(row.event) : row.event[column.key])
+    }))
+  ];
+
+  return [
+    { name: 'manifest.json', content: JSON.stringify(manifest, null, 2) },
+    { name: 'events.csv', content: toCsv(Array.from(rows.values()), csvColumns) },
+    ...snapshots.map(s => ({ name: s.name, content: s.item.svg }))
+  ];
+};
+
+export const exportCaseBundle = (caseData) => {
+  downloadBlob(createZip(buildCaseBundle(caseData)), exportFileName(`${caseData.name} case`, 'zip'));
+};
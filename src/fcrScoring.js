@@ -0,0 +1,262 @@
+import { useCallback } from 'react';
+import { getEventTime } from './timeRange';
+import { getPeriods, getPeriodKey } from './granularity';
+import { usePersistentState } from './persistentState';
+
+// Rule-based financial-crime-risk (FCR) scoring. Every event gets 0–100 points from a fixed
+// set of rules; a user's score blends their average and worst event. Scores only depend on
+// the events and the config, so the same data always produces the same numbers.
+
+const storageKey = 'activity-dashboard.fcr-config';
+
+const defaultScoringConfig = {
+  // Points by event status
+  statusWeights: { success: 0, warning: 15, fail: 35 },
+  // Points by activity type; types not listed score 0
+  activityTypeWeights: {
+    'Login Failed': 15,
+    'Password Reset': 20,
+    'User Edit': 15,
+    'Device Registered': 10,
+    'API Access': 10,
+    'Session Timeout': 5
+  },
+  // More than `threshold` events by the same user within `windowHours` before this one
+  frequency: { windowHours: 24, threshold: 3, weight: 20 },
+  // First time a user is seen on a device
+  deviceNovelty: { weight: 20 },
+  // Events with a timestamp between startHour and endHour (local time, end exclusive)
+  timeOfDay: { startHour: 0, endHour: 6, weight: 10 },
+  // Score bands used for distributions and "high risk" counts
+  bands: { medium: 30, high: 60 }
+};
+
+export const riskBands = [
+  { id: 'low', label: 'Low', color: '#22c55e' },
+  { id: 'medium', label: 'Medium', color: '#eab308' },
+  { id: 'high', label: 'High', color: '#ef4444' }
+];
+
+const getRiskBand = (score, config = defaultScoringConfig) => {
+  if (score >= config.bands.high) return 'high';
+  if (score >= config.bands.medium) return 'medium';
+  return 'low';
+};
+
+const hourMs = 60 * 60 * 1000;
+
+// Events with a time, in time order (load order between equal times)
+const orderByTime = (events) => events
+  .map((event, index) => ({ event, index, time: getEventTime(event) }))
+  .filter(item => item.time)
+  .sort((a, b) => a.time - b.time || a.index - b.index);
+
+// What scoring knows after the newest event it has scored, by scores Map, so events appended
+// later can be scored on top of it (see extendScores)
+const scoringStates = new WeakMap();
+
+// Scores `ordered` events into `state` ({ recentByUser, devicesByUser, scores, lastTime }),
+// which is updated in place. Device sets from an earlier run are copied before they change, so
+// the state of the scores that run returned stays intact.
+const scoreInOrder = (ordered, state, config) => {
+  const { recentByUser, devicesByUser, scores } = state;
+  const ownDevices = new Set();
+
+  ordered.forEach(({ event, time }) => {
+    const reasons = [];
+    const addPoints = (rule, label, points) => {
+      if (points > 0) reasons.push({ rule, label, points });
+    };
+
+    addPoints('status', `Status: ${event.status}`, config.statusWeights[event.status] || 0);
+    addPoints('activityType', event.activityType, config.activityTypeWeights[event.activityType] || 0);
+
+    if (event.user) {
+      const windowStart = time.getTime() - config.frequency.windowHours * hourMs;
+      const recent = (recentByUser[event.user] || []).filter(t => t >= windowStart);
+      if (recent.length > config.frequency.threshold) {
+        addPoints('frequency', `${recent.length} events in ${config.frequency.windowHours}h`, config.frequency.weight);
+      }
+      recent.push(time.getTime());
+      recentByUser[event.user] = recent;
+
+      if (event.device) {
+        let devices = devicesByUser[event.user] || new Set();
+        // A user's very first device isn't novel, only the ones that follow
+        if (devices.size > 0 && !devices.has(event.device)) {
+          addPoints('deviceNovelty', `New device ${event.device}`, config.deviceNovelty.weight);
+        }
+        if (!ownDevices.has(event.user)) {
+          devices = new Set(devices);
+          ownDevices.add(event.user);
+        }
+        devices.add(event.device);
+        devicesByUser[event.user] = devices;
+      }
+    }
+
+    if (event.timestamp) {
+      const hour = time.getHours();
+      const { startHour, endHour } = config.timeOfDay;
+      const inWindow = startHour <= endHour
+        ? hour >= startHour && hour < endHour
+        : hour >= startHour || hour < endHour;
+      if (inWindow) addPoints('timeOfDay', `Activity at ${String(hour).padStart(2, '0')}:00`, config.timeOfDay.weight);
+    }
+
+    const score = Math.min(100, reasons.reduce((sum, reason) => sum + reason.points, 0));
+    scores.set(event, { score, band: getRiskBand(score, config), reasons });
+    state.lastTime = time.getTime();
+  });
+
+  scoringStates.set(scores, { ...state, config });
+  return scores;
+};
+
+// Returns a Map of event -> { score, band, reasons: [{ rule, label, points }] }.
+// Events are walked in time order so frequency and device novelty only look at history.
+export const scoreEvents = (events, config = defaultScoringConfig) => scoreInOrder(
+  orderByTime(events),
+  { recentByUser: {}, devicesByUser: {}, scores: new Map(), lastTime: -Infinity },
+  config
+);
+
+// `scores` from scoreEvents with `added` events scored on top, for events appended to the
+// scored list. Null when an added event is older than the newest scored one or the config
+// differs, since only a full scoreEvents run can score them the same way.
+export const extendScores = (scores, added, config = defaultScoringConfig) => {
+  const previous = scoringStates.get(scores);
+  const ordered = orderByTime(added);
+  if (!previous || previous.config !== config) return null;
+  if (ordered.length === 0) return scores;
+  if (ordered[0].time.getTime() < previous.lastTime) return null;
+
+  return scoreInOrder(ordered, {
+    recentByUser: { ...previous.recentByUser },
+    devicesByUser: { ...previous.devicesByUser },
+    scores: new Map(scores),
+    lastTime: previous.lastTime
+  }, config);
+};
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0);
+const peak = (values) => values.reduce((max, v) => Math.max(max, v), 0);
+
+// Per-user scores for a subset of events, highest risk first
+export const scoreUsers = (events, scores, config = defaultScoringConfig) => {
+  const byUser = {};
+  events.forEach(event => {
+    const result = scores.get(event);
+    if (!event.user || !result) return;
+    if (!byUser[event.user]) byUser[event.user] = { user: event.user, scores: [], reasons: {} };
+    byUser[event.user].scores.push(result.score);
+    result.reasons.forEach(reason => {
+      byUser[event.user].reasons[reason.rule] = (byUser[event.user].reasons[reason.rule] || 0) + reason.points;
+    });
+  });
+
+  return Object.values(byUser).map(entry => {
+    const averageScore = average(entry.scores);
+    const maxScore = peak(entry.scores);
+    const score = Math.round((averageScore + maxScore) / 2);
+    const topRule = Object.entries(entry.reasons).sort((a, b) => b[1] - a[1])[0];
+    return {
+      user: entry.user,
+      eventCount: entry.scores.length,
+      averageScore: Math.round(averageScore),
+      maxScore,
+      score,
+      band: getRiskBand(score, config),
+      highRiskEvents: entry.scores.filter(s => s >= config.bands.high).length,
+      topRule: topRule ? topRule[0] : null
+    };
+  }).sort((a, b) => b.score - a.score || a.user.localeCompare(b.user));
+};
+
+// Event counts per score bucket (0–9, 10–19, …, 90–100)
+export const scoreDistribution = (events, scores, bucketSize = 10, config = defaultScoringConfig) => {
+  const bucketCount = Math.ceil(100 / bucketSize);
+  const buckets = Array.from({ length: bucketCount }, (_, index) => {
+    const from = index * bucketSize;
+    return { from, to: Math.min(100, from + bucketSize - 1), count: 0, band: getRiskBand(from, config) };
+  });
+  buckets[bucketCount - 1].to = 100;
+
+  events.forEach(event => {
+    const result = scores.get(event);
+    if (!result) return;
+    buckets[Math.min(bucketCount - 1, Math.floor(result.score / bucketSize))].count++;
+  });
+  return buckets;
+};
+
+// Average and peak event score per period of the selected granularity
+export const scoreTrend = (events, scores, granularity) => {
+  const byPeriod = {};
+  events.forEach(event => {
+    const result = scores.get(event);
+    const key = result ? getPeriodKey(event, granularity) : null;
+    if (!key) return;
+    if (!byPeriod[key]) byPeriod[key] = [];
+    byPeriod[key].push(result.score);
+  });
+
+  return getPeriods(events, granularity).map(period => {
+    const periodScores = byPeriod[period.key] || [];
+    return {
+      period: period.key,
+      periodLabel: period.label,
+      count: periodScores.length,
+      averageScore: periodScores.length > 0 ? Math.round(average(periodScores)) : null,
+      maxScore: periodScores.length > 0 ? peak(periodScores) : null
+    };
+  });
+};
+
+// Compares the last two periods that have events. Falling risk counts as improving.
+export const describeTrend = (trend) => {
+  const scored = trend.filter(point => point.averageScore !== null);
+  if (scored.length < 2) return { direction: 'stable', change: 0 };
+  const change = scored[scored.length - 1].averageScore - scored[scored.length - 2].averageScore;
+  return { direction: change < 0 ? 'improving' : change > 0 ? 'declining' : 'stable', change };
+};
+
+const toNumber = (value, fallback) => (Number.isFinite(Number(value)) && value !== '' ? Number(value) : fallback);
+
+const sanitizeConfig = (stored) => {
+  const defaults = defaultScoringConfig;
+  if (!stored || typeof stored !== 'object') return defaults;
+
+  const numbersFrom = (source, fallback) => Object.keys(fallback).reduce((acc, key) => ({
+    ...acc,
+    [key]: toNumber(source && source[key], fallback[key])
+  }), {});
+
+  const activityTypeWeights = {};
+  Object.entries(stored.activityTypeWeights && typeof stored.activityTypeWeights === 'object'
+    ? stored.activityTypeWeights
+    : defaults.activityTypeWeights
+  ).forEach(([type, weight]) => {
+    if (Number.isFinite(Number(weight))) activityTypeWeights[type] = Number(weight);
+  });
+
+  return {
+    statusWeights: numbersFrom(stored.statusWeights, defaults.statusWeights),
+    activityTypeWeights,
+    frequency: numbersFrom(stored.frequency, defaults.frequency),
+    deviceNovelty: numbersFrom(stored.deviceNovelty, defaults.deviceNovelty),
+    timeOfDay: numbersFrom(stored.timeOfDay, defaults.timeOfDay),
+    bands: numbersFrom(stored.bands, defaults.bands)
+  };
+};
+
+export const useScoringConfig = () => {
+  const [config, updateStored, resetConfig] = usePersistentState(storageKey, sanitizeConfig);
+
+  // `section` is a top-level config key; `patch` is merged into it
+  const updateConfig = useCallback((section, patch) => {
+    updateStored(prev => sanitizeConfig({ ...prev, [section]: { ...prev[section], ...patch } }));
+  }, [updateStored]);
+
+  return { config, updateConfig, resetConfig };
+};
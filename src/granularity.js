@@ -0,0 +1,124 @@
+import {
+  format,
+  parse,
+  startOfHour,
+  startOfDay,
+  startOfWeek,
+  startOfMonth,
+  startOfYear,
+  endOfHour,
+  endOfDay,
+  endOfWeek,
+  endOfMonth,
+  endOfYear,
+  eachWeekOfInterval
+} from 'date-fns';
+import { getEventTime, getEventBounds } from './timeRange';
+
+// Single vocabulary for every granularity selector (toolbar, settings popover, preview, tabs)
+export const granularityOptions = [
+  { id: 'hourly', label: 'Hour', short: 'H' },
+  { id: 'daily', label: 'Day', short: 'D' },
+  { id: 'weekly', label: 'Week', short: 'W' },
+  { id: 'monthly', label: 'Month', short: 'M' },
+  { id: 'yearly', label: 'Year', short: 'Y' }
+];
+
+// `primary` / `secondary` are the axis tick formats: the period itself, and the larger period
+// it belongs to (shown where it changes, see getPeriodTicks)
+const periodConfig = {
+  hourly: { start: startOfHour, end: endOfHour, key: "yyyy-MM-dd'T'HH", label: 'MMM dd HH:00', primary: 'HH:00', secondary: 'MMM dd' },
+  daily: { start: startOfDay, end: endOfDay, key: 'yyyy-MM-dd', label: 'MMM dd', primary: 'dd', secondary: 'MMM yyyy' },
+  weekly: { start: startOfWeek, end: endOfWeek, key: 'yyyy-MM-dd', label: 'MMM dd', primary: 'MMM dd', secondary: 'yyyy' },
+  monthly: { start: startOfMonth, end: endOfMonth, key: 'yyyy-MM', label: 'MMM yyyy', primary: 'MMM', secondary: 'yyyy' },
+  yearly: { start: startOfYear, end: endOfYear, key: 'yyyy', label: 'yyyy', primary: 'yyyy', secondary: null }
+};
+
+// Older links and selectors used the short names ('hour', 'day', ...)
+const legacyGranularities = { hour: 'hourly', day: 'daily', week: 'weekly', month: 'monthly', year: 'yearly' };
+
+export const normalizeGranularity = (value) => {
+  const granularity = legacyGranularities[value] || value;
+  return periodConfig[granularity] ? granularity : 'weekly';
+};
+
+const getConfig = (granularity) => periodConfig[normalizeGranularity(granularity)];
+
+export const getPeriodKey = (event, granularity) => {
+  const time = getEventTime(event);
+  if (!time) return null;
+  const config = getConfig(granularity);
+  return format(config.start(time), config.key);
+};
+
+// Keys only ever take the forms above, so they are read directly: parse() is slow enough to
+// dominate building the thousands of periods of an hourly axis. Anything else goes to parse().
+const periodKeyPattern = /^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:T(\d{2}))?)?)?$/;
+
+export const parsePeriodKey = (key, granularity) => {
+  const match = periodKeyPattern.exec(key);
+  const year = match ? Number(match[1]) : 0;
+  const month = match && match[2] ? Number(match[2]) - 1 : 0;
+  const day = match && match[3] ? Number(match[3]) : 1;
+  const hour = match && match[4] ? Number(match[4]) : 0;
+  if (!match || year < 100 || month > 11 || day < 1 || day > new Date(year, month + 1, 0).getDate() || hour > 23) {
+    return parse(key, getConfig(granularity).key, new Date());
+  }
+  return new Date(year, month, day, hour);
+};
+
+const toPeriod = (start, granularity) => {
+  const config = getConfig(granularity);
+  return {
+    key: format(start, config.key),
+    start,
+    label: format(start, config.label),
+    primaryLabel: format(start, config.primary),
+    secondaryLabel: config.secondary ? format(start, config.secondary) : null
+  };
+};
+
+// Last instant covered by a period, e.g. Sunday 23:59:59.999 for a weekly key
+export const getPeriodEnd = (key, granularity) => getConfig(granularity).end(parsePeriodKey(key, granularity));
+
+export const formatPeriodLabel = (key, granularity) => format(parsePeriodKey(key, granularity), getConfig(granularity).label);
+
+// Key of the period just before `key`, e.g. the previous week for a weekly key
+export const getPreviousPeriodKey = (key, granularity) => {
+  const config = getConfig(granularity);
+  return format(config.start(new Date(parsePeriodKey(key, granularity).getTime() - 1)), config.key);
+};
+
+// Ordered x-axis periods from the period keys that have events and the event time bounds.
+// Weeks are continuous so gaps stay visible, every other granularity only lists `keys`.
+export const buildPeriods = (keys, { min, max }, granularity) => {
+  if (normalizeGranularity(granularity) === 'weekly') {
+    if (!min) return [];
+    return eachWeekOfInterval({ start: min, end: max }).map(week => toPeriod(week, 'weekly'));
+  }
+  return Array.from(keys).sort().map(key => toPeriod(parsePeriodKey(key, granularity), granularity));
+};
+
+export const getPeriods = (data, granularity) => {
+  if (normalizeGranularity(granularity) === 'weekly') {
+    return buildPeriods([], getEventBounds(data), 'weekly');
+  }
+
+  const keys = new Set();
+  data.forEach(event => {
+    const key = getPeriodKey(event, granularity);
+    if (key) keys.add(key);
+  });
+  return buildPeriods(keys, {}, granularity);
+};
+
+// Axis ticks for every `step`-th period. The secondary label is only kept where it differs
+// from the previous tick's, so it marks day / month / year boundaries instead of repeating.
+export const getPeriodTicks = (periods, step = 1) => {
+  let previousSecondary = null;
+  return periods.filter((period, index) => index % step === 0).map(period => {
+    const secondary = period.secondaryLabel !== previousSecondary ? period.secondaryLabel : null;
+    previousSecondary = period.secondaryLabel;
+    return { key: period.key, primary: period.primaryLabel, secondary };
+  });
+};
@@ -0,0 +1,106 @@
+import { useRef, useState, useMemo } from 'react';
+
+// Keyboard access to heatmap cells, shared by the SVG cells and the canvas renderer. The cells
+// take focus as one element; the arrow keys then move a focused cell across rows and columns,
+// Home / End jump to the first / last period, Enter or Space opens the cell and Escape hides
+// its tooltip. A click also focuses the element but only keyboard use shows the focused cell.
+
+export const describeCell = (cell) => (cell.status
+  ? `${cell.activityType}, ${cell.periodLabel}: ${cell.count} events, ${cell.status}`
+  : `${cell.activityType}, ${cell.periodLabel}: no events`);
+
+// `rows` are the activity types and `columns` the period keys, in display order. Returns the
+// cells by `${activityType}|${period}`, the focused cell (null unless focused from the
+// keyboard) and the props for the focusable element.
+export const useHeatmapFocus = ({ cells, rows, columns, onCellFocus, onCellLeave, onCellClick }) => {
+  // Focus as row / column indices, so it survives a redraw with new data
+  const [focus, setFocus] = useState(null);
+  const [focused, setFocused] = useState(false);
+  const pointerFocusRef = useRef(false);
+
+  const cellsByKey = useMemo(
+    () => new Map(cells.map(cell => [`${cell.activityType}|${cell.period}`, cell])),
+    [cells]
+  );
+  const cellAt = (row, column) => cellsByKey.get(`${rows[row]}|${columns[column]}`) || null;
+
+  const moveFocus = (row, column) => {
+    const next = {
+      row: Math.max(0, Math.min(rows.length - 1, row)),
+      column: Math.max(0, Math.min(columns.length - 1, column))
+    };
+    setFocus(next);
+    const cell = cellAt(next.row, next.column);
+    if (cell && cell.status) onCellFocus(cell);
+    else onCellLeave();
+  };
+
+  const startKeyboardFocus = () => {
+    setFocused(true);
+    if (rows.length === 0 || columns.length === 0) return;
+    // Start on the remembered cell, else on the first cell with events
+    if (focus && focus.row < rows.length && focus.column < columns.length) {
+      moveFocus(focus.row, focus.column);
+      return;
+    }
+    const first = cells.find(cell => cell.status);
+    moveFocus(first ? rows.indexOf(first.activityType) : 0, first ? columns.indexOf(first.period) : 0);
+  };
+
+  const onFocus = () => {
+    if (pointerFocusRef.current) {
+      pointerFocusRef.current = false;
+      return;
+    }
+    startKeyboardFocus();
+  };
+
+  const onBlur = () => {
+    pointerFocusRef.current = false;
+    setFocused(false);
+    onCellLeave();
+  };
+
+  const onKeyDown = (event) => {
+    const moves = {
+      ArrowLeft: [0, -1],
+      ArrowRight: [0, 1],
+      ArrowUp: [-1, 0],
+      ArrowDown: [1, 0],
+      Home: [0, -columns.length],
+      End: [0, columns.length]
+    };
+    if (!focused || !focus) {
+      if (moves[event.key] || event.key === 'Enter') {
+        event.preventDefault();
+        startKeyboardFocus();
+      }
+      return;
+    }
+    if (moves[event.key]) {
+      event.preventDefault();
+      moveFocus(focus.row + moves[event.key][0], focus.column + moves[event.key][1]);
+    } else if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      const cell = cellAt(focus.row, focus.column);
+      if (cell && cell.status) onCellClick(event, cell);
+    } else if (event.key === 'Escape') {
+      onCellLeave();
+    }
+  };
+
+  return {
+    cellsByKey,
+    focusedCell: focused && focus ? cellAt(focus.row, focus.column) : null,
+    focusProps: {
+      tabIndex: 0,
+      'aria-label': `Activity heatmap, ${rows.length} activity types by ${columns.length} periods. Use the arrow keys to move between cells and Enter to open one.`,
+      onMouseDown: () => {
+        pointerFocusRef.current = true;
+      },
+      onFocus,
+      onBlur,
+      onKeyDown
+    }
+  };
+};
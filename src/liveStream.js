@@ -0,0 +1,136 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { validateEvents } from './eventSchema';
+import { extendEvents } from './eventLineage';
+
+// Live mode: a WebSocket or Server-Sent Events feed whose events are appended as they arrive.
+// A message carries one JSON event, an array of events or an `{ events | data | items }`
+// envelope. `npm run mock-stream` serves a local SSE feed to try it against.
+
+export const defaultStreamUrl = 'http://localhost:8787/events';
+
+// Oldest events in the live charts are dropped past this, a fifth at a time so their
+// aggregation only has to rebuild now and then. Events waiting for the dashboard are never
+// dropped.
+export const maxStreamEvents = 10000;
+
+const toRecords = (payload) => {
+  if (Array.isArray(payload)) return payload;
+  if (payload && typeof payload === 'object') {
+    const records = payload.events || payload.data || payload.items;
+    return Array.isArray(records) ? records : [payload];
+  }
+  return [];
+};
+
+// Below the cap the list is extended (see eventLineage.js), so the live charts fold the new
+// events into their aggregation
+const appendCapped = (events, added) => {
+  const next = extendEvents(events, added);
+  return next.length > maxStreamEvents ? next.slice(next.length - Math.floor(maxStreamEvents * 0.8)) : next;
+};
+
+// Opens the feed, reporting parsed records and connection status ('connecting' | 'live' |
+// 'error'). ws:// and wss:// URLs use a WebSocket, anything else an EventSource.
+// Returns a function that closes the connection.
+export const openStream = (url, { onRecords, onStatus }) => {
+  const handleMessage = (data) => {
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (error) {
+      return; // Keep-alives and other non-JSON messages aren't events
+    }
+    const records = toRecords(payload);
+    if (records.length > 0) onRecords(records);
+  };
+
+  if (/^wss?:\/\//i.test(url)) {
+    const socket = new WebSocket(url);
+    socket.onopen = () => onStatus('live');
+    socket.onmessage = (message) => handleMessage(message.data);
+    socket.onclose = (event) => onStatus(event.wasClean ? 'idle' : 'error');
+    return () => {
+      socket.onclose = null;
+      socket.close();
+    };
+  }
+
+  const source = new EventSource(url);
+  source.onopen = () => onStatus('live');
+  source.onmessage = (message) => handleMessage(message.data);
+  // EventSource retries by itself and only gives up once it reports CLOSED
+  source.onerror = () => onStatus(source.readyState === EventSource.CLOSED ? 'error' : 'connecting');
+  return () => source.close();
+};
+
+const emptyStream = () => ({
+  events: [], // shown in the live charts
+  pending: [], // received while paused
+  unsyncedCount: 0, // received since the dashboard last took them in
+  rejected: 0,
+  syncedAt: new Date()
+});
+
+// Connection, pause/resume and the "new since" backlog for the live panel
+export const useLiveStream = () => {
+  const [url, setUrl] = useState(null);
+  const [status, setStatus] = useState('idle');
+  const [paused, setPaused] = useState(false);
+  const [stream, setStream] = useState(emptyStream);
+  const pausedRef = useRef(paused);
+  pausedRef.current = paused;
+  // Events for the dashboard are kept outside the render state, so takeUnsynced can hand them
+  // over and start a new batch in one step, whatever arrived since the last render
+  const unsyncedRef = useRef([]);
+
+  useEffect(() => {
+    if (!url) return undefined;
+
+    setStatus('connecting');
+    const close = openStream(url, {
+      onStatus: setStatus,
+      onRecords: (records) => {
+        const { events, rejected } = validateEvents(records);
+        unsyncedRef.current = unsyncedRef.current.concat(events);
+        setStream(prev => ({
+          ...prev,
+          events: pausedRef.current ? prev.events : appendCapped(prev.events, events),
+          pending: pausedRef.current ? appendCapped(prev.pending, events) : prev.pending,
+          unsyncedCount: prev.unsyncedCount + events.length,
+          rejected: prev.rejected + rejected
+        }));
+      }
+    });
+
+    return () => {
+      close();
+      setStatus('idle');
+    };
+  }, [url]);
+
+  const connect = useCallback((nextUrl) => {
+    unsyncedRef.current = [];
+    setStream(emptyStream());
+    setPaused(false);
+    setUrl(nextUrl);
+  }, []);
+
+  const disconnect = useCallback(() => setUrl(null), []);
+
+  const pause = useCallback(() => setPaused(true), []);
+
+  const resume = useCallback(() => {
+    setPaused(false);
+    setStream(prev => ({ ...prev, events: appendCapped(prev.events, prev.pending), pending: [] }));
+  }, []);
+
+  // Hands over everything received since the last call and restarts the "new since" count
+  const takeUnsynced = useCallback(() => {
+    const events = unsyncedRef.current;
+    unsyncedRef.current = [];
+    setStream(prev => ({ ...prev, unsyncedCount: prev.unsyncedCount - events.length, syncedAt: new Date() }));
+    return events;
+  }, []);
+
+  return { url, status, paused, ...stream, connect, disconnect, pause, resume, takeUnsynced };
+};
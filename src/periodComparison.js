@@ -0,0 +1,51 @@
+import { getEventTime } from './timeRange';
+import { getPeriodKey } from './granularity';
+
+// Headline numbers for the stat cards, and their change against the previous equivalent
+// time window (see getPreviousWindow in timeRange.js).
+
+export const computeStatistics = (events) => {
+  const devices = new Set(events.map(d => d.device).filter(Boolean)).size;
+  const users = new Set(events.map(d => d.user).filter(Boolean)).size;
+  const totalEvents = events.length;
+  const successEvents = events.filter(d => d.status === 'success').length;
+  const failedEvents = events.filter(d => d.status === 'fail').length;
+  const warningEvents = events.filter(d => d.status === 'warning').length;
+
+  return {
+    devices,
+    users,
+    totalEvents,
+    successEvents,
+    failedEvents,
+    warningEvents,
+    successRate: totalEvents > 0 ? ((successEvents / totalEvents) * 100).toFixed(1) : 0
+  };
+};
+
+// Change of every statistic. Percent change is null when the previous value was 0, since
+// any change from nothing is unbounded; the success rate delta is in percentage points.
+export const compareStatistics = (current, previous) => Object.keys(current).reduce((acc, key) => {
+  const value = Number(current[key]);
+  const previousValue = Number(previous[key]);
+  const delta = value - previousValue;
+  acc[key] = {
+    previous: previous[key],
+    delta,
+    percent: previousValue !== 0 ? (delta / previousValue) * 100 : null
+  };
+  return acc;
+}, {});
+
+// Event count per period of the previous window, shifted forward by `offset` ms so each
+// prior period lands on the key of the current period it compares with
+export const shiftedPeriodTotals = (events, offset, granularity) => {
+  const totals = {};
+  events.forEach(event => {
+    const time = getEventTime(event);
+    if (!time) return;
+    const key = getPeriodKey({ timestamp: new Date(time.getTime() + offset).toISOString() }, granularity);
+    totals[key] = (totals[key] || 0) + 1;
+  });
+  return totals;
+};
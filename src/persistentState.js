@@ -0,0 +1,41 @@
+import { useState, useCallback } from 'react';
+
+// State kept in localStorage under `storageKey`. Whatever is stored goes through `sanitize`
+// on load, and `sanitize(null)` gives the initial state when nothing usable is stored, so it
+// should fill in defaults and drop anything an older version or a hand edit left behind.
+// Returns [state, update, reset]: `update(prev => next)` sets and stores the next state,
+// `reset()` clears the stored copy and goes back to `sanitize(null)`.
+export const usePersistentState = (storageKey, sanitize) => {
+  const [state, setState] = useState(() => {
+    try {
+      const stored = window.localStorage.getItem(storageKey);
+      return sanitize(stored ? JSON.parse(stored) : null);
+    } catch (error) {
+      return sanitize(null);
+    }
+  });
+
+  const update = useCallback((updater) => {
+    setState(prev => {
+      const next = updater(prev);
+      try {
+        window.localStorage.setItem(storageKey, JSON.stringify(next));
+      } catch (error) {
+        // Storage can be disabled (private mode) or over its quota; the state still applies
+        // for this session
+      }
+      return next;
+    });
+  }, [storageKey]);
+
+  const reset = useCallback(() => {
+    try {
+      window.localStorage.removeItem(storageKey);
+    } catch (error) {
+      // Nothing stored to clear
+    }
+    setState(sanitize(null));
+  }, [storageKey, sanitize]);
+
+  return [state, update, reset];
+};
@@ -0,0 +1,287 @@
+import { useCallback } from 'react';
+import { parseCsv } from './dataSources';
+import { usePersistentState } from './persistentState';
+
+// Screens events against locally loaded sanctions / watch lists. A list entry can carry a
+// user ID, a device ID and a name with aliases; IDs must match exactly (ignoring case),
+// names match fuzzily against the event's user, counterparty and the name-like fields of its metadata.
+// Lists are kept in localStorage and never leave the browser.
+
+const storageKey = 'activity-dashboard.watch-lists';
+
+const defaultMatchThreshold = 0.85;
+
+export const matchTypes = {
+  userId: 'User ID',
+  deviceId: 'Device ID',
+  name: 'Name'
+};
+
+// Metadata keys that hold a person or account name
+const metadataNameFields = ['name', 'fullName', 'displayName', 'userName', 'accountName', 'customerName'];
+
+const listColors = ['#dc2626', '#7c3aed', '#0891b2', '#ca8a04', '#db2777', '#4b5563'];
+export const listColor = (index) => listColors[index % listColors.length];
+
+// Column / property names accepted in uploaded lists, compared ignoring case, spaces and
+// punctuation so "User ID", "user_id" and "userId" all work
+const fieldAliases = {
+  userId: ['userid', 'user'],
+  deviceId: ['deviceid', 'device'],
+  name: ['name', 'fullname', 'entityname'],
+  aliases: ['aliases', 'alias', 'aka'],
+  source: ['list', 'listname', 'source', 'program'],
+  reason: ['reason', 'remarks', 'notes']
+};
+
+const pickField = (record, field) => {
+  const key = Object.keys(record).find(k => fieldAliases[field].includes(k.toLowerCase().replace(/[^a-z0-9]/g, '')));
+  const value = key ? record[key] : undefined;
+  if (Array.isArray(value)) return value;
+  return value === undefined || value === null || String(value).trim() === '' ? undefined : String(value).trim();
+};
+
+const toAliases = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : value.split(/[;|]/);
+  return list.map(alias => String(alias).trim()).filter(Boolean);
+};
+
+// Accepts a bare array or a `{ entries | data | items: [...] }` envelope, like the event loader
+const extractEntries = (payload) => {
+  if (Array.isArray(payload)) return payload;
+  if (payload && typeof payload === 'object') {
+    const entries = payload.entries || payload.data || payload.items;
+    if (Array.isArray(entries)) return entries;
+  }
+  throw new Error('Expected an array of watch-list entries');
+};
+
+const toText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+// Entries are checked field by field, whether parsed from a file or read back from storage,
+// so screening can rely on the ids and names being strings and the aliases an array of them
+const sanitizeEntry = (entry, index) => ({
+  id: typeof entry.id === 'string' ? entry.id : `${index}`,
+  userId: toText(entry.userId),
+  deviceId: toText(entry.deviceId),
+  name: toText(entry.name),
+  aliases: Array.isArray(entry.aliases) ? entry.aliases.map(toText).filter(Boolean) : [],
+  source: toText(entry.source),
+  reason: toText(entry.reason)
+});
+
+const hasMatchField = (entry) => entry.userId || entry.deviceId || entry.name || entry.aliases.length > 0;
+
+// Returns the usable entries of an uploaded CSV or JSON list. Rows without a user ID,
+// device ID or name are dropped.
+export const parseWatchList = (text, fileName) => {
+  let records;
+  if (/\.csv$/i.test(fileName)) {
+    records = parseCsv(text);
+  } else {
+    try {
+      records = extractEntries(JSON.parse(text));
+    } catch (error) {
+      throw new Error(`Could not read ${fileName}: ${error.message}`);
+    }
+  }
+
+  const entries = records
+    .filter(record => record && typeof record === 'object')
+    .map((record, index) => sanitizeEntry({
+      userId: pickField(record, 'userId'),
+      deviceId: pickField(record, 'deviceId'),
+      name: pickField(record, 'name'),
+      aliases: toAliases(pickField(record, 'aliases')),
+      source: pickField(record, 'source'),
+      reason: pickField(record, 'reason')
+    }, index))
+    .filter(hasMatchField);
+
+  if (entries.length === 0) {
+    throw new Error(`${fileName} has no entries with a user ID, device ID or name`);
+  }
+  return entries;
+};
+
+// Lowercase, strip accents and punctuation, and sort the tokens so "Smith, John" == "john smith"
+const normalizeName = (value) => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+  .split(' ')
+  .filter(Boolean)
+  .sort()
+  .join(' ');
+
+// Jaro-Winkler similarity in [0, 1]
+const nameSimilarity = (a, b) => {
+  if (a === b) return a ? 1 : 0;
+  if (!a || !b) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(b.length - 1, i + window);
+    for (let j = from; j <= to; j++) {
+      if (!bMatched[j] && a[i] === b[j]) {
+        aMatched[i] = true;
+        bMatched[j] = true;
+        matches++;
+        break;
+      }
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// The event values a list entry is compared against, as [field, value] pairs
+const eventNameCandidates = (event) => {
+  const candidates = event.user ? [['user', event.user]] : [];
+  if (event.counterparty) candidates.push(['counterparty', event.counterparty]);
+  if (event.metadata) {
+    metadataNameFields.forEach(key => {
+      if (typeof event.metadata[key] === 'string' && event.metadata[key].trim()) {
+        candidates.push([`metadata.${key}`, event.metadata[key]]);
+      }
+    });
+  }
+  return candidates;
+};
+
+// Returns { hits, byEvent: Map<event, hits[]> }, each hit being
+// { event, list, entry, matchType, field, eventValue, listValue, score }, best match first.
+export const screenEvents = (events, lists, threshold = defaultMatchThreshold) => {
+  const userIds = new Map();
+  const deviceIds = new Map();
+  const names = [];
+
+  lists.forEach(list => list.entries.forEach(entry => {
+    const ref = { list, entry };
+    const addId = (index, value) => {
+      const key = value.toLowerCase();
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(ref);
+    };
+    if (entry.userId) addId(userIds, entry.userId);
+    if (entry.deviceId) addId(deviceIds, entry.deviceId);
+    [entry.name, ...entry.aliases].filter(Boolean).forEach(name => {
+      names.push({ ...ref, listValue: name, normalized: normalizeName(name) });
+    });
+  }));
+
+  // Events repeat the same users and names, so each distinct value is compared once
+  const nameMatches = new Map();
+  const matchName = (value) => {
+    const normalized = normalizeName(value);
+    if (!nameMatches.has(normalized)) {
+      const best = new Map();
+      names.forEach(candidate => {
+        const score = nameSimilarity(normalized, candidate.normalized);
+        const previous = best.get(candidate.entry);
+        if (score >= threshold && (!previous || score > previous.score)) {
+          best.set(candidate.entry, { ...candidate, score });
+        }
+      });
+      nameMatches.set(normalized, Array.from(best.values()));
+    }
+    return nameMatches.get(normalized);
+  };
+
+  const hits = [];
+  const byEvent = new Map();
+
+  events.forEach(event => {
+    const eventHits = new Map();
+    const addHit = (hit) => {
+      const previous = eventHits.get(hit.entry);
+      if (!previous || hit.score > previous.score) eventHits.set(hit.entry, { event, ...hit });
+    };
+
+    if (event.user) {
+      (userIds.get(event.user.toLowerCase()) || []).forEach(({ list, entry }) => addHit({
+        list, entry, matchType: 'userId', field: 'user', eventValue: event.user, listValue: entry.userId, score: 1
+      }));
+    }
+    if (event.device) {
+      (deviceIds.get(event.device.toLowerCase()) || []).forEach(({ list, entry }) => addHit({
+        list, entry, matchType: 'deviceId', field: 'device', eventValue: event.device, listValue: entry.deviceId, score: 1
+      }));
+    }
+    if (names.length > 0) {
+      eventNameCandidates(event).forEach(([field, value]) => {
+        matchName(value).forEach(match => addHit({
+          list: match.list, entry: match.entry, matchType: 'name', field, eventValue: value, listValue: match.listValue, score: match.score
+        }));
+      });
+    }
+
+    if (eventHits.size > 0) {
+      const sorted = Array.from(eventHits.values()).sort((a, b) => b.score - a.score);
+      byEvent.set(event, sorted);
+      hits.push(...sorted);
+    }
+  });
+
+  return { hits, byEvent };
+};
+
+const sanitizeList = (list) => ({
+  id: String(list.id),
+  name: typeof list.name === 'string' ? list.name : 'Watch list',
+  loadedAt: typeof list.loadedAt === 'string' && !Number.isNaN(new Date(list.loadedAt).getTime()) ? list.loadedAt : new Date().toISOString(),
+  entries: list.entries.filter(entry => entry && typeof entry === 'object').map(sanitizeEntry).filter(hasMatchField)
+});
+
+const sanitizeState = (stored) => ({
+  lists: stored && Array.isArray(stored.lists)
+    ? stored.lists.filter(list => list && list.id && Array.isArray(list.entries)).map(sanitizeList)
+    : [],
+  threshold: stored && stored.threshold > 0 && stored.threshold <= 1 ? stored.threshold : defaultMatchThreshold
+});
+
+export const useWatchLists = () => {
+  const [state, updateState] = usePersistentState(storageKey, sanitizeState);
+
+  // Loading a file with the same name replaces the earlier copy
+  const addList = useCallback((name, entries) => {
+    updateState(prev => ({
+      ...prev,
+      lists: [
+        ...prev.lists.filter(list => list.name !== name),
+        { id: `${Date.now()}`, name, loadedAt: new Date().toISOString(), entries }
+      ]
+    }));
+  }, [updateState]);
+
+  const removeList = useCallback((id) => {
+    updateState(prev => ({ ...prev, lists: prev.lists.filter(list => list.id !== id) }));
+  }, [updateState]);
+
+  const setThreshold = useCallback((threshold) => {
+    updateState(prev => sanitizeState({ ...prev, threshold }));
+  }, [updateState]);
+
+  return { lists: state.lists, threshold: state.threshold, addList, removeList, setThreshold };
+};
@@ -0,0 +1,121 @@
+import { useCallback } from 'react';
+import { downloadBlob, exportFileName } from './chartExport';
+import { defaultViewState } from './urlState';
+import { usePersistentState } from './persistentState';
+
+// Named filter presets kept in localStorage. A view stores the filter chips (as produced by
+// getActiveFilters) and the chart settings, so applying one reproduces the same chart.
+
+const storageKey = 'activity-dashboard.saved-views';
+const fileVersion = 1;
+
+export const viewSettingKeys = [
+  'granularity',
+  'timeRange',
+  'timeAnchor',
+  'anchorDate',
+  'customStart',
+  'customEnd',
+  'viewMode',
+  'showGradient',
+  'showAccessibilityPatterns',
+  'showEventCounts',
+  'eventCountThreshold',
+  'showGridLines',
+  'canvasThreshold',
+  'comparePrevious'
+];
+
+const filterTypes = ['activityType', 'status', 'statCard'];
+
+const sanitizeView = (view) => {
+  if (!view || typeof view !== 'object' || typeof view.name !== 'string' || !view.name.trim()) {
+    return null;
+  }
+
+  const filters = Array.isArray(view.filters)
+    ? view.filters
+      .filter(filter => filter && filterTypes.includes(filter.type) && typeof filter.value === 'string')
+      .map(filter => ({ type: filter.type, value: filter.value }))
+    : [];
+
+  const settings = {};
+  viewSettingKeys.forEach(key => {
+    const value = view.settings ? view.settings[key] : undefined;
+    // Numeric settings (the count label and canvas thresholds) are positive integers
+    const validNumber = typeof value !== 'number' || (Number.isInteger(value) && value > 0);
+    if (value !== undefined && typeof value === typeof defaultViewState[key] && validNumber) {
+      settings[key] = value;
+    }
+  });
+
+  return {
+    id: typeof view.id === 'string' ? view.id : `view_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 7)}`,
+    name: view.name.trim(),
+    createdAt: typeof view.createdAt === 'string' ? view.createdAt : new Date().toISOString(),
+    filters,
+    settings
+  };
+};
+
+const sanitizeViews = (stored) => (Array.isArray(stored) ? stored.map(sanitizeView).filter(Boolean) : []);
+
+export const createSavedView = (name, filters, settings) => sanitizeView({ name, filters, settings });
+
+// Turns a saved view back into the view-state shape used by the URL sync
+export const savedViewToState = (view) => {
+  const state = {
+    selectedActivityTypes: [],
+    selectedStatuses: [],
+    selectedStatCard: null
+  };
+
+  view.filters.forEach(filter => {
+    if (filter.type === 'activityType') state.selectedActivityTypes.push(filter.value);
+    else if (filter.type === 'status') state.selectedStatuses.push(filter.value);
+    else if (filter.type === 'statCard') state.selectedStatCard = filter.value;
+  });
+
+  viewSettingKeys.forEach(key => {
+    state[key] = view.settings[key] !== undefined ? view.settings[key] : defaultViewState[key];
+  });
+
+  return state;
+};
+
+export const exportSavedViews = (views) => {
+  const payload = JSON.stringify({ version: fileVersion, views }, null, 2);
+  downloadBlob(new Blob([payload], { type: 'application/json' }), exportFileName('saved views', 'json'));
+};
+
+export const parseSavedViewsFile = (text) => {
+  const payload = JSON.parse(text);
+  const views = Array.isArray(payload) ? payload : payload && payload.views;
+  if (!Array.isArray(views)) {
+    throw new Error('File does not contain saved views');
+  }
+  // Fresh ids so imported views never collide with local ones
+  return views.map(view => sanitizeView({ ...view, id: undefined })).filter(Boolean);
+};
+
+export const useSavedViews = () => {
+  const [views, updateViews] = usePersistentState(storageKey, sanitizeViews);
+
+  // Saving under an existing name overwrites that view
+  const saveView = useCallback((view) => {
+    updateViews(prev => [...prev.filter(v => v.name !== view.name), view]);
+  }, [updateViews]);
+
+  const deleteView = useCallback((id) => {
+    updateViews(prev => prev.filter(v => v.id !== id));
+  }, [updateViews]);
+
+  const importViews = useCallback((imported) => {
+    updateViews(prev => {
+      const names = new Set(imported.map(v => v.name));
+      return [...prev.filter(v => !names.has(v.name)), ...imported];
+    });
+  }, [updateViews]);
+
+  return { views, saveView, deleteView, importViews };
+};
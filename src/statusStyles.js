@@ -0,0 +1,35 @@
+export const statusColorMap = {
+  success: '#22c55e', // green
+  warning: '#eab308', // yellow
+  fail: '#ef4444'     // red
+};
+
+export const statusIcons = {
+  success: '✅',
+  warning: '⚠️',
+  fail: '❌'
+};
+
+// Heatmap cell fill: the status colour, faded by intensity when the gradient is on
+export const getIntensityColor = (status, intensity, showGradient = true) => {
+  if (!status) return null;
+  const baseColor = statusColorMap[status];
+  if (!showGradient) return baseColor;
+
+  // Convert hex to rgb and apply opacity based on intensity
+  const hex = baseColor.replace('#', '');
+  const r = parseInt(hex.substr(0, 2), 16);
+  const g = parseInt(hex.substr(2, 2), 16);
+  const b = parseInt(hex.substr(4, 2), 16);
+  const alpha = Math.max(0.3, intensity); // Minimum 0.3 opacity
+
+  return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+};
+
+// Accessibility pattern marks, drawn white over the status colour on a 4×4 tile. The SVG
+// heatmap uses them as <pattern> paths, the canvas heatmap as Path2D.
+export const statusPatternMarks = {
+  success: { stroke: 'M 0,4 l 4,-4 M -1,1 l 2,-2 M 3,5 l 2,-2' },
+  warning: { fill: 'M 2.5,2 a 0.5,0.5 0 1,0 -1,0 a 0.5,0.5 0 1,0 1,0' },
+  fail: { stroke: 'M 1,1 l 2,2 M 1,3 l 2,-2' }
+};
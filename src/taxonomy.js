@@ -0,0 +1,92 @@
+import { useCallback } from 'react';
+import { usePersistentState } from './persistentState';
+
+// Which events belong to which dashboard tab. Each tab lists the activity types it covers
+// and, optionally, event tags; an event shows up in a tab when either matches. The mapping
+// is edited from the tab header and kept in localStorage.
+
+export const tabs = [
+  { id: 'overview', label: 'Overview', icon: '🏠' },
+  { id: 'transaction', label: 'Transaction', icon: '💳' },
+  { id: 'association', label: 'Association', icon: '🔗' },
+  { id: 'behaviour', label: 'Behaviour', icon: '👤' },
+  { id: 'fcr', label: 'FCR Score', icon: '📊' },
+  { id: 'sanction', label: 'Sanction', icon: '⚖️' },
+  { id: 'evidence', label: 'Evidence', icon: '📋' }
+];
+
+export const tabIds = tabs.map(tab => tab.id);
+
+const storageKey = 'activity-dashboard.tab-taxonomy';
+
+// Overview always shows every event, so it has no entry here
+const defaultTaxonomy = {
+  transaction: {
+    activityTypes: ['Payment', 'Transfer', 'Purchase', 'Refund', 'Withdrawal'],
+    tags: ['transaction', 'payment']
+  },
+  association: {
+    activityTypes: ['Device Registered', 'Login Success', 'MFA Success'],
+    tags: ['association']
+  },
+  behaviour: {
+    activityTypes: ['Login Success', 'Login Failed', 'Session Timeout', 'API Access', 'Password Reset'],
+    tags: ['behaviour']
+  },
+  fcr: {
+    activityTypes: ['Login Failed', 'Password Reset', 'User Edit', 'Device Registered'],
+    tags: ['risk', 'fcr']
+  },
+  sanction: {
+    activityTypes: ['User Edit', 'Sanction Screening', 'Compliance Check'],
+    tags: ['sanction', 'watchlist', 'compliance']
+  },
+  evidence: {
+    activityTypes: ['MFA Success', 'Password Reset', 'Document Upload', 'Identity Verification'],
+    tags: ['evidence', 'kyc']
+  }
+};
+
+const toStringList = (value) => (Array.isArray(value)
+  ? Array.from(new Set(value.filter(item => typeof item === 'string' && item.trim()).map(item => item.trim())))
+  : []);
+
+const sanitizeTaxonomy = (stored) => {
+  const taxonomy = {};
+  Object.keys(defaultTaxonomy).forEach(tabId => {
+    const entry = stored && stored[tabId];
+    taxonomy[tabId] = entry && typeof entry === 'object'
+      ? { activityTypes: toStringList(entry.activityTypes), tags: toStringList(entry.tags).map(tag => tag.toLowerCase()) }
+      : defaultTaxonomy[tabId];
+  });
+  return taxonomy;
+};
+
+// Activity types compare case-insensitively so "login failed" from a CSV still matches
+const matchesTab = (event, category) => {
+  if (!category) return true;
+  const activityType = event.activityType.toLowerCase();
+  if (category.activityTypes.some(type => type.toLowerCase() === activityType)) return true;
+  return Boolean(event.tags && event.tags.some(tag => category.tags.includes(tag)));
+};
+
+// Predicate for a tab's events, or null for the Overview tab, which shows them all
+export const getTabFilter = (tabId, taxonomy) => {
+  if (tabId === 'overview') return null;
+  const category = taxonomy[tabId];
+  return event => matchesTab(event, category);
+};
+
+export const useTaxonomy = () => {
+  const [taxonomy, updateTaxonomy] = usePersistentState(storageKey, sanitizeTaxonomy);
+
+  const updateCategory = useCallback((tabId, patch) => {
+    updateTaxonomy(prev => sanitizeTaxonomy({ ...prev, [tabId]: { ...prev[tabId], ...patch } }));
+  }, [updateTaxonomy]);
+
+  const resetCategory = useCallback((tabId) => {
+    updateTaxonomy(prev => ({ ...prev, [tabId]: defaultTaxonomy[tabId] }));
+  }, [updateTaxonomy]);
+
+  return { taxonomy, updateCategory, resetCategory };
+};
@@ -0,0 +1,157 @@
+import { parseISO, isValid, subHours, subDays, startOfDay, endOfDay, format } from 'date-fns';
+
+export const timeRangeOptions = [
+  { id: 'last24hours', label: 'Last 24 Hours', hours: 24 },
+  { id: 'last7days', label: 'Last 7 Days', days: 7 },
+  { id: 'last30days', label: 'Last 30 Days', days: 30 },
+  { id: 'last90days', label: 'Last 90 Days', days: 90 },
+  { id: 'all', label: 'All Time' },
+  { id: 'custom', label: 'Custom Range' }
+];
+
+// What "now" means for the relative ranges. Historic feeds rarely end today,
+// so anchoring on the newest event keeps "Last 7 Days" meaningful for them.
+export const timeAnchorOptions = [
+  { id: 'latest', label: 'Latest Event' },
+  { id: 'today', label: 'Today' },
+  { id: 'fixed', label: 'Specific Date' }
+];
+
+// Date-only and date-time strings with an optional fraction and zone, the forms exports use.
+// Parsing these by hand is several times faster than parseISO; anything else, or any field out
+// of range, still goes through parseISO so the result is always the same as parseISO's.
+const isoPattern = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?(Z|([+-])(\d{2}):?(\d{2})?)?)?$/;
+
+const parseWithDateFns = (value) => {
+  const parsed = parseISO(value);
+  return isValid(parsed) ? parsed.getTime() : NaN;
+};
+
+// Milliseconds for an ISO date or date-time string, NaN where parseISO finds no valid date
+export const parseTimeValue = (value) => {
+  const match = isoPattern.exec(value);
+  if (!match) return parseWithDateFns(value);
+
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  const day = Number(match[3]);
+  const hours = Number(match[4] || 0);
+  const minutes = Number(match[5] || 0);
+  const seconds = Number(match[6] || 0);
+  const millis = match[7] ? Math.floor(Number(`0.${match[7]}`) * 1000) : 0;
+  if (year < 100 || month > 11 || day < 1 || day > new Date(Date.UTC(year, month + 1, 0)).getUTCDate() ||
+    hours > 23 || minutes > 59 || seconds > 59) {
+    return parseWithDateFns(value);
+  }
+
+  if (!match[8]) return new Date(year, month, day, hours, minutes, seconds, millis).getTime();
+  const utc = Date.UTC(year, month, day, hours, minutes, seconds, millis);
+  if (match[8] === 'Z') return utc;
+  const offset = Number(match[10]) * 60 + Number(match[11] || 0);
+  return utc - (match[9] === '-' ? -offset : offset) * 60000;
+};
+
+// Parsed event times in ms (NaN without a usable time), by event. Validation fills this in as
+// it checks each record, so bounds, the time window and the aggregation index read a number
+// instead of parsing the same string again.
+const eventTimes = new WeakMap();
+
+export const setEventMs = (event, ms) => {
+  eventTimes.set(event, ms);
+};
+
+// Events carry a date and optionally a full timestamp; prefer the more precise one
+export const getEventMs = (event) => {
+  if (!event) return NaN;
+  let ms = eventTimes.get(event);
+  if (ms === undefined) {
+    ms = parseTimeValue(event.timestamp || event.date || '');
+    eventTimes.set(event, ms);
+  }
+  return ms;
+};
+
+export const getEventTime = (event) => {
+  const ms = getEventMs(event);
+  return Number.isNaN(ms) ? null : new Date(ms);
+};
+
+export const getEventBounds = (events) => {
+  let min = Infinity;
+  let max = -Infinity;
+  events.forEach(event => {
+    const ms = getEventMs(event);
+    if (ms < min) min = ms;
+    if (ms > max) max = ms;
+  });
+  return min <= max ? { min: new Date(min), max: new Date(max) } : { min: null, max: null };
+};
+
+// `bounds` widened to cover `added` events; the same object when they fall inside it
+export const extendEventBounds = (bounds, added) => {
+  const addedBounds = getEventBounds(added);
+  if (!addedBounds.min) return bounds;
+  if (bounds.min && bounds.min <= addedBounds.min && bounds.max >= addedBounds.max) return bounds;
+  return {
+    min: bounds.min && bounds.min <= addedBounds.min ? bounds.min : addedBounds.min,
+    max: bounds.max && bounds.max >= addedBounds.max ? bounds.max : addedBounds.max
+  };
+};
+
+// `latest` is the newest event time (getEventBounds(events).max), or null without events.
+// Every anchor resolves to the end of its day, so "now" only moves when the day does and
+// events streaming in during the day don't shift the window.
+export const resolveReferenceNow = (anchor, fixedDate, latest) => {
+  if (anchor === 'latest' && latest) return endOfDay(latest);
+  if (anchor === 'fixed' && fixedDate) {
+    const parsed = parseISO(fixedDate);
+    if (isValid(parsed)) return endOfDay(parsed);
+  }
+  return endOfDay(new Date());
+};
+
+// Returns { start, end } for the selected range (either bound may be null for an open
+// custom range), or null when nothing should be cut off
+export const resolveTimeWindow = (timeRange, { now, customStart, customEnd }) => {
+  if (timeRange === 'custom') {
+    const start = customStart ? parseISO(customStart) : null;
+    const end = customEnd ? parseISO(customEnd) : null;
+    const timeWindow = {
+      start: start && isValid(start) ? startOfDay(start) : null,
+      end: end && isValid(end) ? endOfDay(end) : null
+    };
+    return timeWindow.start || timeWindow.end ? timeWindow : null;
+  }
+
+  const option = timeRangeOptions.find(o => o.id === timeRange);
+  if (!option || (!option.hours && !option.days)) return null;
+
+  return {
+    start: option.hours ? subHours(now, option.hours) : subDays(now, option.days),
+    end: now
+  };
+};
+
+export const isWithinWindow = (event, timeWindow) => {
+  if (!timeWindow) return true;
+  const ms = getEventMs(event);
+  if (Number.isNaN(ms)) return false;
+  return (!timeWindow.start || ms >= timeWindow.start.getTime()) && (!timeWindow.end || ms <= timeWindow.end.getTime());
+};
+
+export const formatTimeWindow = (timeWindow) => {
+  if (!timeWindow) return 'all time';
+  const fmt = (date) => (date ? format(date, 'MMM dd, yyyy') : '…');
+  return `${fmt(timeWindow.start)} – ${fmt(timeWindow.end)}`;
+};
+
+// The window of the same length that ends where `timeWindow` starts, for period-over-period
+// comparison. Open-ended and all-time windows have no previous equivalent.
+export const getPreviousWindow = (timeWindow) => {
+  if (!timeWindow || !timeWindow.start || !timeWindow.end) return null;
+  const length = timeWindow.end.getTime() - timeWindow.start.getTime();
+  return {
+    start: new Date(timeWindow.start.getTime() - length - 1),
+    end: new Date(timeWindow.start.getTime() - 1)
+  };
+};
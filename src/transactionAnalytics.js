@@ -0,0 +1,134 @@
+import { scaleLinear } from '@visx/scale';
+import { getPeriods, getPeriodKey, formatPeriodLabel } from './granularity';
+import { eventStatuses } from './eventSchema';
+
+// Monetary analytics for the Transaction tab. Only events with an amount count as
+// transactions; amounts are never summed across currencies, so every helper takes the
+// currency to report on. Events without a currency fall under the ISO "no currency" XXX.
+
+const noCurrency = 'XXX';
+
+export const defaultVelocityLimits = {
+  maxTransactions: 5,
+  maxAmount: 10000
+};
+
+export const getTransactions = (events) => events.filter(event => event.amount !== undefined);
+
+const currencyOf = (event) => event.currency || noCurrency;
+
+// Currencies present in the data, most used first
+export const getCurrencies = (transactions) => {
+  const byCurrency = {};
+  transactions.forEach(event => {
+    const currency = currencyOf(event);
+    if (!byCurrency[currency]) byCurrency[currency] = { currency, count: 0, total: 0 };
+    byCurrency[currency].count++;
+    byCurrency[currency].total += event.amount;
+  });
+  return Object.values(byCurrency).sort((a, b) => b.count - a.count || a.currency.localeCompare(b.currency));
+};
+
+export const inCurrency = (transactions, currency) => transactions.filter(event => currencyOf(event) === currency);
+
+export const summarizeTransactions = (transactions) => {
+  const total = transactions.reduce((sum, event) => sum + event.amount, 0);
+  return {
+    count: transactions.length,
+    total,
+    average: transactions.length > 0 ? total / transactions.length : 0,
+    largest: transactions.reduce((max, event) => Math.max(max, event.amount), 0),
+    counterparties: new Set(transactions.map(event => event.counterparty).filter(Boolean)).size
+  };
+};
+
+const emptyVolume = () => ({ count: 0, total: 0, events: [], ...eventStatuses.reduce((acc, status) => ({ ...acc, [status]: 0 }), {}) });
+
+// Summed amount per granularity period, split by status like the BarGraph
+export const volumeByPeriod = (transactions, granularity) => {
+  const byPeriod = {};
+  transactions.forEach(event => {
+    const key = getPeriodKey(event, granularity);
+    if (!key) return;
+    if (!byPeriod[key]) byPeriod[key] = emptyVolume();
+    byPeriod[key].count++;
+    byPeriod[key].total += event.amount;
+    byPeriod[key][event.status] += event.amount;
+    byPeriod[key].events.push(event);
+  });
+
+  return getPeriods(transactions, granularity).map(period => ({
+    period: period.key,
+    periodLabel: period.label,
+    ...(byPeriod[period.key] || emptyVolume())
+  }));
+};
+
+// Equal-width amount bins over nice bounds
+export const amountHistogram = (transactions, binCount = 10) => {
+  if (transactions.length === 0) return [];
+  const lowest = transactions.reduce((min, event) => Math.min(min, event.amount), 0);
+  const highest = transactions.reduce((max, event) => Math.max(max, event.amount), -Infinity);
+  const scale = scaleLinear({ domain: [lowest, highest], nice: binCount });
+  const [min, max] = scale.domain();
+  const width = (max - min) / binCount || 1;
+
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    from: min + index * width,
+    to: min + (index + 1) * width,
+    count: 0,
+    events: []
+  }));
+  transactions.forEach(event => {
+    const bin = bins[Math.min(binCount - 1, Math.floor((event.amount - min) / width))];
+    bin.count++;
+    bin.events.push(event);
+  });
+  return bins;
+};
+
+export const topCounterparties = (transactions, limit = 10) => {
+  const byCounterparty = {};
+  transactions.forEach(event => {
+    if (!event.counterparty) return;
+    if (!byCounterparty[event.counterparty]) {
+      byCounterparty[event.counterparty] = { counterparty: event.counterparty, count: 0, total: 0, failCount: 0, users: new Set(), events: [] };
+    }
+    const entry = byCounterparty[event.counterparty];
+    entry.count++;
+    entry.total += event.amount;
+    if (event.status === 'fail') entry.failCount++;
+    if (event.user) entry.users.add(event.user);
+    entry.events.push(event);
+  });
+  return Object.values(byCounterparty)
+    .sort((a, b) => b.total - a.total || b.count - a.count)
+    .slice(0, limit);
+};
+
+// Velocity check: a user exceeding the transaction count or summed amount limit within one
+// granularity period (an hour, a day, ...) of the current bucketing
+export const velocityChecks = (transactions, granularity, limits = defaultVelocityLimits) => {
+  const buckets = {};
+  transactions.forEach(event => {
+    const period = getPeriodKey(event, granularity);
+    if (!event.user || !period) return;
+    const key = `${event.user}|${period}`;
+    if (!buckets[key]) buckets[key] = { user: event.user, period, count: 0, total: 0, events: [] };
+    buckets[key].count++;
+    buckets[key].total += event.amount;
+    buckets[key].events.push(event);
+  });
+
+  return Object.values(buckets)
+    .map(bucket => ({
+      ...bucket,
+      periodLabel: formatPeriodLabel(bucket.period, granularity),
+      reasons: [
+        ...(bucket.count > limits.maxTransactions ? ['count'] : []),
+        ...(bucket.total > limits.maxAmount ? ['amount'] : [])
+      ]
+    }))
+    .filter(bucket => bucket.reasons.length > 0)
+    .sort((a, b) => b.period.localeCompare(a.period) || b.count - a.count);
+};
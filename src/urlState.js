@@ -0,0 +1,128 @@
+import { useEffect, useRef } from 'react';
+import { normalizeGranularity } from './granularity';
+import { timeRangeOptions, timeAnchorOptions } from './timeRange';
+import { tabIds } from './taxonomy';
+
+// Dashboard view state <-> query string. Only values that differ from the defaults are
+// written, so a plain link to the dashboard keeps a clean URL.
+
+export const defaultViewState = {
+  activeTab: 'overview',
+  selectedActivityTypes: [],
+  selectedStatuses: [],
+  selectedStatCard: null,
+  granularity: 'weekly',
+  timeRange: 'last30days',
+  timeAnchor: 'latest',
+  anchorDate: '',
+  customStart: '',
+  customEnd: '',
+  viewMode: 'heatmap',
+  showGradient: true,
+  showAccessibilityPatterns: false,
+  showEventCounts: true,
+  eventCountThreshold: 3,
+  showGridLines: true,
+  canvasThreshold: 2500,
+  comparePrevious: false
+};
+
+const statusIds = ['success', 'warning', 'fail'];
+const statCardIds = ['total', 'success', 'failed', 'warning'];
+const viewModes = ['heatmap', 'bargraph', 'table'];
+const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+const oneOf = (value, allowed, fallback) => (allowed.includes(value) ? value : fallback);
+const toDate = (value) => (value && datePattern.test(value) ? value : '');
+const toFlag = (value, fallback) => (value === null ? fallback : value === '1');
+const toCount = (value, fallback) => (/^[1-9]\d{0,5}$/.test(value || '') ? Number(value) : fallback);
+
+export const parseViewState = (search) => {
+  const params = new URLSearchParams(search);
+  const defaults = defaultViewState;
+
+  return {
+    activeTab: oneOf(params.get('tab'), tabIds, defaults.activeTab),
+    selectedActivityTypes: params.getAll('type').filter(Boolean),
+    selectedStatuses: params.getAll('status').filter(status => statusIds.includes(status)),
+    selectedStatCard: oneOf(params.get('card'), statCardIds, defaults.selectedStatCard),
+    granularity: params.get('gran') ? normalizeGranularity(params.get('gran')) : defaults.granularity,
+    timeRange: oneOf(params.get('range'), timeRangeOptions.map(option => option.id), defaults.timeRange),
+    timeAnchor: oneOf(params.get('anchor'), timeAnchorOptions.map(option => option.id), defaults.timeAnchor),
+    anchorDate: toDate(params.get('anchorDate')),
+    customStart: toDate(params.get('from')),
+    customEnd: toDate(params.get('to')),
+    viewMode: oneOf(params.get('view'), viewModes, defaults.viewMode),
+    showGradient: toFlag(params.get('gradient'), defaults.showGradient),
+    showAccessibilityPatterns: toFlag(params.get('patterns'), defaults.showAccessibilityPatterns),
+    showEventCounts: toFlag(params.get('counts'), defaults.showEventCounts),
+    eventCountThreshold: toCount(params.get('countMin'), defaults.eventCountThreshold),
+    showGridLines: toFlag(params.get('grid'), defaults.showGridLines),
+    canvasThreshold: toCount(params.get('canvasMin'), defaults.canvasThreshold),
+    comparePrevious: toFlag(params.get('compare'), defaults.comparePrevious)
+  };
+};
+
+export const serializeViewState = (state) => {
+  const params = new URLSearchParams();
+  const defaults = defaultViewState;
+  const setIfChanged = (key, value, defaultValue) => {
+    if (value !== defaultValue && value !== null && value !== '') params.set(key, value);
+  };
+
+  setIfChanged('tab', state.activeTab, defaults.activeTab);
+  state.selectedActivityTypes.forEach(type => params.append('type', type));
+  state.selectedStatuses.forEach(status => params.append('status', status));
+  setIfChanged('card', state.selectedStatCard, defaults.selectedStatCard);
+  setIfChanged('gran', state.granularity, defaults.granularity);
+  setIfChanged('range', state.timeRange, defaults.timeRange);
+  if (state.timeRange === 'custom') {
+    setIfChanged('from', state.customStart, '');
+    setIfChanged('to', state.customEnd, '');
+  } else if (state.timeRange !== 'all') {
+    setIfChanged('anchor', state.timeAnchor, defaults.timeAnchor);
+    if (state.timeAnchor === 'fixed') setIfChanged('anchorDate', state.anchorDate, '');
+  }
+  setIfChanged('view', state.viewMode, defaults.viewMode);
+  if (state.showGradient !== defaults.showGradient) params.set('gradient', state.showGradient ? '1' : '0');
+  if (state.showAccessibilityPatterns !== defaults.showAccessibilityPatterns) {
+    params.set('patterns', state.showAccessibilityPatterns ? '1' : '0');
+  }
+  if (state.showEventCounts !== defaults.showEventCounts) params.set('counts', state.showEventCounts ? '1' : '0');
+  if (state.showEventCounts) setIfChanged('countMin', state.eventCountThreshold, defaults.eventCountThreshold);
+  if (state.showGridLines !== defaults.showGridLines) params.set('grid', state.showGridLines ? '1' : '0');
+  setIfChanged('canvasMin', state.canvasThreshold, defaults.canvasThreshold);
+  if (state.comparePrevious !== defaults.comparePrevious) params.set('compare', state.comparePrevious ? '1' : '0');
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+};
+
+// Keeps the query string in sync with `state`: every change becomes a history entry,
+// and back/forward hands the parsed state from the URL to `applyState`.
+export const useUrlState = (state, applyState) => {
+  const applyRef = useRef(applyState);
+  applyRef.current = applyState;
+  const isFirstSync = useRef(true);
+
+  const search = serializeViewState(state);
+
+  useEffect(() => {
+    if (search !== window.location.search) {
+      const url = `${window.location.pathname}${search}${window.location.hash}`;
+      // The first sync only normalizes the incoming link, it shouldn't add a history entry
+      if (isFirstSync.current) {
+        window.history.replaceState(null, '', url);
+      } else {
+        window.history.pushState(null, '', url);
+      }
+    }
+    isFirstSync.current = false;
+  }, [search]);
+
+  useEffect(() => {
+    const handlePopState = () => applyRef.current(parseViewState(window.location.search));
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+};